@@ -0,0 +1,108 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+// Import models
+const Campaign = require("../src/models/Campaign");
+const Content = require("../src/models/Content");
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB for migration");
+  } catch (error) {
+    console.error("❌ MongoDB connection error:", error.message);
+    process.exit(1);
+  }
+};
+
+// Move content embedded in a campaign document into the content collection.
+// Items keep their original _id and timestamps, and get a "migrate" revision
+// as their first history entry. Items that were already migrated are skipped,
+// so the script can be re-run after a partial failure.
+const migrateCampaign = async (campaign, dryRun) => {
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const item of campaign.content) {
+    if (await Content.exists({ _id: item._id })) {
+      skipped++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await Content.createWithRevision(
+        {
+          ...item,
+          campaignId: campaign._id,
+          personaId: item.personaId || campaign.personaId,
+          // Embedded content only had a published flag
+          status: item.isPublished ? "published" : "draft",
+        },
+        campaign.userId,
+        { action: "migrate", timestamps: false }
+      );
+    }
+    migrated++;
+  }
+
+  if (!dryRun) {
+    await Campaign.collection.updateOne(
+      { _id: campaign._id },
+      { $unset: { content: "" } }
+    );
+  }
+
+  return { migrated, skipped };
+};
+
+// Main migration function
+const migrateContent = async (dryRun) => {
+  try {
+    console.log(
+      `🚀 Migrating embedded campaign content${dryRun ? " (dry run)" : ""}...`
+    );
+    console.log("=".repeat(50));
+
+    await connectDB();
+
+    // Read raw documents; the Campaign schema no longer defines content
+    const campaigns = Campaign.collection.find(
+      { "content.0": { $exists: true } },
+      { projection: { userId: 1, personaId: 1, name: 1, content: 1 } }
+    );
+
+    const totals = { campaigns: 0, migrated: 0, skipped: 0, failed: 0 };
+
+    for await (const campaign of campaigns) {
+      try {
+        const { migrated, skipped } = await migrateCampaign(campaign, dryRun);
+        totals.campaigns++;
+        totals.migrated += migrated;
+        totals.skipped += skipped;
+        console.log(
+          `   📦 ${campaign.name}: ${migrated} migrated, ${skipped} skipped`
+        );
+      } catch (error) {
+        totals.failed++;
+        console.error(`❌ Failed to migrate ${campaign.name}:`, error.message);
+      }
+    }
+
+    console.log("=".repeat(50));
+    console.log(
+      `✅ ${totals.campaigns} campaigns, ${totals.migrated} content items migrated, ${totals.skipped} skipped, ${totals.failed} campaigns failed`
+    );
+  } catch (error) {
+    console.error("❌ Content migration failed:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+    process.exit(0);
+  }
+};
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+
+migrateContent(args.includes("--dry-run"));
@@ -0,0 +1,69 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+// Import models
+const User = require("../src/models/User");
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB for migration");
+  } catch (error) {
+    console.error("❌ MongoDB connection error:", error.message);
+    process.exit(1);
+  }
+};
+
+// Mark accounts created before email verification existed as verified, so
+// they keep access to the endpoints that now require it. Only accounts
+// created before the cutoff are touched; newer sign-ups still verify.
+const migrateEmailVerification = async (before, dryRun) => {
+  try {
+    console.log(
+      `🚀 Marking users created before ${before.toISOString()} as verified${
+        dryRun ? " (dry run)" : ""
+      }...`
+    );
+    console.log("=".repeat(50));
+
+    await connectDB();
+
+    const unverified = {
+      isEmailVerified: { $ne: true },
+      createdAt: { $lt: before },
+    };
+
+    if (dryRun) {
+      const count = await User.collection.countDocuments(unverified);
+      console.log(`✅ ${count} users would be marked as verified`);
+      return;
+    }
+
+    const result = await User.collection.updateMany(unverified, {
+      $set: { isEmailVerified: true, emailVerifiedAt: new Date() },
+    });
+
+    console.log("=".repeat(50));
+    console.log(`✅ ${result.modifiedCount} users marked as verified`);
+  } catch (error) {
+    console.error("❌ Email verification migration failed:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+    process.exit(0);
+  }
+};
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+const beforeIndex = args.indexOf("--before");
+const before =
+  beforeIndex === -1 ? new Date() : new Date(args[beforeIndex + 1]);
+
+if (Number.isNaN(before.getTime())) {
+  console.error("❌ --before must be a date, e.g. --before 2026-01-31");
+  process.exit(1);
+}
+
+migrateEmailVerification(before, args.includes("--dry-run"));
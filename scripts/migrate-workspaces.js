@@ -0,0 +1,128 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+// Import models
+const Campaign = require("../src/models/Campaign");
+const Persona = require("../src/models/Persona");
+const User = require("../src/models/User");
+const Workspace = require("../src/models/Workspace");
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB for migration");
+  } catch (error) {
+    console.error("❌ MongoDB connection error:", error.message);
+    process.exit(1);
+  }
+};
+
+// Give a user a personal workspace and move their campaigns and personas
+// into it. The user's AI settings and two-factor requirement become the
+// workspace's. Users who already own a workspace reuse it, and documents
+// that already have a workspace are left alone, so the script can be
+// re-run after a partial failure.
+const migrateUser = async (user, dryRun) => {
+  const owned = { userId: user._id, workspaceId: { $exists: false } };
+  const [campaigns, personas] = await Promise.all([
+    Campaign.collection.countDocuments(owned),
+    Persona.collection.countDocuments({
+      ...owned,
+      isPredefined: { $ne: true },
+    }),
+  ]);
+
+  if (dryRun) return { campaigns, personas };
+
+  const workspace =
+    (await Workspace.findOne({ ownerId: user._id })) ||
+    (await Workspace.create({
+      name: user.companyName || `${user.firstName}'s workspace`,
+      ownerId: user._id,
+      members: [{ userId: user._id, role: "owner" }],
+      settings: { mfaRequired: !!user.mfaRequired },
+      aiSettings: user.aiSettings,
+    }));
+
+  await Promise.all([
+    Campaign.collection.updateMany(owned, {
+      $set: { workspaceId: workspace._id },
+    }),
+    Persona.collection.updateMany(
+      { ...owned, isPredefined: { $ne: true } },
+      { $set: { workspaceId: workspace._id } }
+    ),
+  ]);
+
+  await User.collection.updateOne(
+    { _id: user._id },
+    {
+      $set: { currentWorkspaceId: user.currentWorkspaceId || workspace._id },
+      $unset: { aiSettings: "", mfaRequired: "" },
+    }
+  );
+
+  return { campaigns, personas };
+};
+
+// Main migration function
+const migrateWorkspaces = async (dryRun) => {
+  try {
+    console.log(
+      `🚀 Migrating users to workspaces${dryRun ? " (dry run)" : ""}...`
+    );
+    console.log("=".repeat(50));
+
+    await connectDB();
+
+    // Read raw documents; the User schema no longer defines aiSettings or
+    // mfaRequired
+    const users = User.collection.find(
+      {},
+      {
+        projection: {
+          email: 1,
+          firstName: 1,
+          companyName: 1,
+          aiSettings: 1,
+          mfaRequired: 1,
+          currentWorkspaceId: 1,
+        },
+      }
+    );
+
+    const totals = { users: 0, campaigns: 0, personas: 0, failed: 0 };
+
+    for await (const user of users) {
+      try {
+        const { campaigns, personas } = await migrateUser(user, dryRun);
+        totals.users++;
+        totals.campaigns += campaigns;
+        totals.personas += personas;
+        console.log(
+          `   👤 ${user.email}: ${campaigns} campaigns, ${personas} personas`
+        );
+      } catch (error) {
+        totals.failed++;
+        console.error(`❌ Failed to migrate ${user.email}:`, error.message);
+      }
+    }
+
+    console.log("=".repeat(50));
+    console.log(
+      `✅ ${totals.users} users, ${totals.campaigns} campaigns and ${totals.personas} personas moved into workspaces, ${totals.failed} users failed`
+    );
+  } catch (error) {
+    console.error("❌ Workspace migration failed:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+    process.exit(0);
+  }
+};
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+
+migrateWorkspaces(args.includes("--dry-run"));
@@ -6,6 +6,7 @@ const path = require("path");
 // Import models
 const User = require("../src/models/User");
 const Persona = require("../src/models/Persona");
+const Workspace = require("../src/models/Workspace");
 
 // Connect to database
 const connectDB = async () => {
@@ -97,12 +98,16 @@ const createDemoUser = async () => {
       companyName: "Marketing LLM Demo",
       role: "manager",
       subscriptionTier: "pro",
+      isEmailVerified: true,
+      emailVerifiedAt: new Date(),
     });
 
     await demoUser.save();
+    const workspace = await Workspace.resolveCurrent(demoUser);
     console.log("✅ Demo user created successfully");
     console.log("   📧 Email: demo@marketingllm.com");
     console.log("   🔑 Password: Demo123!");
+    console.log(`   🏢 Workspace: ${workspace.name}`);
 
     return demoUser;
   } catch (error) {
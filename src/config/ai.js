@@ -0,0 +1,182 @@
+/**
+ * AI provider configuration
+ *
+ * Defaults come from the environment and can be overridden per workspace
+ * through the `aiSettings` stored on the workspace.
+ */
+
+// Providers that can back the content generator
+const AI_PROVIDERS = ["openai", "local", "mock"];
+
+// Generation tasks that can be routed to their own model
+const AI_TASKS = ["email", "social_post", "ad_copy", "blog_post", "scoring"];
+
+// Default model per task for each provider
+const DEFAULT_MODELS = {
+  openai: {
+    email: "gpt-4",
+    social_post: "gpt-4",
+    ad_copy: "gpt-4",
+    blog_post: "gpt-4",
+    scoring: "gpt-3.5-turbo",
+  },
+  local: {
+    email: process.env.LOCAL_LLM_MODEL || "llama3",
+    social_post: process.env.LOCAL_LLM_MODEL || "llama3",
+    ad_copy: process.env.LOCAL_LLM_MODEL || "llama3",
+    blog_post: process.env.LOCAL_LLM_MODEL || "llama3",
+    scoring: process.env.LOCAL_LLM_MODEL || "llama3",
+  },
+  mock: {
+    email: "mock-1",
+    social_post: "mock-1",
+    ad_copy: "mock-1",
+    blog_post: "mock-1",
+    scoring: "mock-1",
+  },
+};
+
+// Estimated price in USD per million tokens, matched against the model a
+// provider reports by name prefix (the longest matching prefix wins).
+// AI_MODEL_PRICES can add or override entries with a JSON object of the
+// same shape, e.g. {"gpt-4o": {"input": 2.5, "output": 10}}.
+const DEFAULT_MODEL_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4-turbo": { input: 10, output: 30 },
+  "gpt-4": { input: 30, output: 60 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+};
+
+/**
+ * Read a JSON object from an environment variable
+ * @param {String} name - Variable name
+ * @returns {Object} Parsed object ({} when unset or not valid JSON)
+ */
+const loadJSONEnv = (name) => {
+  if (!process.env[name]) return {};
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`⚠️  Ignoring ${name}: not valid JSON`);
+    return {};
+  }
+};
+
+const MODEL_PRICES = {
+  ...DEFAULT_MODEL_PRICES,
+  ...loadJSONEnv("AI_MODEL_PRICES"),
+};
+
+// Models tried in order when a task's model fails, per subscription tier
+// and task. "default" covers tiers and tasks without their own chain.
+// Entries are "provider:model", or a provider name for its default model
+// for the task. AI_FALLBACK_CHAINS can add or replace chains with a JSON
+// object of the same shape, e.g. {"pro": {"default": ["openai:gpt-4o",
+// "local"]}}.
+const DEFAULT_FALLBACK_CHAINS = {
+  default: {
+    default: ["openai:gpt-4o-mini"],
+    // Scoring falls back to heuristics instead
+    scoring: [],
+  },
+  enterprise: {
+    default: ["openai:gpt-4o", "openai:gpt-4o-mini"],
+    scoring: ["openai:gpt-4o-mini"],
+  },
+};
+
+const FALLBACK_CHAINS = { ...DEFAULT_FALLBACK_CHAINS };
+for (const [tier, chains] of Object.entries(
+  loadJSONEnv("AI_FALLBACK_CHAINS")
+)) {
+  FALLBACK_CHAINS[tier] = { ...FALLBACK_CHAINS[tier], ...chains };
+}
+
+// Provider error codes that move a request on to the next model in its
+// fallback chain, besides server and connection errors. Filtered content
+// and rejected requests are not sent elsewhere.
+const FALLBACK_ERROR_CODES = [
+  "AI_RATE_LIMITED",
+  "AI_QUOTA_EXHAUSTED",
+  "AI_TIMEOUT",
+  "AI_UNAVAILABLE",
+];
+
+/**
+ * Get the fallback chain for a task and subscription tier: the tier's
+ * chain for the task, else the tier's default chain, else the same from
+ * the "default" chains
+ * @param {String} task - AI task (email, social_post, ..., scoring)
+ * @param {String} tier - Subscription tier (optional)
+ * @returns {Array} Chain entries ("provider:model" or "provider")
+ */
+const getFallbackChain = (task, tier) => {
+  const tierChains = FALLBACK_CHAINS[tier] || {};
+  const defaultChains = FALLBACK_CHAINS.default || {};
+  const chain =
+    tierChains[task] ??
+    tierChains.default ??
+    defaultChains[task] ??
+    defaultChains.default;
+
+  return Array.isArray(chain) ? chain : [];
+};
+
+// OpenAI models that accept a JSON schema response format, by name prefix.
+// Other OpenAI models are only asked for JSON in the prompt.
+const JSON_SCHEMA_MODELS = ["gpt-4o", "gpt-4.1", "gpt-5", "o1", "o3", "o4"];
+
+// Providers that run without per-token charges; models without a price
+// entry cost nothing on these
+const UNMETERED_PROVIDERS = ["local", "mock"];
+
+const aiConfig = {
+  defaultProvider: process.env.AI_PROVIDER || "openai",
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+  },
+  local: {
+    // Any OpenAI-compatible server, e.g. Ollama or llama.cpp
+    baseURL: process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1",
+    apiKey: process.env.LOCAL_LLM_API_KEY || "local",
+  },
+  // Completion cache, in Redis when configured and in memory otherwise
+  cache: {
+    enabled: process.env.AI_CACHE_ENABLED !== "false",
+    ttlSeconds: parseInt(process.env.AI_CACHE_TTL) || 3600,
+    // Entries kept by the in-memory cache before the least recently used
+    // are evicted
+    maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 500,
+  },
+  // Timeouts, retries and circuit breaking for provider calls
+  resilience: {
+    // Per-attempt timeout
+    timeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 90000,
+    // Retries after the first attempt for rate limits, 5xx and timeouts
+    maxRetries: parseInt(process.env.AI_MAX_RETRIES ?? "2") || 0,
+    // Exponential backoff: 1s, 2s, 4s... with jitter, capped
+    retryBaseDelayMs: 1000,
+    retryMaxDelayMs: 20000,
+    circuitBreaker: {
+      // Consecutive failures that open the circuit
+      failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+      // How long the circuit stays open before a trial call
+      resetTimeoutMs: parseInt(process.env.AI_CIRCUIT_RESET_MS) || 30000,
+    },
+  },
+};
+
+module.exports = {
+  AI_PROVIDERS,
+  AI_TASKS,
+  DEFAULT_MODELS,
+  MODEL_PRICES,
+  UNMETERED_PROVIDERS,
+  JSON_SCHEMA_MODELS,
+  FALLBACK_CHAINS,
+  FALLBACK_ERROR_CODES,
+  getFallbackChain,
+  aiConfig,
+};
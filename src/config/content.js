@@ -0,0 +1,115 @@
+/**
+ * Content limits shared by the models, validation and AI generation
+ */
+
+// Maximum contentBody length per content type
+const CONTENT_BODY_LIMITS = {
+  default: 5000,
+  blog_post: 20000,
+};
+
+// Maximum post length in characters per platform
+const PLATFORM_CHARACTER_LIMITS = {
+  twitter: 280,
+  linkedin: 3000,
+  facebook: 63206,
+  instagram: 2200,
+  tiktok: 2200,
+  youtube: 5000,
+};
+
+// Ad copy format per ad platform: character limits per field, and how
+// many headlines and descriptions to write as [min, max]. Search ads take
+// several of each so the platform can combine them (responsive search ads).
+const SEARCH_AD_SPEC = {
+  limits: { headline: 30, description: 90, cta: 20 },
+  headlines: [3, 15],
+  descriptions: [2, 4],
+};
+const AD_PLATFORM_SPECS = {
+  "google-ads": SEARCH_AD_SPEC,
+  "microsoft-ads": SEARCH_AD_SPEC,
+  facebook: {
+    limits: { headline: 40, description: 125, cta: 20 },
+    headlines: [1, 1],
+    descriptions: [1, 1],
+  },
+  instagram: {
+    limits: { headline: 40, description: 125, cta: 20 },
+    headlines: [1, 1],
+    descriptions: [1, 1],
+  },
+  linkedin: {
+    limits: { headline: 70, description: 150, cta: 20 },
+    headlines: [1, 1],
+    descriptions: [1, 1],
+  },
+};
+
+// Ad platform used when none is given
+const DEFAULT_AD_PLATFORM = "google-ads";
+
+// Times ad copy is regenerated when the model overshoots the platform's
+// limits, before over-long fields are trimmed
+const AD_COPY_MAX_REVISIONS = 1;
+
+// Recommended email subject line length in characters
+const SUBJECT_LINE_LIMITS = {
+  min: 15,
+  max: 50,
+};
+
+// Recommended hashtag count per platform as [min, max]
+const HASHTAG_RANGES = {
+  default: [3, 5],
+  twitter: [1, 3],
+  instagram: [3, 15],
+};
+
+// Content fields whose edits are tracked in the revision history
+const REVISIONED_FIELDS = [
+  "subjectLine",
+  "contentBody",
+  "hashtags",
+  "visualUrl",
+  "blog",
+  "adCopy",
+];
+
+// Revisioned fields that also get a line-by-line diff
+const TEXT_DIFF_FIELDS = ["contentBody"];
+
+// Content fields a review comment can be anchored to
+const COMMENT_ANCHOR_FIELDS = ["contentBody", "subjectLine"];
+
+/**
+ * Get the contentBody length limit for a content type
+ * @param {String} contentType - Content type
+ * @returns {Number} Maximum number of characters
+ */
+const getContentBodyLimit = (contentType) =>
+  CONTENT_BODY_LIMITS[contentType] || CONTENT_BODY_LIMITS.default;
+
+/**
+ * Get the ad copy format for an ad platform
+ * @param {String} platform - Ad platform
+ * @returns {Object} { limits, headlines, descriptions } (the default
+ *   platform's format for unknown platforms)
+ */
+const getAdPlatformSpec = (platform) =>
+  AD_PLATFORM_SPECS[platform] || AD_PLATFORM_SPECS[DEFAULT_AD_PLATFORM];
+
+module.exports = {
+  CONTENT_BODY_LIMITS,
+  PLATFORM_CHARACTER_LIMITS,
+  AD_PLATFORM_SPECS,
+  DEFAULT_AD_PLATFORM,
+  AD_COPY_MAX_REVISIONS,
+  SUBJECT_LINE_LIMITS,
+  HASHTAG_RANGES,
+  REVISIONED_FIELDS,
+  TEXT_DIFF_FIELDS,
+  COMMENT_ANCHOR_FIELDS,
+  getContentBodyLimit,
+  getAdPlatformSpec,
+};
@@ -0,0 +1,68 @@
+/**
+ * Outgoing mail configuration
+ *
+ * SMTP is used when SMTP_HOST is set; otherwise mail goes to a local sink
+ * (console or .eml files) so development needs no mail server. Local sinks
+ * would put password reset and verification links in logs or on disk, so
+ * production requires SMTP.
+ */
+
+// Transports that can deliver outgoing mail
+const MAIL_TRANSPORTS = ["smtp", "file", "console"];
+
+// Transports that keep mail on this machine; not allowed in production
+const LOCAL_MAIL_TRANSPORTS = ["file", "console"];
+
+const isProduction = process.env.NODE_ENV === "production";
+
+const mailConfig = {
+  // No local fallback in production; validateMailConfig reports it
+  transport:
+    process.env.MAIL_TRANSPORT ||
+    (process.env.SMTP_HOST ? "smtp" : isProduction ? null : "console"),
+  from: process.env.MAIL_FROM || "Marketing LLM <noreply@marketingllm.com>",
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    // Implicit TLS on 465; other ports upgrade with STARTTLS
+    secure: process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === "true"
+      : parseInt(process.env.SMTP_PORT) === 465,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  },
+  file: {
+    directory: process.env.MAIL_FILE_DIR || "tmp/mail",
+  },
+  // Base URL of the frontend pages that open links sent by email
+  appUrl: process.env.CLIENT_URL || "http://localhost:3000",
+};
+
+/**
+ * Check that outgoing mail can be sent safely in this environment
+ * @throws {Error} When production has no SMTP transport, or the transport
+ *   is unknown
+ */
+const validateMailConfig = () => {
+  const { transport } = mailConfig;
+
+  if (
+    isProduction &&
+    (!transport || LOCAL_MAIL_TRANSPORTS.includes(transport))
+  ) {
+    throw new Error(
+      "Production mail must use SMTP: set SMTP_HOST (and MAIL_TRANSPORT=smtp if MAIL_TRANSPORT is set)"
+    );
+  }
+
+  if (!MAIL_TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+};
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  LOCAL_MAIL_TRANSPORTS,
+  mailConfig,
+  validateMailConfig,
+};
@@ -0,0 +1,22 @@
+/**
+ * Two-factor authentication (TOTP) configuration
+ *
+ * Codes follow RFC 6238 with the defaults authenticator apps expect:
+ * SHA-1, 6 digits, 30 second steps.
+ */
+
+const mfaConfig = {
+  // Name shown next to the account in authenticator apps
+  issuer: process.env.MFA_ISSUER || "Marketing LLM",
+  period: 30,
+  digits: 6,
+  // Steps accepted either side of the current one to allow for clock drift
+  window: 1,
+  recoveryCodeCount: 10,
+  // Wrong codes allowed per login challenge before it is discarded
+  maxChallengeAttempts: 5,
+};
+
+module.exports = {
+  mfaConfig,
+};
@@ -0,0 +1,42 @@
+/**
+ * Notification types sent through the notification center
+ *
+ * Every type is enabled by default; users can turn individual types off
+ * through their notification preferences.
+ */
+
+// Notification types and what triggers them
+const NOTIFICATION_TYPES = {
+  generation_completed: "A background content generation job finished",
+  generation_failed: "A background content generation job failed",
+  campaign_shared: "You were added to a campaign",
+  collaborator_role_changed: "Your role on a campaign changed",
+  campaign_access_removed: "You were removed from a campaign",
+  ab_test_completed: "An A/B test finished and a result is available",
+  content_review_requested: "Content was submitted for your review",
+  content_approval_added: "A reviewer approved your content",
+  content_approved: "Your content received all required approvals",
+  content_changes_requested: "A reviewer requested changes to your content",
+  content_published: "Your content was published",
+  comment_created: "Someone commented on your content",
+  comment_reply: "Someone replied to your comment",
+  comment_mention: "Someone mentioned you in a comment",
+  comment_resolved: "Your comment thread was resolved",
+  workspace_invitation: "You were invited to a workspace",
+  workspace_role_changed: "Your role in a workspace changed",
+  workspace_access_removed: "You were removed from a workspace",
+  security_alert: "Suspicious activity was detected on your account",
+};
+
+// Days notifications are kept before they expire
+const NOTIFICATION_RETENTION_DAYS =
+  parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+// Maximum undelivered notifications pushed when a user reconnects
+const NOTIFICATION_BACKLOG_LIMIT = 100;
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_RETENTION_DAYS,
+  NOTIFICATION_BACKLOG_LIMIT,
+};
@@ -0,0 +1,82 @@
+/**
+ * Prompt templates that can be edited in the template registry
+ *
+ * Each generation step renders one named template. Templates use
+ * {variable} placeholders; the built-in prompts in AIContentGenerator are
+ * used until a version is activated globally or for a workspace.
+ */
+
+// Variables built from the persona and campaign for every template
+// (AIContentGenerator.buildContext)
+const CONTEXT_VARIABLES = [
+  "campaignName",
+  "objective",
+  "personaName",
+  "personaDescription",
+  "demographics",
+  "values",
+  "interests",
+  "painPoints",
+  "goals",
+  "preferredChannels",
+  "tone",
+  "keywords",
+  "platform",
+];
+
+// Editable templates by name, with the variables produced by earlier
+// generation steps
+const PROMPT_TEMPLATES = {
+  "email.subject": {
+    contentType: "email",
+    description: "Email subject line",
+    stepVariables: [],
+  },
+  "email.body": {
+    contentType: "email",
+    description: "Email body, written after the subject line",
+    stepVariables: ["subjectLine"],
+  },
+  "social.post": {
+    contentType: "social_post",
+    description: "Social media post",
+    stepVariables: [],
+  },
+  "adCopy.short": {
+    contentType: "ad_copy",
+    description:
+      "Ad copy (headlines, descriptions and call-to-action), returned as JSON within the ad platform's limits",
+    stepVariables: [],
+  },
+  "blog.outline": {
+    contentType: "blog_post",
+    description:
+      "Blog post plan (title, meta description, outline, SEO keywords) as JSON",
+    stepVariables: [],
+  },
+  "blog.body": {
+    contentType: "blog_post",
+    description: "Blog post body, written from the plan",
+    stepVariables: ["title", "seoKeywords", "outline"],
+  },
+};
+
+// Maximum template length in characters
+const PROMPT_TEMPLATE_MAX_LENGTH = 10000;
+
+/**
+ * Get the variables a template can use
+ * @param {String} name - Template name
+ * @returns {Array} Variable names
+ */
+const getTemplateVariables = (name) => [
+  ...CONTEXT_VARIABLES,
+  ...(PROMPT_TEMPLATES[name]?.stepVariables || []),
+];
+
+module.exports = {
+  CONTEXT_VARIABLES,
+  PROMPT_TEMPLATES,
+  PROMPT_TEMPLATE_MAX_LENGTH,
+  getTemplateVariables,
+};
@@ -0,0 +1,25 @@
+/**
+ * Redis connection settings for background job queues.
+ * Returns null when Redis is not configured so callers can fall back
+ * to in-process processing.
+ * @returns {String|Object|null} Redis URL, connection options or null
+ */
+const getRedisConfig = () => {
+  if (process.env.REDIS_URL) {
+    return process.env.REDIS_URL;
+  }
+
+  if (process.env.REDIS_HOST) {
+    return {
+      host: process.env.REDIS_HOST,
+      port: parseInt(process.env.REDIS_PORT) || 6379,
+      ...(process.env.REDIS_PASSWORD && {
+        password: process.env.REDIS_PASSWORD,
+      }),
+    };
+  }
+
+  return null;
+};
+
+module.exports = { getRedisConfig };
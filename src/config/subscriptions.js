@@ -0,0 +1,64 @@
+/**
+ * Subscription tiers and their usage limits
+ *
+ * Generation quotas reset at the start of each calendar month (UTC). A
+ * limit of null means the tier is unlimited.
+ */
+
+// Subscription tiers, lowest first
+const SUBSCRIPTION_TIERS = ["free", "basic", "pro", "enterprise"];
+
+// Limits per tier
+const TIER_LIMITS = {
+  free: {
+    // Content items generated per month
+    generationsPerMonth: 50,
+    // Variations in one A/B variation request
+    variationsPerRequest: 2,
+    // Campaigns the user owns
+    campaigns: 3,
+    // Personas the user created (predefined personas are free)
+    customPersonas: 3,
+    // Content items in one batch generation
+    batchSize: 3,
+  },
+  basic: {
+    generationsPerMonth: 500,
+    variationsPerRequest: 3,
+    campaigns: 20,
+    customPersonas: 10,
+    batchSize: 6,
+  },
+  pro: {
+    generationsPerMonth: 2500,
+    variationsPerRequest: 5,
+    campaigns: 100,
+    customPersonas: 50,
+    batchSize: 12,
+  },
+  enterprise: {
+    generationsPerMonth: null,
+    variationsPerRequest: 5,
+    campaigns: null,
+    customPersonas: null,
+    batchSize: 24,
+  },
+};
+
+// Metrics recorded in the usage ledger
+const USAGE_METRICS = {
+  // A content item generated for a user; counts toward the monthly quota
+  generation: "Content items generated",
+  // A single call to an AI provider, including planning and scoring calls
+  ai_request: "AI provider requests",
+};
+
+// Ways AI spend can be grouped in cost reports
+const COST_REPORT_GROUPS = ["campaign", "user", "day", "model", "step"];
+
+module.exports = {
+  SUBSCRIPTION_TIERS,
+  TIER_LIMITS,
+  USAGE_METRICS,
+  COST_REPORT_GROUPS,
+};
@@ -0,0 +1,37 @@
+/**
+ * Workspace (team) roles
+ *
+ * Members of a workspace get a campaign role on every campaign in it, on
+ * top of any role they hold as a campaign collaborator.
+ */
+
+// Workspace roles, highest first
+const WORKSPACE_ROLES = ["owner", "admin", "editor", "viewer"];
+
+// Campaign role each workspace role grants on the workspace's campaigns
+const WORKSPACE_CAMPAIGN_ROLES = {
+  owner: "admin",
+  admin: "admin",
+  editor: "editor",
+  viewer: "viewer",
+};
+
+// Roles that can manage members, invitations and workspace settings
+const WORKSPACE_MANAGER_ROLES = ["owner", "admin"];
+
+// Roles that can create and edit campaigns and personas
+const WORKSPACE_EDITOR_ROLES = ["owner", "admin", "editor"];
+
+// How long invitation links stay valid
+const WORKSPACE_INVITATION_EXPIRY = {
+  expiresIn: "7d",
+  description: "7 days",
+};
+
+module.exports = {
+  WORKSPACE_ROLES,
+  WORKSPACE_CAMPAIGN_ROLES,
+  WORKSPACE_MANAGER_ROLES,
+  WORKSPACE_EDITOR_ROLES,
+  WORKSPACE_INVITATION_EXPIRY,
+};
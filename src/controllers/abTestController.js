@@ -0,0 +1,542 @@
+const mongoose = require("mongoose");
+const Campaign = require("../models/Campaign");
+const Content = require("../models/Content");
+const socketService = require("../services/socketService");
+
+// Fields that can be changed while a test is still a draft
+const EDITABLE_FIELDS = [
+  "testName",
+  "testType",
+  "variantA",
+  "variantB",
+  "endDate",
+];
+
+/**
+ * Load the campaign from the route and check the user's access to it.
+ * Sends the error response and returns null when the campaign is missing
+ * or not accessible.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Boolean} edit - Require edit access instead of read access
+ * @returns {Object|null} Campaign document
+ */
+const loadCampaign = async (req, res, edit = false) => {
+  const campaign = await Campaign.findById(req.params.id);
+
+  if (!campaign) {
+    res.status(404).json({
+      success: false,
+      message: "Campaign not found",
+    });
+    return null;
+  }
+
+  const userId = req.userId;
+  const allowed = edit
+    ? campaign.canBeEditedBy(userId, req.workspace)
+    : campaign.canBeViewedBy(userId, req.workspace);
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: edit
+        ? "You can only manage A/B tests on your own campaigns or campaigns you collaborate on"
+        : "Access denied to this campaign",
+    });
+    return null;
+  }
+
+  return campaign;
+};
+
+/**
+ * Find an A/B test on a campaign, sending a 404 when it does not exist
+ * @param {Object} campaign - Campaign document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} A/B test subdocument
+ */
+const findABTest = (campaign, req, res) => {
+  const abTest = campaign.abTests.id(req.params.testId);
+
+  if (!abTest) {
+    res.status(404).json({
+      success: false,
+      message: "A/B test not found",
+    });
+    return null;
+  }
+
+  return abTest;
+};
+
+/**
+ * Return the name of the first variant that references content missing
+ * from the campaign, or null when all references are valid
+ * @param {Object} campaign - Campaign document
+ * @param {Object} variants - { variantA, variantB }
+ * @returns {String|null} Invalid variant name
+ */
+const findInvalidVariantContent = async (campaign, variants) => {
+  for (const [name, variant] of Object.entries(variants)) {
+    if (!variant?.contentId) continue;
+
+    const exists =
+      mongoose.isValidObjectId(variant.contentId) &&
+      (await Content.exists({
+        _id: variant.contentId,
+        campaignId: campaign._id,
+      }));
+    if (!exists) {
+      return name;
+    }
+  }
+  return null;
+};
+
+/**
+ * Notify the campaign's owner, collaborators and workspace members that a
+ * test has finished
+ * @param {Object} campaign - Campaign document
+ * @param {Object} abTest - Completed A/B test subdocument
+ * @param {Object} workspace - Current workspace
+ */
+const notifyABTestCompleted = (campaign, abTest, workspace) => {
+  const recipients = campaign.getMemberIds(workspace);
+  const result =
+    abTest.winner === "inconclusive"
+      ? "no clear winner"
+      : `${
+          abTest.winner === "variant_a" ? "variant A" : "variant B"
+        } won with ${abTest.confidence}% confidence`;
+
+  for (const userId of recipients) {
+    socketService.sendNotification(userId, {
+      type: "ab_test_completed",
+      message: `A/B test "${abTest.testName}" finished: ${result}`,
+      campaignId: campaign._id,
+      testId: abTest._id,
+      winner: abTest.winner,
+      confidence: abTest.confidence,
+    });
+  }
+};
+
+/**
+ * Move an A/B test to a new status
+ * @param {String} status - Target status
+ * @param {String} message - Success message
+ * @returns {Function} Express handler
+ */
+const transitionABTest = (status, message) => async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res, true);
+    if (!campaign) return;
+
+    const abTest = findABTest(campaign, req, res);
+    if (!abTest) return;
+
+    if (!abTest.canTransitionTo(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A/B test is ${abTest.status} and cannot be moved to ${status}`,
+      });
+    }
+
+    if (status === "completed") {
+      abTest.complete(abTest.refreshStatistics());
+    } else {
+      abTest.transitionTo(status);
+    }
+    await campaign.save();
+
+    if (status === "completed") {
+      notifyABTestCompleted(campaign, abTest, req.workspace);
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        abTest,
+      },
+    });
+  } catch (error) {
+    console.error(`Transition A/B test to ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating A/B test status",
+    });
+  }
+};
+
+/**
+ * Get all A/B tests for a campaign
+ * @route GET /api/campaigns/:id/ab-tests
+ * @access Private
+ * @query status - Filter by test status
+ */
+const getABTests = async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const { status } = req.query;
+    const abTests = status
+      ? campaign.abTests.filter((abTest) => abTest.status === status)
+      : campaign.abTests;
+
+    res.json({
+      success: true,
+      data: {
+        abTests,
+      },
+    });
+  } catch (error) {
+    console.error("Get A/B tests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching A/B tests",
+    });
+  }
+};
+
+/**
+ * Get a single A/B test
+ * @route GET /api/campaigns/:id/ab-tests/:testId
+ * @access Private
+ */
+const getABTest = async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const abTest = findABTest(campaign, req, res);
+    if (!abTest) return;
+
+    res.json({
+      success: true,
+      data: {
+        abTest,
+      },
+    });
+  } catch (error) {
+    console.error("Get A/B test error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching A/B test",
+    });
+  }
+};
+
+/**
+ * Create an A/B test on a campaign
+ * @route POST /api/campaigns/:id/ab-tests
+ * @access Private
+ */
+const createABTest = async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res, true);
+    if (!campaign) return;
+
+    const { testName, testType, variantA, variantB, endDate, settings } =
+      req.body;
+
+    const invalidVariant = await findInvalidVariantContent(campaign, {
+      variantA,
+      variantB,
+    });
+    if (invalidVariant) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidVariant} references content that does not belong to this campaign`,
+      });
+    }
+
+    campaign.abTests.push({
+      testName,
+      testType,
+      variantA,
+      variantB,
+      endDate,
+      settings,
+      status: "draft",
+    });
+    await campaign.save();
+
+    res.status(201).json({
+      success: true,
+      message: "A/B test created successfully",
+      data: {
+        abTest: campaign.abTests[campaign.abTests.length - 1],
+      },
+    });
+  } catch (error) {
+    console.error("Create A/B test error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating A/B test",
+    });
+  }
+};
+
+/**
+ * Update a draft A/B test
+ * @route PUT /api/campaigns/:id/ab-tests/:testId
+ * @access Private
+ */
+const updateABTest = async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res, true);
+    if (!campaign) return;
+
+    const abTest = findABTest(campaign, req, res);
+    if (!abTest) return;
+
+    if (abTest.status !== "draft") {
+      return res.status(409).json({
+        success: false,
+        message: "Only draft A/B tests can be edited",
+      });
+    }
+
+    const invalidVariant = await findInvalidVariantContent(campaign, {
+      variantA: req.body.variantA,
+      variantB: req.body.variantB,
+    });
+    if (invalidVariant) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidVariant} references content that does not belong to this campaign`,
+      });
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        abTest[field] = req.body[field];
+      }
+    }
+    // Merge settings so omitted rules keep their current values
+    if (req.body.settings) {
+      abTest.set("settings", {
+        ...abTest.toObject().settings,
+        ...req.body.settings,
+      });
+    }
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: "A/B test updated successfully",
+      data: {
+        abTest,
+      },
+    });
+  } catch (error) {
+    console.error("Update A/B test error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating A/B test",
+    });
+  }
+};
+
+/**
+ * Delete an A/B test that is not running
+ * @route DELETE /api/campaigns/:id/ab-tests/:testId
+ * @access Private
+ */
+const deleteABTest = async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res, true);
+    if (!campaign) return;
+
+    const abTest = findABTest(campaign, req, res);
+    if (!abTest) return;
+
+    if (abTest.status === "running") {
+      return res.status(409).json({
+        success: false,
+        message: "Stop the A/B test before deleting it",
+      });
+    }
+
+    abTest.deleteOne();
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: "A/B test deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete A/B test error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting A/B test",
+    });
+  }
+};
+
+/**
+ * Start a draft A/B test
+ * @route PUT /api/campaigns/:id/ab-tests/:testId/start
+ * @access Private
+ */
+const startABTest = transitionABTest(
+  "running",
+  "A/B test started successfully"
+);
+
+/**
+ * Stop an A/B test without declaring a result
+ * @route PUT /api/campaigns/:id/ab-tests/:testId/stop
+ * @access Private
+ */
+const stopABTest = transitionABTest(
+  "cancelled",
+  "A/B test stopped successfully"
+);
+
+/**
+ * Complete a running A/B test
+ * @route PUT /api/campaigns/:id/ab-tests/:testId/complete
+ * @access Private
+ */
+const completeABTest = transitionABTest(
+  "completed",
+  "A/B test completed successfully"
+);
+
+/**
+ * Link a test variant to a content item of the campaign
+ * @route PUT /api/campaigns/:id/ab-tests/:testId/variants/:variant
+ * @access Private
+ */
+const linkVariantContent = async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res, true);
+    if (!campaign) return;
+
+    const abTest = findABTest(campaign, req, res);
+    if (!abTest) return;
+
+    if (abTest.status !== "draft") {
+      return res.status(409).json({
+        success: false,
+        message: "Variants can only be changed while the A/B test is a draft",
+      });
+    }
+
+    const content = await Content.findOne({
+      _id: req.body.contentId,
+      campaignId: campaign._id,
+    });
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: "Content not found in this campaign",
+      });
+    }
+
+    abTest.linkVariantContent(req.params.variant, content);
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: "Variant linked to content successfully",
+      data: {
+        abTest,
+      },
+    });
+  } catch (error) {
+    console.error("Link A/B test variant error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while linking A/B test variant",
+    });
+  }
+};
+
+/**
+ * Record participants and conversions for a variant of a running test
+ * @route POST /api/campaigns/:id/ab-tests/:testId/results
+ * @access Private
+ */
+const recordABTestResults = async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res, true);
+    if (!campaign) return;
+
+    const abTest = findABTest(campaign, req, res);
+    if (!abTest) return;
+
+    if (abTest.status !== "running") {
+      return res.status(409).json({
+        success: false,
+        message: "Results can only be recorded for running A/B tests",
+      });
+    }
+
+    const { variant, participants = 0, conversions = 0 } = req.body;
+    const current =
+      abTest.metrics[variant === "variant_a" ? "variantA" : "variantB"];
+
+    if (
+      current.conversions + conversions >
+      current.participants + participants
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Conversions cannot exceed participants",
+      });
+    }
+
+    const result = await Campaign.recordABTestResults(
+      campaign._id,
+      abTest._id,
+      variant,
+      { participants, conversions }
+    );
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: "A/B test is no longer running",
+      });
+    }
+
+    // Notify once, from the update that completed the test
+    const updatedTest = result.campaign.abTests.id(abTest._id);
+    if (result.completed) {
+      notifyABTestCompleted(result.campaign, updatedTest, req.workspace);
+    }
+
+    res.json({
+      success: true,
+      message: "A/B test results recorded successfully",
+      data: {
+        abTest: updatedTest,
+      },
+    });
+  } catch (error) {
+    console.error("Record A/B test results error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while recording A/B test results",
+    });
+  }
+};
+
+module.exports = {
+  getABTests,
+  getABTest,
+  createABTest,
+  updateABTest,
+  deleteABTest,
+  startABTest,
+  stopABTest,
+  completeABTest,
+  linkVariantContent,
+  recordABTestResults,
+};
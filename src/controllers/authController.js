@@ -1,5 +1,35 @@
+const AccountToken = require("../models/AccountToken");
+const RefreshToken = require("../models/RefreshToken");
 const User = require("../models/User");
-const { generateTokens, verifyRefreshToken } = require("../utils/jwt");
+const Workspace = require("../models/Workspace");
+const mailService = require("../services/mailService");
+const socketService = require("../services/socketService");
+const { mfaConfig } = require("../config/mfa");
+const { verifyRefreshToken } = require("../utils/jwt");
+
+/**
+ * Device metadata stored with a session
+ * @param {Object} req - Express request object
+ * @returns {Object} { userAgent, ipAddress, deviceName }
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get("user-agent"),
+  ipAddress: req.ip,
+  deviceName: req.body.deviceName,
+});
+
+/**
+ * Email a new verification link to a user
+ * @param {Object} user - User to verify
+ * @returns {Object} Delivery result ({ messageId })
+ */
+const deliverVerificationEmail = async (user) => {
+  const { token, expiresIn } = await AccountToken.issue(
+    user,
+    "email_verification"
+  );
+  return mailService.sendVerificationEmail(user, token, expiresIn);
+};
 
 /**
  * Register a new user
@@ -30,8 +60,16 @@ const register = async (req, res) => {
 
     await user.save();
 
-    // Generate tokens
-    const tokens = generateTokens(user);
+    // Every user starts in a personal workspace
+    const workspace = await Workspace.resolveCurrent(user);
+
+    // A mail outage shouldn't fail registration; the user can ask again
+    deliverVerificationEmail(user).catch((error) =>
+      console.error("Send verification email error:", error)
+    );
+
+    // Generate tokens and start a session
+    const tokens = await RefreshToken.issue(user, getClientInfo(req));
 
     // Update last login
     await user.updateLastLogin();
@@ -49,8 +87,10 @@ const register = async (req, res) => {
           companyName: user.companyName,
           role: user.role,
           subscriptionTier: user.subscriptionTier,
+          isEmailVerified: user.isEmailVerified,
           createdAt: user.createdAt,
         },
+        workspace: workspace.toSummary(user._id, workspace._id),
         ...tokens,
       },
     });
@@ -63,6 +103,47 @@ const register = async (req, res) => {
   }
 };
 
+/**
+ * Start a session for a user who passed every login step
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user
+ * @param {Object} extra - Additional response data
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Generate tokens and start a session
+  const tokens = await RefreshToken.issue(user, getClientInfo(req));
+
+  // Update last login
+  await user.updateLastLogin();
+
+  const workspace = await Workspace.resolveCurrent(user);
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        fullName: user.fullName,
+        companyName: user.companyName,
+        role: user.role,
+        subscriptionTier: user.subscriptionTier,
+        isEmailVerified: user.isEmailVerified,
+        lastLogin: user.lastLogin,
+      },
+      workspace: workspace.toSummary(user._id, workspace._id),
+      // Set when a workspace requires two-factor and it isn't set up yet
+      mfaEnrollmentRequired: await Workspace.mustEnrollMfa(user),
+      ...extra,
+      ...tokens,
+    },
+  });
+};
+
 /**
  * Login user
  * @route POST /api/auth/login
@@ -98,30 +179,25 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate tokens
-    const tokens = generateTokens(user);
+    // With two-factor on, the password only earns a short-lived challenge
+    if (user.mfa.enabled) {
+      const { token, expiresIn } = await AccountToken.issue(
+        user,
+        "mfa_challenge"
+      );
 
-    // Update last login
-    await user.updateLastLogin();
-
-    res.json({
-      success: true,
-      message: "Login successful",
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          fullName: user.fullName,
-          companyName: user.companyName,
-          role: user.role,
-          subscriptionTier: user.subscriptionTier,
-          lastLogin: user.lastLogin,
+      return res.json({
+        success: true,
+        message: "Enter the code from your authenticator app to continue",
+        data: {
+          mfaRequired: true,
+          mfaToken: token,
+          expiresIn,
         },
-        ...tokens,
-      },
-    });
+      });
+    }
+
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({
@@ -131,6 +207,65 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Finish a two-factor login with an authenticator or recovery code
+ * @route POST /api/auth/login/mfa
+ * @access Public
+ */
+const verifyMfaLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const challenge = await AccountToken.findUsable(mfaToken, "mfa_challenge");
+    const user = challenge && (await User.findById(challenge.userId));
+
+    if (!user || !user.isActive || !user.mfa.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired MFA token. Please log in again.",
+      });
+    }
+
+    if (!(await user.verifySecondFactor({ code, recoveryCode }))) {
+      await challenge.recordFailedAttempt(mfaConfig.maxChallengeAttempts);
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+        attemptsRemaining: Math.max(
+          mfaConfig.maxChallengeAttempts - challenge.attempts,
+          0
+        ),
+      });
+    }
+
+    // Redeem the challenge; a parallel request may have already used it
+    if (!(await AccountToken.consume(mfaToken, "mfa_challenge"))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired MFA token. Please log in again.",
+      });
+    }
+
+    await completeLogin(
+      req,
+      res,
+      user,
+      recoveryCode && !code
+        ? {
+            recoveryCodesRemaining: user.getMfaStatus().recoveryCodesRemaining,
+          }
+        : {}
+    );
+  } catch (error) {
+    console.error("MFA login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error during login",
+    });
+  }
+};
+
 /**
  * Get current user profile
  * @route GET /api/auth/profile
@@ -154,10 +289,14 @@ const getProfile = async (req, res) => {
           role: user.role,
           subscriptionTier: user.subscriptionTier,
           isActive: user.isActive,
+          isEmailVerified: user.isEmailVerified,
+          mfaEnabled: user.mfa.enabled,
+          mfaRequired: req.workspace.settings.mfaRequired,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt,
         },
+        workspace: req.workspace.toSummary(user._id, req.workspace._id),
       },
     });
   } catch (error) {
@@ -225,7 +364,8 @@ const updateProfile = async (req, res) => {
 };
 
 /**
- * Refresh access token
+ * Exchange a refresh token for a new token pair. The refresh token is
+ * single-use: presenting an already rotated token ends its whole session.
  * @route POST /api/auth/refresh-token
  * @access Public
  */
@@ -233,18 +373,43 @@ const refreshToken = async (req, res) => {
   try {
     const { refreshToken } = req.body;
 
-    if (!refreshToken) {
+    // Verify refresh token
+    const decoded = verifyRefreshToken(refreshToken);
+    const result = decoded.jti && (await RefreshToken.claim(decoded.jti));
+
+    if (!result) {
       return res.status(401).json({
         success: false,
-        message: "Refresh token is required",
+        message: "Invalid or expired refresh token",
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
+    const { token, claimed } = result;
+
+    if (!claimed) {
+      if (token.revokedReason === "rotated") {
+        // A rotated token came back: it was copied. End the session so
+        // neither the thief nor the user can keep refreshing with it.
+        await RefreshToken.revokeFamily(token.familyId, "reuse_detected");
+        console.warn(
+          `⚠️  Refresh token reuse detected for user ${token.userId}, session ${token.familyId} revoked`
+        );
+        socketService.sendNotification(token.userId.toString(), {
+          type: "security_alert",
+          message:
+            "A refresh token was reused, so one of your sessions was signed out. If this wasn't you, change your password.",
+          sessionId: token.familyId,
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has been revoked",
+      });
+    }
 
     // Get user from database
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(token.userId);
 
     if (!user || !user.isActive) {
       return res.status(401).json({
@@ -253,8 +418,15 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user);
+    // Rotate within the same session
+    const tokens = await RefreshToken.issue(user, {
+      familyId: token.familyId,
+      sessionStartedAt: token.sessionStartedAt,
+      userAgent: req.get("user-agent") || token.userAgent,
+      ipAddress: req.ip,
+      deviceName: token.deviceName,
+      replaces: token.tokenId,
+    });
 
     res.json({
       success: true,
@@ -271,14 +443,14 @@ const refreshToken = async (req, res) => {
 };
 
 /**
- * Logout user (client-side token removal)
+ * Logout user by ending the current session, which revokes its refresh
+ * tokens and the access tokens issued for it
  * @route POST /api/auth/logout
  * @access Private
  */
 const logout = async (req, res) => {
   try {
-    // In a JWT implementation, logout is typically handled client-side
-    // by removing the tokens from storage. Here we just send a success response.
+    await RefreshToken.revokeFamily(req.sessionId, "logout");
 
     res.json({
       success: true,
@@ -293,11 +465,273 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * List the user's active sessions
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const tokens = await RefreshToken.findActiveSessions(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: tokens.map((token) => token.toSession(req.sessionId)),
+      },
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching sessions",
+    });
+  }
+};
+
+/**
+ * Revoke one of the user's sessions
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @access Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await RefreshToken.exists({
+      familyId: sessionId,
+      userId: req.userId,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await RefreshToken.revokeFamily(sessionId, "revoked_by_user");
+
+    res.json({
+      success: true,
+      message:
+        sessionId === req.sessionId
+          ? "Current session revoked; you have been logged out"
+          : "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while revoking session",
+    });
+  }
+};
+
+/**
+ * Revoke all of the user's sessions except the current one
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    await RefreshToken.revokeUserSessions(
+      req.userId,
+      "revoked_by_user",
+      req.sessionId
+    );
+
+    res.json({
+      success: true,
+      message: "All other sessions have been revoked",
+    });
+  } catch (error) {
+    console.error("Revoke other sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while revoking sessions",
+    });
+  }
+};
+
+/**
+ * Email a password reset link. Responds the same whether or not the email
+ * belongs to an account so the endpoint can't be used to find users.
+ * @route POST /api/auth/password-reset/request
+ * @access Public
+ */
+const requestPasswordReset = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email, isActive: true });
+
+    if (user) {
+      try {
+        const { token, expiresIn } = await AccountToken.issue(
+          user,
+          "password_reset"
+        );
+        await mailService.sendPasswordResetEmail(user, token, expiresIn);
+      } catch (error) {
+        console.error("Send password reset email error:", error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an account exists for that email, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Request password reset error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while requesting password reset",
+    });
+  }
+};
+
+/**
+ * Set a new password with a password reset token. Every existing session
+ * is signed out.
+ * @route POST /api/auth/password-reset/confirm
+ * @access Public
+ */
+const confirmPasswordReset = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const accountToken = await AccountToken.consume(token, "password_reset");
+    const user =
+      accountToken &&
+      (await User.findOne({ _id: accountToken.userId, isActive: true }));
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired password reset token",
+      });
+    }
+
+    user.passwordHash = password; // Will be hashed by the pre-save middleware
+    user.passwordChangedAt = new Date();
+
+    // Opening the emailed link proves the address belongs to the user
+    if (!user.isEmailVerified && accountToken.email === user.email) {
+      user.markEmailVerified();
+    }
+
+    await user.save();
+    await RefreshToken.revokeUserSessions(user._id, "password_changed");
+
+    socketService.sendNotification(user._id.toString(), {
+      type: "security_alert",
+      message:
+        "Your password was reset and all sessions were signed out. If this wasn't you, contact support.",
+    });
+
+    res.json({
+      success: true,
+      message: "Password reset successfully. Please log in again.",
+    });
+  } catch (error) {
+    console.error("Confirm password reset error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while resetting password",
+    });
+  }
+};
+
+/**
+ * Email a new verification link to the authenticated user
+ * @route POST /api/auth/email-verification/send
+ * @access Private
+ */
+const sendVerification = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email address is already verified",
+      });
+    }
+
+    await deliverVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`,
+    });
+  } catch (error) {
+    console.error("Send verification email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while sending verification email",
+    });
+  }
+};
+
+/**
+ * Verify the user's email address with an email verification token
+ * @route POST /api/auth/email-verification/verify
+ * @access Public
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const accountToken = await AccountToken.consume(
+      req.body.token,
+      "email_verification"
+    );
+    const user = accountToken && (await User.findById(accountToken.userId));
+
+    // Links sent to a previous address don't verify the current one
+    if (!user || accountToken.email !== user.email) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      user.markEmailVerified();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Email address verified successfully",
+      data: {
+        email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        emailVerifiedAt: user.emailVerifiedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while verifying email",
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyMfaLogin,
   getProfile,
   updateProfile,
   refreshToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  requestPasswordReset,
+  confirmPasswordReset,
+  sendVerification,
+  verifyEmail,
 };
@@ -1,14 +1,18 @@
 const Campaign = require("../models/Campaign");
+const Comment = require("../models/Comment");
+const Content = require("../models/Content");
+const ContentRevision = require("../models/ContentRevision");
 const Persona = require("../models/Persona");
 
 /**
- * Get all campaigns for the authenticated user
+ * Get the current workspace's campaigns and campaigns shared with the user
  * @route GET /api/campaigns
  * @access Private
  */
 const getCampaigns = async (req, res) => {
   try {
     const userId = req.userId;
+    const workspaceId = req.workspace._id;
     const {
       page = 1,
       limit = 10,
@@ -17,11 +21,18 @@ const getCampaigns = async (req, res) => {
       search,
       sortBy = "createdAt",
       sortOrder = "desc",
+      scope = "all",
     } = req.query;
 
     // Build query
+    const ownership = {
+      owned: { userId, workspaceId },
+      shared: { "collaborators.userId": userId },
+      workspace: { workspaceId },
+      all: Campaign.accessibleBy(userId, workspaceId),
+    };
     const query = {
-      userId,
+      ...(ownership[scope] || ownership.all),
       isArchived: false,
     };
 
@@ -51,16 +62,26 @@ const getCampaigns = async (req, res) => {
           path: "userId",
           select: "firstName lastName email",
         },
+        {
+          path: "collaborators.userId",
+          select: "firstName lastName email",
+        },
       ],
       sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 },
     };
 
     const campaigns = await Campaign.paginate(query, options);
+    const contentStats = await Content.countByType(
+      campaigns.docs.map((campaign) => campaign._id)
+    );
 
     res.json({
       success: true,
       data: {
-        campaigns: campaigns.docs,
+        campaigns: campaigns.docs.map((campaign) => ({
+          ...campaign.toJSON(),
+          contentStats: contentStats[campaign._id.toString()] || {},
+        })),
         pagination: {
           currentPage: campaigns.page,
           totalPages: campaigns.totalPages,
@@ -102,17 +123,23 @@ const getCampaign = async (req, res) => {
     }
 
     // Check if user can access this campaign
-    if (!campaign.isOwnedBy(userId) && !campaign.canBeEditedBy(userId)) {
+    if (!campaign.canBeViewedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this campaign",
       });
     }
 
+    const contentStats = await Content.countByType(campaign._id);
+
     res.json({
       success: true,
       data: {
-        campaign,
+        campaign: {
+          ...campaign.toJSON(),
+          contentStats: contentStats[campaign._id.toString()] || {},
+        },
+        role: campaign.getUserRole(userId, req.workspace),
       },
     });
   } catch (error) {
@@ -132,6 +159,14 @@ const getCampaign = async (req, res) => {
 const createCampaign = async (req, res) => {
   try {
     const userId = req.userId;
+    const workspace = req.workspace;
+
+    if (!workspace.canEditContent(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Viewers cannot create campaigns in this workspace",
+      });
+    }
 
     // Verify persona exists and user has access to it
     const persona = await Persona.findById(req.body.personaId);
@@ -143,12 +178,8 @@ const createCampaign = async (req, res) => {
       });
     }
 
-    // Check if user can access this persona
-    if (
-      !persona.isPredefined &&
-      persona.userId &&
-      persona.userId.toString() !== userId.toString()
-    ) {
+    // Check if the persona is in the workspace's library
+    if (!persona.isAvailableIn(workspace._id)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this persona",
@@ -159,6 +190,7 @@ const createCampaign = async (req, res) => {
     const campaignData = {
       ...req.body,
       userId,
+      workspaceId: workspace._id,
       status: "draft",
     };
 
@@ -206,7 +238,7 @@ const updateCampaign = async (req, res) => {
     }
 
     // Check if user can edit this campaign
-    if (!campaign.canBeEditedBy(userId)) {
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message:
@@ -228,11 +260,7 @@ const updateCampaign = async (req, res) => {
         });
       }
 
-      if (
-        !persona.isPredefined &&
-        persona.userId &&
-        persona.userId.toString() !== userId.toString()
-      ) {
+      if (!persona.isAvailableIn(campaign.workspaceId)) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this persona",
@@ -240,10 +268,21 @@ const updateCampaign = async (req, res) => {
       }
     }
 
+    // Ownership, workspace and collaborators are managed elsewhere
+    const updates = { ...req.body };
+    delete updates.userId;
+    delete updates.workspaceId;
+    delete updates.collaborators;
+
+    // Review requirements are set by the owner and admins
+    if (!campaign.canManageCollaborators(userId, req.workspace)) {
+      delete updates.approvalSettings;
+    }
+
     // Update the campaign
     const updatedCampaign = await Campaign.findByIdAndUpdate(
       id,
-      { ...req.body, updatedAt: new Date() },
+      { ...updates, updatedAt: new Date() },
       { new: true, runValidators: true }
     )
       .populate("personaId", "name description demographics")
@@ -294,6 +333,11 @@ const deleteCampaign = async (req, res) => {
     }
 
     await Campaign.findByIdAndDelete(id);
+    await Promise.all([
+      Content.deleteMany({ campaignId: id }),
+      ContentRevision.deleteMany({ campaignId: id }),
+      Comment.deleteMany({ campaignId: id }),
+    ]);
 
     res.json({
       success: true,
@@ -327,7 +371,7 @@ const archiveCampaign = async (req, res) => {
       });
     }
 
-    if (!campaign.canBeEditedBy(userId)) {
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message:
@@ -351,17 +395,17 @@ const archiveCampaign = async (req, res) => {
 };
 
 /**
- * Get campaign statistics for the user
+ * Get campaign statistics for the current workspace
  * @route GET /api/campaigns/stats
  * @access Private
  */
 const getCampaignStats = async (req, res) => {
   try {
-    const userId = req.userId;
+    const workspaceId = req.workspace._id;
 
     const stats = await Campaign.aggregate([
       {
-        $match: { userId: userId, isArchived: false },
+        $match: { workspaceId, isArchived: false },
       },
       {
         $group: {
@@ -415,7 +459,7 @@ const getCampaignStats = async (req, res) => {
     // Get campaigns by objective
     const objectiveStats = await Campaign.aggregate([
       {
-        $match: { userId: userId, isArchived: false },
+        $match: { workspaceId, isArchived: false },
       },
       {
         $group: {
@@ -427,7 +471,7 @@ const getCampaignStats = async (req, res) => {
 
     // Get recent campaign activity
     const recentCampaigns = await Campaign.find({
-      userId,
+      workspaceId,
       isArchived: false,
     })
       .select("name status createdAt updatedAt")
@@ -470,7 +514,7 @@ const addContentToCampaign = async (req, res) => {
       });
     }
 
-    if (!campaign.canBeEditedBy(userId)) {
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message:
@@ -478,14 +522,33 @@ const addContentToCampaign = async (req, res) => {
       });
     }
 
-    // Add content to campaign
-    await campaign.addContent(req.body);
+    // Add content to campaign; ownership, history and review workflow
+    // fields are server-managed
+    const contentData = { ...req.body };
+    for (const field of [
+      "_id",
+      "campaignId",
+      "createdBy",
+      "lastEditedBy",
+      "version",
+      "status",
+      "reviewers",
+      "approvals",
+      "submittedBy",
+      "scheduledAt",
+      "statusHistory",
+      "isPublished",
+      "publishedAt",
+    ]) {
+      delete contentData[field];
+    }
+    const content = await campaign.addContent(contentData, userId);
 
     res.status(201).json({
       success: true,
       message: "Content added to campaign successfully",
       data: {
-        content: campaign.content[campaign.content.length - 1],
+        content,
       },
     });
   } catch (error) {
@@ -504,14 +567,14 @@ const addContentToCampaign = async (req, res) => {
  */
 const getDashboardCampaigns = async (req, res) => {
   try {
-    const userId = req.userId;
+    const workspaceId = req.workspace._id;
 
     // Get active campaigns
-    const activeCampaigns = await Campaign.findActiveCampaigns(userId);
+    const activeCampaigns = await Campaign.findActiveCampaigns(workspaceId);
 
     // Get recent campaigns
     const recentCampaigns = await Campaign.find({
-      userId,
+      workspaceId,
       isArchived: false,
     })
       .populate("personaId", "name")
@@ -523,7 +586,7 @@ const getDashboardCampaigns = async (req, res) => {
     const nextWeek = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
 
     const attentionNeeded = await Campaign.find({
-      userId,
+      workspaceId,
       status: "active",
       endDate: { $lte: nextWeek },
       isArchived: false,
@@ -0,0 +1,289 @@
+const Campaign = require("../models/Campaign");
+const User = require("../models/User");
+const socketService = require("../services/socketService");
+
+// User fields exposed for collaborators
+const USER_FIELDS = "firstName lastName email";
+
+/**
+ * Load the campaign from the route with collaborators populated. Sends a
+ * 404 and returns null when the campaign does not exist.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Campaign document
+ */
+const loadCampaign = async (req, res) => {
+  const campaign = await Campaign.findById(req.params.id)
+    .populate("userId", USER_FIELDS)
+    .populate("collaborators.userId", USER_FIELDS);
+
+  if (!campaign) {
+    res.status(404).json({
+      success: false,
+      message: "Campaign not found",
+    });
+    return null;
+  }
+
+  return campaign;
+};
+
+/**
+ * Check whether the acting user may grant, change or revoke a role.
+ * Admins manage viewers and editors; only the owner manages admins.
+ * @param {Object} campaign - Campaign document
+ * @param {String} userId - Acting user ID
+ * @param {Array} roles - Roles involved in the change
+ * @param {Object} workspace - Current workspace
+ * @returns {Boolean} True if allowed
+ */
+const canAssignRoles = (campaign, userId, roles, workspace) =>
+  campaign.isOwnedBy(userId) ||
+  (campaign.canManageCollaborators(userId, workspace) &&
+    !roles.includes("admin"));
+
+/**
+ * Get collaborators of a campaign
+ * @route GET /api/campaigns/:id/collaborators
+ * @access Private
+ */
+const getCollaborators = async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    if (!campaign.canBeViewedBy(req.userId, req.workspace)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this campaign",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        owner: campaign.userId,
+        collaborators: campaign.collaborators,
+        role: campaign.getUserRole(req.userId, req.workspace),
+      },
+    });
+  } catch (error) {
+    console.error("Get collaborators error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching collaborators",
+    });
+  }
+};
+
+/**
+ * Add a registered user as a collaborator
+ * @route POST /api/campaigns/:id/collaborators
+ * @access Private (owner or admin)
+ */
+const addCollaborator = async (req, res) => {
+  try {
+    const { email, role = "viewer" } = req.body;
+    const userId = req.userId;
+
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    if (!canAssignRoles(campaign, userId, [role], req.workspace)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          role === "admin" &&
+          campaign.canManageCollaborators(userId, req.workspace)
+            ? "Only the campaign owner can add admins"
+            : "Only the campaign owner or admins can manage collaborators",
+      });
+    }
+
+    const user = await User.findOne({ email }).select(USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "No user found with this email address",
+      });
+    }
+
+    if (campaign.isOwnedBy(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "The campaign owner cannot be added as a collaborator",
+      });
+    }
+
+    if (campaign.findCollaborator(user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: "User is already a collaborator on this campaign",
+      });
+    }
+
+    campaign.collaborators.push({
+      userId: user._id,
+      role,
+      addedAt: new Date(),
+    });
+    await campaign.save();
+
+    socketService.sendNotification(user._id.toString(), {
+      type: "campaign_shared",
+      message: `You were added to campaign "${campaign.name}" as ${role}`,
+      campaignId: campaign._id,
+      role,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Collaborator added successfully",
+      data: {
+        collaborator: {
+          userId: user,
+          role,
+          addedAt: campaign.findCollaborator(user._id).addedAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Add collaborator error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while adding collaborator",
+    });
+  }
+};
+
+/**
+ * Change a collaborator's role
+ * @route PUT /api/campaigns/:id/collaborators/:userId
+ * @access Private (owner or admin)
+ */
+const updateCollaborator = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const userId = req.userId;
+
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const collaborator = campaign.findCollaborator(req.params.userId);
+
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: "Collaborator not found",
+      });
+    }
+
+    if (
+      !canAssignRoles(
+        campaign,
+        userId,
+        [collaborator.role, role],
+        req.workspace
+      )
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: campaign.canManageCollaborators(userId, req.workspace)
+          ? "Only the campaign owner can change admin roles"
+          : "Only the campaign owner or admins can manage collaborators",
+      });
+    }
+
+    collaborator.role = role;
+    await campaign.save();
+
+    socketService.sendNotification(req.params.userId, {
+      type: "collaborator_role_changed",
+      message: `Your role on campaign "${campaign.name}" is now ${role}`,
+      campaignId: campaign._id,
+      role,
+    });
+
+    res.json({
+      success: true,
+      message: "Collaborator updated successfully",
+      data: {
+        collaborator,
+      },
+    });
+  } catch (error) {
+    console.error("Update collaborator error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating collaborator",
+    });
+  }
+};
+
+/**
+ * Remove a collaborator. Collaborators may also remove themselves.
+ * @route DELETE /api/campaigns/:id/collaborators/:userId
+ * @access Private (owner, admin or the collaborator)
+ */
+const removeCollaborator = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const collaborator = campaign.findCollaborator(req.params.userId);
+
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: "Collaborator not found",
+      });
+    }
+
+    const leaving = req.params.userId === userId.toString();
+    if (
+      !leaving &&
+      !canAssignRoles(campaign, userId, [collaborator.role], req.workspace)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: campaign.canManageCollaborators(userId, req.workspace)
+          ? "Only the campaign owner can remove admins"
+          : "Only the campaign owner or admins can manage collaborators",
+      });
+    }
+
+    collaborator.deleteOne();
+    await campaign.save();
+
+    if (!leaving) {
+      socketService.sendNotification(req.params.userId, {
+        type: "campaign_access_removed",
+        message: `You were removed from campaign "${campaign.name}"`,
+        campaignId: campaign._id,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: leaving
+        ? "You left the campaign"
+        : "Collaborator removed successfully",
+    });
+  } catch (error) {
+    console.error("Remove collaborator error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while removing collaborator",
+    });
+  }
+};
+
+module.exports = {
+  getCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+};
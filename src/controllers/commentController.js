@@ -0,0 +1,541 @@
+const Campaign = require("../models/Campaign");
+const Comment = require("../models/Comment");
+const Content = require("../models/Content");
+const socketService = require("../services/socketService");
+
+// User fields exposed for comment authors
+const USER_FIELDS = "firstName lastName email";
+
+/**
+ * Load the content item from the route and its campaign. Any campaign
+ * member may read and write comments. Sends a 404 or 403 and returns null
+ * when the user may not proceed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { content, campaign }
+ */
+const loadContent = async (req, res) => {
+  const content = await Content.findById(req.params.id);
+  const campaign = content && (await Campaign.findById(content.campaignId));
+
+  if (!content || !campaign) {
+    res.status(404).json({
+      success: false,
+      message: "Content not found",
+    });
+    return null;
+  }
+
+  if (!campaign.canBeViewedBy(req.userId, req.workspace)) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied to this content",
+    });
+    return null;
+  }
+
+  return { content, campaign };
+};
+
+/**
+ * Find the comment from the route on the loaded content item. Sends a 404
+ * and returns null when it does not exist.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} content - Content document
+ * @returns {Object|null} Comment document
+ */
+const findComment = async (req, res, content) => {
+  const comment = await Comment.findOne({
+    _id: req.params.commentId,
+    contentId: content._id,
+  });
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: "Comment not found",
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+/**
+ * Parse @mentions from a comment body and check they are campaign members
+ * @param {Object} campaign - Campaign document
+ * @param {String} body - Comment body
+ * @param {Object} workspace - Current workspace
+ * @returns {Object} { mentions, error }
+ */
+const resolveMentions = (campaign, body, workspace) => {
+  const mentions = Comment.parseMentions(body);
+  const members = campaign.getMemberIds(workspace);
+
+  if (mentions.some((userId) => !members.includes(userId))) {
+    return {
+      mentions,
+      error: "Only members of this campaign can be mentioned",
+    };
+  }
+  return { mentions, error: null };
+};
+
+/**
+ * Notify users about comment activity, skipping the author
+ * @param {Array} userIds - Recipient user IDs
+ * @param {String} authorId - Comment author ID
+ * @param {Object} notification - Notification payload
+ */
+const notifyUsers = (userIds, authorId, notification) => {
+  const recipients = new Set(
+    userIds.filter(Boolean).map((userId) => userId.toString())
+  );
+  recipients.delete(authorId.toString());
+
+  for (const userId of recipients) {
+    socketService.sendNotification(userId, notification);
+  }
+};
+
+/**
+ * Get comment threads on a content item, oldest first, each with its replies
+ * @route GET /api/content/:id/comments
+ * @access Private
+ * @query resolved - Filter threads by resolution (true or false)
+ * @query field - Filter threads anchored to a field
+ */
+const getComments = async (req, res) => {
+  try {
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content } = loaded;
+
+    const { page = 1, limit = 20, resolved, field } = req.query;
+
+    const query = { contentId: content._id, parentId: null };
+
+    if (resolved !== undefined) {
+      query.isResolved = resolved === "true";
+    }
+
+    if (field) {
+      query["anchor.field"] = field;
+    }
+
+    const threads = await Comment.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      populate: [
+        { path: "authorId", select: USER_FIELDS },
+        { path: "resolvedBy", select: USER_FIELDS },
+      ],
+      sort: { createdAt: 1 },
+    });
+
+    const replies = await Comment.find({
+      parentId: { $in: threads.docs.map((thread) => thread._id) },
+    })
+      .populate("authorId", USER_FIELDS)
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        comments: threads.docs.map((thread) => ({
+          ...thread.toJSON(),
+          anchorOutdated: !thread.isAnchorCurrent(content),
+          replies: replies.filter((reply) => reply.parentId.equals(thread._id)),
+        })),
+        pagination: {
+          currentPage: threads.page,
+          totalPages: threads.totalPages,
+          totalDocuments: threads.totalDocs,
+          hasNextPage: threads.hasNextPage,
+          hasPrevPage: threads.hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get comments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching comments",
+    });
+  }
+};
+
+/**
+ * Start a comment thread, optionally anchored to a text range, or reply
+ * to an existing thread
+ * @route POST /api/content/:id/comments
+ * @access Private
+ */
+const createComment = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { body, parentId, anchor } = req.body;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, contentId: content._id });
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: "Parent comment not found",
+        });
+      }
+
+      // Threads are one level deep; replies to replies join the thread
+      if (!parent.isThreadRoot()) {
+        parent = await Comment.findById(parent.parentId);
+      }
+
+      if (anchor) {
+        return res.status(400).json({
+          success: false,
+          message: "Replies cannot be anchored; anchor the thread instead",
+        });
+      }
+    }
+
+    let commentAnchor;
+    if (anchor) {
+      const text = content[anchor.field] || "";
+
+      if (anchor.end > text.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Anchor is outside the ${anchor.field} text (${text.length} characters)`,
+        });
+      }
+
+      commentAnchor = {
+        ...anchor,
+        quote: text.slice(anchor.start, anchor.end),
+        contentVersion: content.version,
+      };
+    }
+
+    const { mentions, error } = resolveMentions(campaign, body, req.workspace);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const comment = await Comment.create({
+      contentId: content._id,
+      campaignId: campaign._id,
+      authorId: userId,
+      parentId: parent ? parent._id : null,
+      body,
+      anchor: commentAnchor,
+      mentions,
+    });
+    await comment.populate("authorId", USER_FIELDS);
+
+    socketService.emitToCampaign(
+      campaign._id.toString(),
+      "campaign:comment:created",
+      {
+        contentId: content._id,
+        comment,
+      }
+    );
+
+    const notification = {
+      campaignId: campaign._id,
+      contentId: content._id,
+      commentId: comment._id,
+    };
+    notifyUsers(mentions, userId, {
+      ...notification,
+      type: "comment_mention",
+      message: `${comment.authorId.firstName} mentioned you in a comment on "${campaign.name}"`,
+    });
+    notifyUsers(
+      (parent
+        ? [parent.authorId]
+        : [content.createdBy, content.submittedBy]
+      ).filter((id) => id && !mentions.includes(id.toString())),
+      userId,
+      {
+        ...notification,
+        type: parent ? "comment_reply" : "comment_created",
+        message: parent
+          ? `${comment.authorId.firstName} replied to your comment on "${campaign.name}"`
+          : `${comment.authorId.firstName} commented on your content in "${campaign.name}"`,
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Comment added successfully",
+      data: {
+        comment,
+      },
+    });
+  } catch (error) {
+    console.error("Create comment error:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: Object.values(error.errors).map((err) => ({
+          field: err.path,
+          message: err.message,
+        })),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while adding comment",
+    });
+  }
+};
+
+/**
+ * Edit the body of a comment
+ * @route PUT /api/content/:id/comments/:commentId
+ * @access Private (comment author)
+ */
+const updateComment = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    const comment = await findComment(req, res, content);
+    if (!comment) return;
+
+    if (!comment.authorId.equals(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only edit your own comments",
+      });
+    }
+
+    const { mentions, error } = resolveMentions(
+      campaign,
+      req.body.body,
+      req.workspace
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const previousMentions = comment.mentions.map((id) => id.toString());
+    comment.body = req.body.body;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate("authorId", USER_FIELDS);
+
+    socketService.emitToCampaign(
+      campaign._id.toString(),
+      "campaign:comment:updated",
+      {
+        contentId: content._id,
+        comment,
+      }
+    );
+
+    notifyUsers(
+      mentions.filter((id) => !previousMentions.includes(id)),
+      userId,
+      {
+        type: "comment_mention",
+        message: `${comment.authorId.firstName} mentioned you in a comment on "${campaign.name}"`,
+        campaignId: campaign._id,
+        contentId: content._id,
+        commentId: comment._id,
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "Comment updated successfully",
+      data: {
+        comment,
+      },
+    });
+  } catch (error) {
+    console.error("Update comment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating comment",
+    });
+  }
+};
+
+/**
+ * Delete a comment. Deleting a thread's first comment deletes its replies.
+ * @route DELETE /api/content/:id/comments/:commentId
+ * @access Private (comment author, campaign owner or admin)
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    const comment = await findComment(req, res, content);
+    if (!comment) return;
+
+    if (
+      !comment.authorId.equals(userId) &&
+      !campaign.canManageCollaborators(userId, req.workspace)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the comment author or campaign owner and admins can delete comments",
+      });
+    }
+
+    if (comment.isThreadRoot()) {
+      await Comment.deleteMany({ parentId: comment._id });
+    }
+    await comment.deleteOne();
+
+    socketService.emitToCampaign(
+      campaign._id.toString(),
+      "campaign:comment:deleted",
+      {
+        contentId: content._id,
+        commentId: comment._id,
+        parentId: comment.parentId,
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "Comment deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete comment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting comment",
+    });
+  }
+};
+
+/**
+ * Build a handler that resolves or reopens a comment thread
+ * @param {Boolean} resolved - Target resolution state
+ * @returns {Function} Express handler
+ */
+const setThreadResolution = (resolved) => async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    const comment = await findComment(req, res, content);
+    if (!comment) return;
+
+    if (!comment.isThreadRoot()) {
+      return res.status(400).json({
+        success: false,
+        message: "Only comment threads can be resolved; use the first comment",
+      });
+    }
+
+    if (
+      !comment.authorId.equals(userId) &&
+      !campaign.canBeEditedBy(userId, req.workspace)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Only the thread author or campaign owners, admins and editors can resolve threads",
+      });
+    }
+
+    if (comment.isResolved === resolved) {
+      return res.status(409).json({
+        success: false,
+        message: resolved
+          ? "Thread is already resolved"
+          : "Thread is not resolved",
+      });
+    }
+
+    comment.isResolved = resolved;
+    comment.resolvedBy = resolved ? userId : undefined;
+    comment.resolvedAt = resolved ? new Date() : undefined;
+    await comment.save();
+
+    socketService.emitToCampaign(
+      campaign._id.toString(),
+      resolved ? "campaign:comment:resolved" : "campaign:comment:unresolved",
+      {
+        contentId: content._id,
+        commentId: comment._id,
+        isResolved: resolved,
+        resolvedBy: comment.resolvedBy,
+      }
+    );
+
+    if (resolved) {
+      notifyUsers([comment.authorId], userId, {
+        type: "comment_resolved",
+        message: `Your comment on "${campaign.name}" was resolved`,
+        campaignId: campaign._id,
+        contentId: content._id,
+        commentId: comment._id,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: resolved ? "Thread resolved" : "Thread reopened",
+      data: {
+        comment,
+      },
+    });
+  } catch (error) {
+    console.error(`Set thread resolution (${resolved}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating comment thread",
+    });
+  }
+};
+
+/**
+ * Resolve a comment thread
+ * @route PUT /api/content/:id/comments/:commentId/resolve
+ * @access Private (thread author, campaign owner, admin or editor)
+ */
+const resolveComment = setThreadResolution(true);
+
+/**
+ * Reopen a resolved comment thread
+ * @route PUT /api/content/:id/comments/:commentId/unresolve
+ * @access Private (thread author, campaign owner, admin or editor)
+ */
+const unresolveComment = setThreadResolution(false);
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  unresolveComment,
+};
@@ -1,26 +1,140 @@
 const Campaign = require("../models/Campaign");
 const Persona = require("../models/Persona");
+const Workspace = require("../models/Workspace");
 const AIContentGenerator = require("../services/aiService");
+const queueService = require("../services/queueService");
+const usageService = require("../services/usageService");
+const responseCache = require("../services/responseCache");
+const { AI_PROVIDERS, AI_TASKS, aiConfig } = require("../config/ai");
+const { AIProviderError } = require("../services/providers/errors");
+const { createContentStream } = require("../utils/contentStream");
 
 // Initialize AI service
 const aiService = new AIContentGenerator();
 
+/**
+ * Check whether the campaign's recorded generation job is still queued or
+ * running. Jobs lost by the queue (e.g. after a restart) do not count.
+ * @param {Object} campaign - Campaign document
+ * @returns {Boolean} True if a job is active
+ */
+const isGenerationJobActive = async (campaign) => {
+  if (!campaign.hasActiveGenerationJob()) return false;
+
+  const job = await queueService.getJobStatus(
+    "contentGeneration",
+    campaign.generationJob.jobId
+  );
+  return !!job && !["completed", "failed"].includes(job.status);
+};
+
+/**
+ * Check whether a campaign may generate content with a persona. Shared
+ * campaigns may always use their own persona, even from another workspace.
+ * @param {Object} persona - Persona document
+ * @param {Object} campaign - Campaign document
+ * @returns {Boolean} True if the persona can be used
+ */
+const canUsePersona = (persona, campaign) =>
+  persona.isAvailableIn(campaign.workspaceId) ||
+  campaign.personaId.toString() === persona._id.toString();
+
+/**
+ * Usage ledger context for generating content on a campaign
+ * @param {Object} req - Express request object
+ * @param {Object} campaign - Campaign document
+ * @returns {Object} { userId, workspaceId, campaignId }
+ */
+const getUsageContext = (req, campaign) => ({
+  userId: req.userId,
+  workspaceId: req.workspace._id,
+  campaignId: campaign._id,
+});
+
+/**
+ * Send the response for a failed generation. AI provider errors keep their
+ * status, code and Retry-After; anything else is a 500. An open stream is
+ * closed with the error instead, since SSE responses cannot switch back to
+ * JSON.
+ * @param {Object} res - Express response object
+ * @param {Object} stream - Content stream (optional)
+ * @param {Error} error - Generation error
+ * @param {String} subject - What was being generated (e.g. "ad copy")
+ */
+const sendGenerationError = (res, stream, error, subject) => {
+  const providerError = error instanceof AIProviderError ? error : null;
+
+  // Streams fail with a 200, so tell the quota middleware explicitly
+  res.locals.generationFailed = true;
+
+  if (
+    stream &&
+    stream.fail(
+      providerError?.message || `Failed to generate ${subject}`,
+      providerError?.code
+    )
+  ) {
+    return;
+  }
+
+  if (providerError) {
+    if (providerError.retryAfter) {
+      res.set("Retry-After", String(providerError.retryAfter));
+    }
+    return res.status(providerError.statusCode).json({
+      success: false,
+      message: providerError.message,
+      code: providerError.code,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: `Internal server error while generating ${subject}`,
+  });
+};
+
+/**
+ * Queue a content generation job and mark it pending on the campaign
+ * @param {Object} campaign - Campaign document
+ * @param {String} jobType - Job name (batch-generate, generate-variations)
+ * @param {Object} data - Job data
+ * @returns {Object} Queued job ({ id, queueName, status })
+ */
+const queueContentGenerationJob = async (campaign, jobType, data) => {
+  const job = await queueService.addContentGenerationJob(jobType, data);
+
+  // The in-process queue may already have picked the job up
+  await Campaign.updateOne(
+    { _id: campaign._id, "generationJob.jobId": { $ne: job.id } },
+    {
+      $set: {
+        generationJob: { jobId: job.id, status: "pending", progress: 0 },
+      },
+    }
+  );
+
+  return job;
+};
+
 /**
  * Generate email content for a campaign
  * @route POST /api/content/generate-email
  * @access Private
  */
 const generateEmailContent = async (req, res) => {
+  let stream;
+
   try {
     const { campaignId, personaId, customInstructions } = req.body;
     const userId = req.userId;
 
     // Validate AI service availability
-    if (!aiService.isAvailable()) {
+    if (!aiService.isAvailable(req.workspace.aiSettings)) {
       return res.status(503).json({
         success: false,
         message:
-          "AI content generation service is not available. Please configure OpenAI API key.",
+          "AI content generation service is not available. Please configure an AI provider.",
       });
     }
 
@@ -45,14 +159,14 @@ const generateEmailContent = async (req, res) => {
     }
 
     // Check access permissions
-    if (!campaign.canBeEditedBy(userId)) {
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this campaign",
       });
     }
 
-    if (!persona.isPredefined && persona.userId && !persona.isOwnedBy(userId)) {
+    if (!canUsePersona(persona, campaign)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this persona",
@@ -65,28 +179,48 @@ const generateEmailContent = async (req, res) => {
       campaign.generationSettings.customInstructions = customInstructions;
     }
 
+    // Stream generated tokens to the campaign room (and SSE clients)
+    stream = createContentStream(req, res, {
+      campaignId,
+      contentType: "email",
+      platform: "email",
+    });
+
     // Generate email content
     const emailContent = await aiService.generateEmailContent(
       persona,
-      campaign
+      campaign,
+      {
+        aiSettings: req.workspace.aiSettings,
+        tier: req.user.subscriptionTier,
+        workspaceId: req.workspace._id,
+        usage: getUsageContext(req, campaign),
+        useCache: req.body.useCache,
+        onToken: stream.onToken,
+      }
     );
 
     // Add content to campaign
-    await campaign.addContent(emailContent);
+    const content = await campaign.addContent(
+      { ...emailContent, personaId: persona._id },
+      userId
+    );
+    usageService.recordGeneration(getUsageContext(req, campaign), content);
+
+    if (stream.complete(content)) {
+      return;
+    }
 
     res.json({
       success: true,
       message: "Email content generated successfully",
       data: {
-        content: emailContent,
+        content,
       },
     });
   } catch (error) {
     console.error("Generate email content error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error while generating email content",
-    });
+    sendGenerationError(res, stream, error, "email content");
   }
 };
 
@@ -96,16 +230,18 @@ const generateEmailContent = async (req, res) => {
  * @access Private
  */
 const generateSocialContent = async (req, res) => {
+  let stream;
+
   try {
     const { campaignId, personaId, platform, customInstructions } = req.body;
     const userId = req.userId;
 
     // Validate AI service availability
-    if (!aiService.isAvailable()) {
+    if (!aiService.isAvailable(req.workspace.aiSettings)) {
       return res.status(503).json({
         success: false,
         message:
-          "AI content generation service is not available. Please configure OpenAI API key.",
+          "AI content generation service is not available. Please configure an AI provider.",
       });
     }
 
@@ -146,14 +282,14 @@ const generateSocialContent = async (req, res) => {
     }
 
     // Check access permissions
-    if (!campaign.canBeEditedBy(userId)) {
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this campaign",
       });
     }
 
-    if (!persona.isPredefined && persona.userId && !persona.isOwnedBy(userId)) {
+    if (!canUsePersona(persona, campaign)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this persona",
@@ -166,29 +302,49 @@ const generateSocialContent = async (req, res) => {
       campaign.generationSettings.customInstructions = customInstructions;
     }
 
+    // Stream generated tokens to the campaign room (and SSE clients)
+    stream = createContentStream(req, res, {
+      campaignId,
+      contentType: "social_post",
+      platform,
+    });
+
     // Generate social media content
     const socialContent = await aiService.generateSocialContent(
       persona,
       campaign,
-      platform
+      platform,
+      {
+        aiSettings: req.workspace.aiSettings,
+        tier: req.user.subscriptionTier,
+        workspaceId: req.workspace._id,
+        usage: getUsageContext(req, campaign),
+        useCache: req.body.useCache,
+        onToken: stream.onToken,
+      }
     );
 
     // Add content to campaign
-    await campaign.addContent(socialContent);
+    const content = await campaign.addContent(
+      { ...socialContent, personaId: persona._id },
+      userId
+    );
+    usageService.recordGeneration(getUsageContext(req, campaign), content);
+
+    if (stream.complete(content)) {
+      return;
+    }
 
     res.json({
       success: true,
       message: `${platform} content generated successfully`,
       data: {
-        content: socialContent,
+        content,
       },
     });
   } catch (error) {
     console.error("Generate social content error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error while generating social media content",
-    });
+    sendGenerationError(res, stream, error, "social media content");
   }
 };
 
@@ -198,6 +354,8 @@ const generateSocialContent = async (req, res) => {
  * @access Private
  */
 const generateAdCopy = async (req, res) => {
+  let stream;
+
   try {
     const {
       campaignId,
@@ -208,11 +366,11 @@ const generateAdCopy = async (req, res) => {
     const userId = req.userId;
 
     // Validate AI service availability
-    if (!aiService.isAvailable()) {
+    if (!aiService.isAvailable(req.workspace.aiSettings)) {
       return res.status(503).json({
         success: false,
         message:
-          "AI content generation service is not available. Please configure OpenAI API key.",
+          "AI content generation service is not available. Please configure an AI provider.",
       });
     }
 
@@ -237,14 +395,14 @@ const generateAdCopy = async (req, res) => {
     }
 
     // Check access permissions
-    if (!campaign.canBeEditedBy(userId)) {
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this campaign",
       });
     }
 
-    if (!persona.isPredefined && persona.userId && !persona.isOwnedBy(userId)) {
+    if (!canUsePersona(persona, campaign)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this persona",
@@ -257,29 +415,153 @@ const generateAdCopy = async (req, res) => {
       campaign.generationSettings.customInstructions = customInstructions;
     }
 
+    // Stream generated tokens to the campaign room (and SSE clients)
+    stream = createContentStream(req, res, {
+      campaignId,
+      contentType: "ad_copy",
+      platform,
+    });
+
     // Generate ad copy
     const adContent = await aiService.generateAdCopy(
       persona,
       campaign,
-      platform
+      platform,
+      {
+        aiSettings: req.workspace.aiSettings,
+        tier: req.user.subscriptionTier,
+        workspaceId: req.workspace._id,
+        usage: getUsageContext(req, campaign),
+        useCache: req.body.useCache,
+        onToken: stream.onToken,
+        onStreamReset: stream.reset,
+      }
     );
 
     // Add content to campaign
-    await campaign.addContent(adContent);
+    const content = await campaign.addContent(
+      { ...adContent, personaId: persona._id },
+      userId
+    );
+    usageService.recordGeneration(getUsageContext(req, campaign), content);
+
+    if (stream.complete(content)) {
+      return;
+    }
 
     res.json({
       success: true,
       message: "Ad copy generated successfully",
       data: {
-        content: adContent,
+        content,
       },
     });
   } catch (error) {
     console.error("Generate ad copy error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error while generating ad copy",
+    sendGenerationError(res, stream, error, "ad copy");
+  }
+};
+
+/**
+ * Generate a long-form blog post for a campaign
+ * @route POST /api/content/generate-blog
+ * @access Private
+ */
+const generateBlogPost = async (req, res) => {
+  let stream;
+
+  try {
+    const { campaignId, personaId, customInstructions } = req.body;
+    const userId = req.userId;
+
+    // Validate AI service availability
+    if (!aiService.isAvailable(req.workspace.aiSettings)) {
+      return res.status(503).json({
+        success: false,
+        message:
+          "AI content generation service is not available. Please configure an AI provider.",
+      });
+    }
+
+    // Get campaign and persona data
+    const [campaign, persona] = await Promise.all([
+      Campaign.findById(campaignId),
+      Persona.findById(personaId),
+    ]);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: "Campaign not found",
+      });
+    }
+
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        message: "Persona not found",
+      });
+    }
+
+    // Check access permissions
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this campaign",
+      });
+    }
+
+    if (!canUsePersona(persona, campaign)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this persona",
+      });
+    }
+
+    // Add custom instructions to campaign context if provided
+    if (customInstructions) {
+      campaign.generationSettings = campaign.generationSettings || {};
+      campaign.generationSettings.customInstructions = customInstructions;
+    }
+
+    // Stream generated tokens to the campaign room (and SSE clients)
+    stream = createContentStream(req, res, {
+      campaignId,
+      contentType: "blog_post",
+      platform: "blog",
+    });
+
+    // Generate blog post
+    const blogContent = await aiService.generateBlogPost(persona, campaign, {
+      aiSettings: req.workspace.aiSettings,
+      tier: req.user.subscriptionTier,
+      workspaceId: req.workspace._id,
+      usage: getUsageContext(req, campaign),
+      useCache: req.body.useCache,
+      onToken: stream.onToken,
+    });
+
+    // Add content to campaign
+    const content = await campaign.addContent(
+      { ...blogContent, personaId: persona._id },
+      userId
+    );
+    usageService.recordGeneration(getUsageContext(req, campaign), content);
+
+    if (stream.complete(content)) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      message: "Blog post generated successfully",
+      data: {
+        content,
+      },
     });
+  } catch (error) {
+    console.error("Generate blog post error:", error);
+    sendGenerationError(res, stream, error, "blog post");
   }
 };
 
@@ -300,16 +582,16 @@ const generateContentVariations = async (req, res) => {
     const userId = req.userId;
 
     // Validate AI service availability
-    if (!aiService.isAvailable()) {
+    if (!aiService.isAvailable(req.workspace.aiSettings)) {
       return res.status(503).json({
         success: false,
         message:
-          "AI content generation service is not available. Please configure OpenAI API key.",
+          "AI content generation service is not available. Please configure an AI provider.",
       });
     }
 
     // Validate inputs
-    const validContentTypes = ["email", "social_post", "ad_copy"];
+    const validContentTypes = ["email", "social_post", "ad_copy", "blog_post"];
     if (!validContentTypes.includes(contentType)) {
       return res.status(400).json({
         success: false,
@@ -345,46 +627,56 @@ const generateContentVariations = async (req, res) => {
     }
 
     // Check access permissions
-    if (!campaign.canBeEditedBy(userId)) {
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this campaign",
       });
     }
 
-    if (!persona.isPredefined && persona.userId && !persona.isOwnedBy(userId)) {
+    if (!canUsePersona(persona, campaign)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this persona",
       });
     }
 
-    // Set platform for social posts if needed
-    if (contentType === "social_post") {
-      campaign.generationSettings = campaign.generationSettings || {};
-      campaign.generationSettings.platforms = platform
-        ? [platform]
-        : ["linkedin"];
+    if (await isGenerationJobActive(campaign)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "A content generation job is already running for this campaign",
+        data: {
+          jobId: campaign.generationJob.jobId,
+          status: campaign.generationJob.status,
+        },
+      });
     }
 
-    // Generate content variations
-    const contentVariations = await aiService.generateContentVariations(
-      persona,
+    // Queue variation generation and return immediately
+    const job = await queueContentGenerationJob(
       campaign,
-      contentType,
-      variations
+      "generate-variations",
+      {
+        userId: userId.toString(),
+        workspaceId: req.workspace._id.toString(),
+        campaignId: campaign._id.toString(),
+        personaId: persona._id.toString(),
+        contentType,
+        variations,
+        platform,
+        useCache: req.body.useCache,
+        generationReservation: req.generationReservation,
+      }
     );
+    // The job releases whatever it doesn't generate
+    req.generationReservation = null;
 
-    // Add all variations to campaign
-    for (const content of contentVariations) {
-      await campaign.addContent(content);
-    }
-
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `${variations} ${contentType} variations generated successfully`,
+      message: `Generation of ${variations} ${contentType} variations has been queued`,
       data: {
-        variations: contentVariations,
+        job,
       },
     });
   } catch (error) {
@@ -413,11 +705,11 @@ const batchGenerateContent = async (req, res) => {
     const userId = req.userId;
 
     // Validate AI service availability
-    if (!aiService.isAvailable()) {
+    if (!aiService.isAvailable(req.workspace.aiSettings)) {
       return res.status(503).json({
         success: false,
         message:
-          "AI content generation service is not available. Please configure OpenAI API key.",
+          "AI content generation service is not available. Please configure an AI provider.",
       });
     }
 
@@ -442,67 +734,52 @@ const batchGenerateContent = async (req, res) => {
     }
 
     // Check access permissions
-    if (!campaign.canBeEditedBy(userId)) {
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this campaign",
       });
     }
 
-    if (!persona.isPredefined && persona.userId && !persona.isOwnedBy(userId)) {
+    if (!canUsePersona(persona, campaign)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this persona",
       });
     }
 
-    // Add custom instructions to campaign context if provided
-    if (customInstructions) {
-      campaign.generationSettings = campaign.generationSettings || {};
-      campaign.generationSettings.customInstructions = customInstructions;
+    if (await isGenerationJobActive(campaign)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "A content generation job is already running for this campaign",
+        data: {
+          jobId: campaign.generationJob.jobId,
+          status: campaign.generationJob.status,
+        },
+      });
     }
 
-    const generatedContent = [];
-    const errors = [];
-
-    // Generate content for each type and platform
-    for (const contentType of contentTypes) {
-      try {
-        if (contentType === "email") {
-          const emailContent = await aiService.generateEmailContent(
-            persona,
-            campaign
-          );
-          await campaign.addContent(emailContent);
-          generatedContent.push(emailContent);
-        } else if (contentType === "social_post") {
-          const socialPlatforms = platforms.filter((p) => p !== "email");
-          for (const platform of socialPlatforms) {
-            const socialContent = await aiService.generateSocialContent(
-              persona,
-              campaign,
-              platform
-            );
-            await campaign.addContent(socialContent);
-            generatedContent.push(socialContent);
-          }
-        } else if (contentType === "ad_copy") {
-          const adContent = await aiService.generateAdCopy(persona, campaign);
-          await campaign.addContent(adContent);
-          generatedContent.push(adContent);
-        }
-      } catch (error) {
-        console.error(`Error generating ${contentType}:`, error);
-        errors.push(`Failed to generate ${contentType}: ${error.message}`);
-      }
-    }
+    // Queue batch generation and return immediately
+    const job = await queueContentGenerationJob(campaign, "batch-generate", {
+      userId: userId.toString(),
+      workspaceId: req.workspace._id.toString(),
+      campaignId: campaign._id.toString(),
+      personaId: persona._id.toString(),
+      contentTypes,
+      platforms,
+      customInstructions,
+      useCache: req.body.useCache,
+      generationReservation: req.generationReservation,
+    });
+    // The job releases whatever it doesn't generate
+    req.generationReservation = null;
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Batch content generation completed. Generated ${generatedContent.length} pieces of content.`,
+      message: "Batch content generation has been queued",
       data: {
-        generatedContent,
-        errors: errors.length > 0 ? errors : undefined,
+        job,
       },
     });
   } catch (error) {
@@ -515,21 +792,103 @@ const batchGenerateContent = async (req, res) => {
 };
 
 /**
- * Get AI service status
+ * Get the status of a background generation job
+ * @route GET /api/content/jobs/:jobId
+ * @access Private
+ */
+const getGenerationJobStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.userId;
+
+    const job = await queueService.getJobStatus("contentGeneration", jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    // Only users with access to the campaign may see its jobs
+    const campaign = await Campaign.findById(job.campaignId);
+    if (!campaign || !campaign.canBeViewedBy(userId, req.workspace)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to this job",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        job,
+        generationJob: campaign.generationJob,
+      },
+    });
+  } catch (error) {
+    console.error("Get generation job status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching job status",
+    });
+  }
+};
+
+/**
+ * Get AI service status: the model chain each task tries for the user's
+ * subscription tier with circuit breaker states, and the model that last
+ * answered each task in the workspace
  * @route GET /api/content/ai-status
  * @access Private
  */
 const getAIStatus = async (req, res) => {
   try {
-    const isAvailable = aiService.isAvailable();
+    const aiSettings = req.workspace.aiSettings || {};
+    const isConfigured = aiService.isAvailable(aiSettings);
+    const provider = aiSettings.provider || aiConfig.defaultProvider;
+    const modelChains = aiService.getModelChains(
+      aiSettings,
+      req.user.subscriptionTier
+    );
+    const isOpen = (step) => step.circuit.state === "open";
+
+    // Scoring falls back to heuristics, so only content tasks can be blocked
+    const blockedTasks = AI_TASKS.filter(
+      (task) => task !== "scoring" && modelChains[task].every(isOpen)
+    );
+    const fallbackTasks = AI_TASKS.filter(
+      (task) => isOpen(modelChains[task][0]) && !blockedTasks.includes(task)
+    );
+
+    let message = "AI content generation service is available";
+    if (!isConfigured) {
+      message = `AI provider "${provider}" is not configured. Please check your AI environment variables.`;
+    } else if (blockedTasks.length) {
+      const retryAfter = Math.min(
+        ...blockedTasks.flatMap((task) =>
+          modelChains[task].map((step) => step.circuit.retryAfter)
+        )
+      );
+      message = `AI models for ${blockedTasks.join(
+        ", "
+      )} are failing; requests are paused for ${retryAfter}s.`;
+    } else if (fallbackTasks.length) {
+      message = `AI content generation is available; ${fallbackTasks.join(
+        ", "
+      )} requests are using fallback models.`;
+    }
 
     res.json({
       success: true,
       data: {
-        available: isAvailable,
-        message: isAvailable
-          ? "AI content generation service is available"
-          : "AI service not configured. Please set OPENAI_API_KEY environment variable.",
+        available: isConfigured && !blockedTasks.length,
+        provider,
+        models: aiService.getModels(aiSettings),
+        modelChains,
+        modelsUsed: await usageService.getLatestModels(req.workspace._id),
+        cache: responseCache.getStatus(),
+        message,
       },
     });
   } catch (error) {
@@ -541,11 +900,98 @@ const getAIStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get the workspace AI provider settings
+ * @route GET /api/content/ai-settings
+ * @access Private
+ */
+const getAISettings = async (req, res) => {
+  try {
+    const aiSettings = req.workspace.aiSettings || {};
+
+    res.json({
+      success: true,
+      data: {
+        aiSettings: {
+          provider: aiSettings.provider || aiConfig.defaultProvider,
+          models: aiService.getModels(aiSettings),
+          fallbackProviders: aiSettings.fallbackProviders || [],
+        },
+        availableProviders: AI_PROVIDERS,
+      },
+    });
+  } catch (error) {
+    console.error("Get AI settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching AI settings",
+    });
+  }
+};
+
+/**
+ * Update the workspace AI provider settings
+ * @route PUT /api/content/ai-settings
+ * @access Private (workspace owner/admin)
+ */
+const updateAISettings = async (req, res) => {
+  try {
+    const { provider, models = {}, fallbackProviders } = req.body;
+
+    if (!req.workspace.canManageMembers(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only workspace owners and admins can change AI settings",
+      });
+    }
+
+    // Build update object with only provided fields
+    const updateData = {};
+    if (provider !== undefined) updateData["aiSettings.provider"] = provider;
+    if (fallbackProviders !== undefined) {
+      updateData["aiSettings.fallbackProviders"] = fallbackProviders;
+    }
+    for (const task of AI_TASKS) {
+      if (models[task] !== undefined) {
+        updateData[`aiSettings.models.${task}`] = models[task];
+      }
+    }
+
+    const workspace = await Workspace.findByIdAndUpdate(
+      req.workspace._id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: "AI settings updated successfully",
+      data: {
+        aiSettings: {
+          provider: workspace.aiSettings?.provider || aiConfig.defaultProvider,
+          models: aiService.getModels(workspace.aiSettings),
+          fallbackProviders: workspace.aiSettings?.fallbackProviders || [],
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Update AI settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating AI settings",
+    });
+  }
+};
+
 module.exports = {
   generateEmailContent,
   generateSocialContent,
   generateAdCopy,
+  generateBlogPost,
   generateContentVariations,
   batchGenerateContent,
+  getGenerationJobStatus,
   getAIStatus,
+  getAISettings,
+  updateAISettings,
 };
@@ -0,0 +1,419 @@
+const Campaign = require("../models/Campaign");
+const Comment = require("../models/Comment");
+const Content = require("../models/Content");
+const ContentRevision = require("../models/ContentRevision");
+
+/**
+ * Load the content item from the route and its campaign, checking access.
+ * Sends a 404 or 403 and returns null when the user may not proceed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Boolean} edit - Whether edit access is required
+ * @returns {Object|null} { content, campaign }
+ */
+const loadContent = async (req, res, edit = false) => {
+  const content = await Content.findById(req.params.id);
+  const campaign = content && (await Campaign.findById(content.campaignId));
+
+  if (!content || !campaign) {
+    res.status(404).json({
+      success: false,
+      message: "Content not found",
+    });
+    return null;
+  }
+
+  const allowed = edit
+    ? campaign.canBeEditedBy(req.userId, req.workspace)
+    : campaign.canBeViewedBy(req.userId, req.workspace);
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: edit
+        ? "You do not have permission to edit this content"
+        : "Access denied to this content",
+    });
+    return null;
+  }
+
+  return { content, campaign };
+};
+
+/**
+ * List content across the user's campaigns, or for a single campaign
+ * @route GET /api/content
+ * @access Private
+ */
+const getContentItems = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const {
+      page = 1,
+      limit = 10,
+      campaignId,
+      contentType,
+      platform,
+      status,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+    } = req.query;
+
+    const query = {};
+
+    if (campaignId) {
+      const campaign = await Campaign.findById(campaignId);
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: "Campaign not found",
+        });
+      }
+
+      if (!campaign.canBeViewedBy(userId, req.workspace)) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied to this campaign",
+        });
+      }
+
+      query.campaignId = campaign._id;
+    } else {
+      const campaignIds = await Campaign.find(
+        Campaign.accessibleBy(userId, req.workspace._id)
+      ).distinct("_id");
+      query.campaignId = { $in: campaignIds };
+    }
+
+    if (contentType) {
+      query.contentType = contentType;
+    }
+
+    if (platform) {
+      query.platform = platform;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const options = {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      select: "-promptLog",
+      populate: [
+        {
+          path: "createdBy",
+          select: "firstName lastName email",
+        },
+        {
+          path: "lastEditedBy",
+          select: "firstName lastName email",
+        },
+      ],
+      sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 },
+    };
+
+    const content = await Content.paginate(query, options);
+
+    res.json({
+      success: true,
+      data: {
+        content: content.docs,
+        pagination: {
+          currentPage: content.page,
+          totalPages: content.totalPages,
+          totalDocuments: content.totalDocs,
+          hasNextPage: content.hasNextPage,
+          hasPrevPage: content.hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get content items error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching content",
+    });
+  }
+};
+
+/**
+ * Get a single content item
+ * @route GET /api/content/:id
+ * @access Private
+ */
+const getContentItem = async (req, res) => {
+  try {
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+
+    await loaded.content.populate([
+      { path: "createdBy", select: "firstName lastName email" },
+      { path: "lastEditedBy", select: "firstName lastName email" },
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        content: loaded.content,
+        role: loaded.campaign.getUserRole(req.userId, req.workspace),
+      },
+    });
+  } catch (error) {
+    console.error("Get content item error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching content",
+    });
+  }
+};
+
+/**
+ * Edit a content item, recording the change as a new revision
+ * @route PUT /api/content/:id
+ * @access Private (owner, admin or editor)
+ */
+const updateContentItem = async (req, res) => {
+  try {
+    const loaded = await loadContent(req, res, true);
+    if (!loaded) return;
+
+    const { content } = loaded;
+    const { note, ...updates } = req.body;
+
+    if (content.status === "published") {
+      return res.status(409).json({
+        success: false,
+        message: "Published content cannot be edited",
+      });
+    }
+
+    const revision = await content.applyEdit(updates, req.userId, note);
+
+    res.json({
+      success: true,
+      message: revision ? "Content updated successfully" : "No changes to save",
+      data: {
+        content,
+        revision,
+      },
+    });
+  } catch (error) {
+    console.error("Update content item error:", error);
+
+    if (error.name === "VersionError") {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Content was changed by someone else. Reload it and try again.",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: Object.values(error.errors).map((err) => ({
+          field: err.path,
+          message: err.message,
+        })),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating content",
+    });
+  }
+};
+
+/**
+ * Delete a content item with its revision history and comments
+ * @route DELETE /api/content/:id
+ * @access Private (owner, admin or editor)
+ */
+const deleteContentItem = async (req, res) => {
+  try {
+    const loaded = await loadContent(req, res, true);
+    if (!loaded) return;
+
+    await ContentRevision.deleteMany({ contentId: loaded.content._id });
+    await Comment.deleteMany({ contentId: loaded.content._id });
+    await loaded.content.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Content deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete content item error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting content",
+    });
+  }
+};
+
+/**
+ * List the revision history of a content item, newest first
+ * @route GET /api/content/:id/revisions
+ * @access Private
+ */
+const getContentRevisions = async (req, res) => {
+  try {
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+
+    const { page = 1, limit = 20 } = req.query;
+
+    const revisions = await ContentRevision.paginate(
+      { contentId: loaded.content._id },
+      {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        select: "-snapshot",
+        populate: {
+          path: "authorId",
+          select: "firstName lastName email",
+        },
+        sort: { version: -1 },
+      }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        revisions: revisions.docs,
+        pagination: {
+          currentPage: revisions.page,
+          totalPages: revisions.totalPages,
+          totalDocuments: revisions.totalDocs,
+          hasNextPage: revisions.hasNextPage,
+          hasPrevPage: revisions.hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get content revisions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching revisions",
+    });
+  }
+};
+
+/**
+ * Get a single revision, including the full content snapshot
+ * @route GET /api/content/:id/revisions/:version
+ * @access Private
+ */
+const getContentRevision = async (req, res) => {
+  try {
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+
+    const revision = await ContentRevision.findOne({
+      contentId: loaded.content._id,
+      version: req.params.version,
+    }).populate("authorId", "firstName lastName email");
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        revision,
+      },
+    });
+  } catch (error) {
+    console.error("Get content revision error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching revision",
+    });
+  }
+};
+
+/**
+ * Restore a content item to an earlier revision. The restore is recorded
+ * as a new revision, so history is never rewritten.
+ * @route POST /api/content/:id/revisions/:version/restore
+ * @access Private (owner, admin or editor)
+ */
+const restoreContentRevision = async (req, res) => {
+  try {
+    const loaded = await loadContent(req, res, true);
+    if (!loaded) return;
+
+    const { content } = loaded;
+
+    if (content.status === "published") {
+      return res.status(409).json({
+        success: false,
+        message: "Published content cannot be restored to an earlier version",
+      });
+    }
+
+    const revision = await ContentRevision.findOne({
+      contentId: content._id,
+      version: req.params.version,
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    const restored = await content.applyEdit(
+      revision.snapshot,
+      req.userId,
+      req.body.note || `Restored version ${revision.version}`,
+      "restore"
+    );
+
+    res.json({
+      success: true,
+      message: restored
+        ? `Content restored to version ${revision.version}`
+        : "Content already matches this version",
+      data: {
+        content,
+        revision: restored,
+      },
+    });
+  } catch (error) {
+    console.error("Restore content revision error:", error);
+
+    if (error.name === "VersionError") {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Content was changed by someone else. Reload it and try again.",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while restoring revision",
+    });
+  }
+};
+
+module.exports = {
+  getContentItems,
+  getContentItem,
+  updateContentItem,
+  deleteContentItem,
+  getContentRevisions,
+  getContentRevision,
+  restoreContentRevision,
+};
@@ -0,0 +1,744 @@
+const Campaign = require("../models/Campaign");
+const Content = require("../models/Content");
+const queueService = require("../services/queueService");
+const socketService = require("../services/socketService");
+
+/**
+ * Load the content item from the route and its campaign. Sends a 404 and
+ * returns null when either does not exist, or a 403 when the user cannot
+ * view the campaign.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { content, campaign }
+ */
+const loadContent = async (req, res) => {
+  const content = await Content.findById(req.params.id);
+  const campaign = content && (await Campaign.findById(content.campaignId));
+
+  if (!content || !campaign) {
+    res.status(404).json({
+      success: false,
+      message: "Content not found",
+    });
+    return null;
+  }
+
+  if (!campaign.canBeViewedBy(req.userId, req.workspace)) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied to this content",
+    });
+    return null;
+  }
+
+  return { content, campaign };
+};
+
+/**
+ * Send a 409 when the content cannot move to a status
+ * @param {Object} res - Express response object
+ * @param {Object} content - Content document
+ * @param {String} status - Target status
+ * @param {String} message - Error message
+ * @returns {Boolean} True if the transition is allowed
+ */
+const ensureTransition = (res, content, status, message) => {
+  if (content.canTransitionTo(status)) return true;
+
+  res.status(409).json({
+    success: false,
+    message: `${message} (content is ${content.status})`,
+  });
+  return false;
+};
+
+/**
+ * Send a 409 when another request changed the content's status first
+ * @param {Object} res - Express response object
+ */
+const sendStatusConflict = (res) =>
+  res.status(409).json({
+    success: false,
+    message:
+      "Content status was changed by someone else. Reload it and try again.",
+  });
+
+/**
+ * Check requested reviewers against the campaign's reviewer roles
+ * @param {Object} campaign - Campaign document
+ * @param {Array} reviewerIds - Requested reviewer user IDs
+ * @param {String} submitterId - User submitting the content
+ * @param {Object} workspace - Current workspace
+ * @returns {String|null} Error message, or null when all are valid
+ */
+const findInvalidReviewer = (campaign, reviewerIds, submitterId, workspace) => {
+  const eligible = campaign.getReviewerIds(workspace);
+
+  for (const reviewerId of reviewerIds) {
+    if (reviewerId === submitterId.toString()) {
+      return "You cannot review your own content";
+    }
+    if (!eligible.includes(reviewerId)) {
+      return `User ${reviewerId} needs the owner, admin or editor role on this campaign to review content`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Users who may approve the current review round: the assigned reviewers,
+ * or every campaign reviewer except the submitter when none are assigned
+ * @param {Object} content - Content document
+ * @param {Object} campaign - Campaign document
+ * @param {Object} workspace - Current workspace
+ * @returns {Array} User IDs
+ */
+const getApproverIds = (content, campaign, workspace) => {
+  if (content.reviewers.length > 0) {
+    return content.reviewers.map((r) => r.userId.toString());
+  }
+  return campaign
+    .getReviewerIds(workspace)
+    .filter((userId) => userId !== content.submittedBy?.toString());
+};
+
+/**
+ * Send a 403 unless the user may approve or reject the content
+ * @param {Object} res - Express response object
+ * @param {Object} content - Content document
+ * @param {Object} campaign - Campaign document
+ * @param {String} userId - Acting user ID
+ * @param {Object} workspace - Current workspace
+ * @returns {Boolean} True if the user may review
+ */
+const ensureReviewer = (res, content, campaign, userId, workspace) => {
+  let message = null;
+
+  if (content.submittedBy?.toString() === userId.toString()) {
+    message = "You cannot review content you submitted";
+  } else if (!campaign.canReviewContent(userId, workspace)) {
+    message = "Only campaign owners, admins and editors can review content";
+  } else if (content.reviewers.length > 0 && !content.isReviewer(userId)) {
+    message = "You are not assigned to review this content";
+  }
+
+  if (message) {
+    res.status(403).json({ success: false, message });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Notify users about a workflow event, skipping the acting user
+ * @param {Array} userIds - Recipient user IDs
+ * @param {String} actorId - Acting user ID
+ * @param {Object} notification - Notification payload
+ */
+const notifyUsers = (userIds, actorId, notification) => {
+  const recipients = new Set(
+    userIds.filter(Boolean).map((userId) => userId.toString())
+  );
+  recipients.delete(actorId.toString());
+
+  for (const userId of recipients) {
+    socketService.sendNotification(userId, notification);
+  }
+};
+
+/**
+ * Push the new status to everyone viewing the campaign
+ * @param {Object} content - Content document
+ */
+const emitStatus = (content) => {
+  socketService.emitToCampaign(
+    content.campaignId.toString(),
+    "campaign:content:status",
+    {
+      contentId: content._id,
+      campaignId: content.campaignId,
+      status: content.status,
+    }
+  );
+};
+
+/**
+ * Describe content in notifications
+ * @param {Object} content - Content document
+ * @param {Object} campaign - Campaign document
+ * @returns {String} Description
+ */
+const describeContent = (content, campaign) =>
+  `${content.contentType.replace("_", " ")} content in "${campaign.name}"`;
+
+/**
+ * Submit content for review, optionally assigning reviewers
+ * @route POST /api/content/:id/submit
+ * @access Private (owner, admin or editor)
+ */
+const submitForReview = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { reviewerIds, comment } = req.body;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to submit this content",
+      });
+    }
+
+    if (
+      !ensureTransition(
+        res,
+        content,
+        "in_review",
+        "Only draft content or content with requested changes can be submitted"
+      )
+    ) {
+      return;
+    }
+
+    if (reviewerIds) {
+      const invalid = findInvalidReviewer(
+        campaign,
+        reviewerIds,
+        userId,
+        req.workspace
+      );
+      if (invalid) {
+        return res.status(400).json({ success: false, message: invalid });
+      }
+
+      content.reviewers = [...new Set(reviewerIds)].map((reviewerId) => ({
+        userId: reviewerId,
+        assignedBy: userId,
+        assignedAt: new Date(),
+      }));
+    }
+
+    const from = content.status;
+    content.transitionTo("in_review", userId, comment);
+
+    const approverIds = getApproverIds(content, campaign, req.workspace);
+    const { requiredApprovals } = campaign.approvalSettings;
+    if (approverIds.length < requiredApprovals) {
+      return res.status(400).json({
+        success: false,
+        message: `This campaign requires ${requiredApprovals} approval(s) but only ${approverIds.length} reviewer(s) are available`,
+      });
+    }
+
+    if (!(await content.saveIfUnchanged({ status: from }))) {
+      return sendStatusConflict(res);
+    }
+
+    notifyUsers(approverIds, userId, {
+      type: "content_review_requested",
+      message: `Review requested for ${describeContent(content, campaign)}`,
+      campaignId: campaign._id,
+      contentId: content._id,
+    });
+    emitStatus(content);
+
+    res.json({
+      success: true,
+      message: "Content submitted for review",
+      data: {
+        content,
+        requiredApprovals,
+      },
+    });
+  } catch (error) {
+    console.error("Submit content for review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while submitting content",
+    });
+  }
+};
+
+/**
+ * Replace the reviewers assigned to content
+ * @route PUT /api/content/:id/reviewers
+ * @access Private (owner, admin or editor)
+ */
+const assignReviewers = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const reviewerIds = [...new Set(req.body.reviewerIds)];
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to assign reviewers",
+      });
+    }
+
+    if (content.status === "published") {
+      return res.status(409).json({
+        success: false,
+        message: "Reviewers cannot be changed on published content",
+      });
+    }
+
+    const invalid = findInvalidReviewer(
+      campaign,
+      reviewerIds,
+      content.submittedBy || userId,
+      req.workspace
+    );
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const { requiredApprovals } = campaign.approvalSettings;
+    if (reviewerIds.length < requiredApprovals) {
+      return res.status(400).json({
+        success: false,
+        message: `This campaign requires ${requiredApprovals} approval(s); assign at least that many reviewers`,
+      });
+    }
+
+    const previous = content.reviewers.map((r) => r.userId.toString());
+    content.reviewers = reviewerIds.map(
+      (reviewerId) =>
+        content.reviewers.find((r) => r.userId.toString() === reviewerId) || {
+          userId: reviewerId,
+          assignedBy: userId,
+          assignedAt: new Date(),
+        }
+    );
+
+    // Approvals only count from assigned reviewers
+    content.approvals = content.approvals.filter((a) =>
+      reviewerIds.includes(a.userId.toString())
+    );
+    await content.save();
+
+    if (content.status === "in_review") {
+      notifyUsers(
+        reviewerIds.filter((reviewerId) => !previous.includes(reviewerId)),
+        userId,
+        {
+          type: "content_review_requested",
+          message: `Review requested for ${describeContent(content, campaign)}`,
+          campaignId: campaign._id,
+          contentId: content._id,
+        }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Reviewers updated successfully",
+      data: {
+        reviewers: content.reviewers,
+      },
+    });
+  } catch (error) {
+    console.error("Assign reviewers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while assigning reviewers",
+    });
+  }
+};
+
+/**
+ * Approve content under review. Content becomes approved once the
+ * campaign's required number of approvals is reached.
+ * @route POST /api/content/:id/approve
+ * @access Private (assigned reviewers, or owner, admin and editors)
+ */
+const approveContent = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { comment } = req.body;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    if (content.status !== "in_review") {
+      return res.status(409).json({
+        success: false,
+        message: `Only content in review can be approved (content is ${content.status})`,
+      });
+    }
+
+    if (!ensureReviewer(res, content, campaign, userId, req.workspace)) return;
+
+    if (content.hasApprovalFrom(userId)) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already approved this content",
+      });
+    }
+
+    // Record the approval atomically so concurrent reviewers don't
+    // overwrite each other's approvals
+    let updated = await Content.findOneAndUpdate(
+      {
+        _id: content._id,
+        status: "in_review",
+        "approvals.userId": { $ne: userId },
+      },
+      { $addToSet: { approvals: { userId, comment, approvedAt: new Date() } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Content is no longer in review or you have already approved it",
+      });
+    }
+
+    // Decide the transition from the stored approvals. Only one of several
+    // concurrent final approvals moves the content out of review.
+    const { requiredApprovals } = campaign.approvalSettings;
+    let transitioned = false;
+    if (updated.approvals.length >= requiredApprovals) {
+      updated.transitionTo("approved", userId, comment);
+      transitioned = await updated.saveIfUnchanged({ status: "in_review" });
+      if (!transitioned) {
+        updated = await Content.findById(content._id);
+      }
+    }
+    const approved = updated.status === "approved";
+
+    notifyUsers([updated.submittedBy], userId, {
+      type: transitioned ? "content_approved" : "content_approval_added",
+      message: transitioned
+        ? `Your ${describeContent(updated, campaign)} was approved`
+        : `Your ${describeContent(updated, campaign)} has ${
+            updated.approvals.length
+          } of ${requiredApprovals} approvals`,
+      campaignId: campaign._id,
+      contentId: updated._id,
+    });
+    if (transitioned) emitStatus(updated);
+
+    res.json({
+      success: true,
+      message: approved
+        ? "Content approved"
+        : `Approval recorded (${updated.approvals.length} of ${requiredApprovals})`,
+      data: {
+        content: updated,
+        approvals: updated.approvals.length,
+        requiredApprovals,
+      },
+    });
+  } catch (error) {
+    console.error("Approve content error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while approving content",
+    });
+  }
+};
+
+/**
+ * Send content under review back to its author with requested changes
+ * @route POST /api/content/:id/request-changes
+ * @access Private (assigned reviewers, or owner, admin and editors)
+ */
+const requestChanges = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { comment } = req.body;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    if (content.status !== "in_review") {
+      return res.status(409).json({
+        success: false,
+        message: `Changes can only be requested on content in review (content is ${content.status})`,
+      });
+    }
+
+    if (!ensureReviewer(res, content, campaign, userId, req.workspace)) return;
+
+    const from = content.status;
+    content.transitionTo("changes_requested", userId, comment);
+    if (!(await content.saveIfUnchanged({ status: from }))) {
+      return sendStatusConflict(res);
+    }
+
+    notifyUsers([content.submittedBy], userId, {
+      type: "content_changes_requested",
+      message: `Changes requested on your ${describeContent(
+        content,
+        campaign
+      )}: ${comment}`,
+      campaignId: campaign._id,
+      contentId: content._id,
+    });
+    emitStatus(content);
+
+    res.json({
+      success: true,
+      message: "Changes requested",
+      data: {
+        content,
+      },
+    });
+  } catch (error) {
+    console.error("Request content changes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while requesting changes",
+    });
+  }
+};
+
+/**
+ * Withdraw content from review, approval or schedule back to draft
+ * @route POST /api/content/:id/withdraw
+ * @access Private (owner, admin or editor)
+ */
+const withdrawContent = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    if (!campaign.canBeEditedBy(userId, req.workspace)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to withdraw this content",
+      });
+    }
+
+    if (
+      !ensureTransition(
+        res,
+        content,
+        "draft",
+        "Content cannot be moved back to draft"
+      )
+    ) {
+      return;
+    }
+
+    const from = content.status;
+    content.transitionTo("draft", userId, req.body.comment);
+    if (!(await content.saveIfUnchanged({ status: from }))) {
+      return sendStatusConflict(res);
+    }
+    emitStatus(content);
+
+    res.json({
+      success: true,
+      message: "Content moved back to draft",
+      data: {
+        content,
+      },
+    });
+  } catch (error) {
+    console.error("Withdraw content error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while withdrawing content",
+    });
+  }
+};
+
+/**
+ * Schedule approved content for publishing, or reschedule it
+ * @route POST /api/content/:id/schedule
+ * @access Private (owner or admin)
+ */
+const scheduleContent = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { scheduledAt, comment } = req.body;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    if (!campaign.canPublishContent(userId, req.workspace)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the campaign owner or admins can schedule content",
+      });
+    }
+
+    if (
+      !ensureTransition(
+        res,
+        content,
+        "scheduled",
+        "Only approved content can be scheduled"
+      )
+    ) {
+      return;
+    }
+
+    const from = content.status;
+    content.transitionTo("scheduled", userId, comment);
+    content.scheduledAt = new Date(scheduledAt);
+    if (!(await content.saveIfUnchanged({ status: from }))) {
+      return sendStatusConflict(res);
+    }
+
+    try {
+      await queueService.addScheduledPublishJob(content);
+    } catch (error) {
+      console.error("Queue scheduled publish error:", error.message);
+    }
+    emitStatus(content);
+
+    res.json({
+      success: true,
+      message: `Content scheduled for ${content.scheduledAt.toISOString()}`,
+      data: {
+        content,
+      },
+    });
+  } catch (error) {
+    console.error("Schedule content error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while scheduling content",
+    });
+  }
+};
+
+/**
+ * Cancel a publishing schedule, keeping the content approved
+ * @route POST /api/content/:id/unschedule
+ * @access Private (owner or admin)
+ */
+const unscheduleContent = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    if (!campaign.canPublishContent(userId, req.workspace)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the campaign owner or admins can unschedule content",
+      });
+    }
+
+    if (content.status !== "scheduled") {
+      return res.status(409).json({
+        success: false,
+        message: `Content is not scheduled (content is ${content.status})`,
+      });
+    }
+
+    const from = content.status;
+    content.transitionTo("approved", userId, req.body.comment);
+    if (!(await content.saveIfUnchanged({ status: from }))) {
+      return sendStatusConflict(res);
+    }
+    emitStatus(content);
+
+    res.json({
+      success: true,
+      message: "Publishing schedule cancelled",
+      data: {
+        content,
+      },
+    });
+  } catch (error) {
+    console.error("Unschedule content error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while unscheduling content",
+    });
+  }
+};
+
+/**
+ * Publish approved or scheduled content now
+ * @route POST /api/content/:id/publish
+ * @access Private (owner or admin)
+ */
+const publishContent = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const loaded = await loadContent(req, res);
+    if (!loaded) return;
+    const { content, campaign } = loaded;
+
+    if (!campaign.canPublishContent(userId, req.workspace)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the campaign owner or admins can publish content",
+      });
+    }
+
+    if (
+      !ensureTransition(
+        res,
+        content,
+        "published",
+        "Content must be approved before it can be published"
+      )
+    ) {
+      return;
+    }
+
+    const from = content.status;
+    content.transitionTo("published", userId, req.body.comment);
+    if (!(await content.saveIfUnchanged({ status: from }))) {
+      return sendStatusConflict(res);
+    }
+
+    notifyUsers([content.submittedBy, content.createdBy], userId, {
+      type: "content_published",
+      message: `Your ${describeContent(content, campaign)} was published`,
+      campaignId: campaign._id,
+      contentId: content._id,
+    });
+    emitStatus(content);
+
+    res.json({
+      success: true,
+      message: "Content published",
+      data: {
+        content,
+      },
+    });
+  } catch (error) {
+    console.error("Publish content error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while publishing content",
+    });
+  }
+};
+
+module.exports = {
+  submitForReview,
+  assignReviewers,
+  approveContent,
+  requestChanges,
+  withdrawContent,
+  scheduleContent,
+  unscheduleContent,
+  publishContent,
+};
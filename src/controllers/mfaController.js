@@ -0,0 +1,237 @@
+const RefreshToken = require("../models/RefreshToken");
+const User = require("../models/User");
+const Workspace = require("../models/Workspace");
+const socketService = require("../services/socketService");
+const { buildOtpauthUri } = require("../utils/totp");
+
+/**
+ * Get the user's two-factor authentication status
+ * @route GET /api/auth/mfa
+ * @access Private
+ */
+const getMfaStatus = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        mfa: req.user.getMfaStatus(await Workspace.requiresMfa(req.userId)),
+      },
+    });
+  } catch (error) {
+    console.error("Get MFA status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching two-factor status",
+    });
+  }
+};
+
+/**
+ * Start two-factor enrollment with a new TOTP secret. The secret only
+ * takes effect once a code from it is confirmed.
+ * @route POST /api/auth/mfa/setup
+ * @access Private
+ */
+const setupMfa = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = user.startMfaEnrollment();
+    await user.save();
+
+    res.json({
+      success: true,
+      message:
+        "Scan the QR code with your authenticator app, then confirm with a code",
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email),
+      },
+    });
+  } catch (error) {
+    console.error("Setup MFA error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while setting up two-factor",
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the new secret and turn two-factor
+ * on. Other sessions are signed out and recovery codes are returned once.
+ * @route POST /api/auth/mfa/enable
+ * @access Private
+ */
+const enableMfa = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.mfa.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup before enabling it",
+      });
+    }
+
+    if (!(await user.verifyMfaCode(req.body.code, { pending: true }))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const recoveryCodes = user.enableMfa();
+    await user.save();
+    await RefreshToken.revokeUserSessions(
+      user._id,
+      "mfa_changed",
+      req.sessionId
+    );
+
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store your recovery codes somewhere safe; they won't be shown again.",
+      data: {
+        mfa: user.getMfaStatus(await Workspace.requiresMfa(user._id)),
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("Enable MFA error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while enabling two-factor",
+    });
+  }
+};
+
+/**
+ * Turn two-factor off after checking the password and a second factor
+ * @route POST /api/auth/mfa/disable
+ * @access Private
+ */
+const disableMfa = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.userId);
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (await Workspace.requiresMfa(user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "A workspace you belong to requires two-factor authentication",
+      });
+    }
+
+    if (
+      !(await user.comparePassword(password)) ||
+      !(await user.verifySecondFactor({ code, recoveryCode }))
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or authentication code",
+      });
+    }
+
+    user.disableMfa();
+    await user.save();
+    await RefreshToken.revokeUserSessions(
+      user._id,
+      "mfa_changed",
+      req.sessionId
+    );
+
+    socketService.sendNotification(user._id.toString(), {
+      type: "security_alert",
+      message:
+        "Two-factor authentication was turned off for your account. If this wasn't you, change your password.",
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+      data: {
+        mfa: user.getMfaStatus(),
+      },
+    });
+  } catch (error) {
+    console.error("Disable MFA error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while disabling two-factor",
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * @route POST /api/auth/mfa/recovery-codes
+ * @access Private
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!(await user.verifyMfaCode(req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message:
+        "New recovery codes generated. Store them somewhere safe; they won't be shown again.",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating recovery codes",
+    });
+  }
+};
+
+module.exports = {
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,221 @@
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+
+/**
+ * Get the authenticated user's notifications, newest first
+ * @route GET /api/notifications
+ * @access Private
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { page = 1, limit = 20, unread, type } = req.query;
+
+    const query = { userId };
+
+    if (unread !== undefined) {
+      query.isRead = unread !== "true";
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    const notifications = await Notification.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.docs,
+        unreadCount: await Notification.countUnread(userId),
+        pagination: {
+          currentPage: notifications.page,
+          totalPages: notifications.totalPages,
+          totalDocuments: notifications.totalDocs,
+          hasNextPage: notifications.hasNextPage,
+          hasPrevPage: notifications.hasPrevPage,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching notifications",
+    });
+  }
+};
+
+/**
+ * Get the number of unread notifications
+ * @route GET /api/notifications/unread-count
+ * @access Private
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        unreadCount: await Notification.countUnread(req.userId),
+      },
+    });
+  } catch (error) {
+    console.error("Get unread notification count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while counting notifications",
+    });
+  }
+};
+
+/**
+ * Build a handler that marks a single notification read or unread
+ * @param {Boolean} isRead - Target read state
+ * @returns {Function} Express handler
+ */
+const setNotificationRead = (isRead) => async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    notification.isRead = isRead;
+    notification.readAt = isRead ? new Date() : undefined;
+    await notification.save();
+
+    res.json({
+      success: true,
+      message: `Notification marked as ${isRead ? "read" : "unread"}`,
+      data: {
+        notification,
+        unreadCount: await Notification.countUnread(req.userId),
+      },
+    });
+  } catch (error) {
+    console.error(
+      `Mark notification ${isRead ? "read" : "unread"} error:`,
+      error
+    );
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating notification",
+    });
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @route PUT /api/notifications/:id/read
+ * @access Private
+ */
+const markNotificationRead = setNotificationRead(true);
+
+/**
+ * Mark a notification as unread
+ * @route PUT /api/notifications/:id/unread
+ * @access Private
+ */
+const markNotificationUnread = setNotificationRead(false);
+
+/**
+ * Mark several notifications, or all of them, as read
+ * @route POST /api/notifications/acknowledge
+ * @access Private
+ */
+const acknowledgeNotifications = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { notificationIds } = req.body;
+
+    const result = await Notification.setRead(userId, true, notificationIds);
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: {
+        acknowledged: result.modifiedCount,
+        unreadCount: await Notification.countUnread(userId),
+      },
+    });
+  } catch (error) {
+    console.error("Acknowledge notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while acknowledging notifications",
+    });
+  }
+};
+
+/**
+ * Get the user's notification preferences
+ * @route GET /api/notifications/preferences
+ * @access Private
+ */
+const getNotificationPreferences = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        preferences: req.user.getNotificationPreferences(),
+      },
+    });
+  } catch (error) {
+    console.error("Get notification preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching notification preferences",
+    });
+  }
+};
+
+/**
+ * Turn notification types on or off
+ * @route PUT /api/notifications/preferences
+ * @access Private
+ */
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    for (const [type, enabled] of Object.entries(req.body.preferences)) {
+      user.notificationPreferences.set(type, enabled);
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Notification preferences updated successfully",
+      data: {
+        preferences: user.getNotificationPreferences(),
+      },
+    });
+  } catch (error) {
+    console.error("Update notification preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating notification preferences",
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markNotificationUnread,
+  acknowledgeNotifications,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+};
@@ -1,25 +1,23 @@
 const Persona = require("../models/Persona");
 
 /**
- * Get all personas for the authenticated user (including predefined)
+ * Get the current workspace's persona library (including predefined)
  * @route GET /api/personas
  * @access Private
  */
 const getPersonas = async (req, res) => {
   try {
-    const userId = req.userId;
+    const workspaceId = req.workspace._id;
     const { search, isPredefined } = req.query;
 
-    let query = {
-      $or: [{ userId: userId }, { isPredefined: true }],
-    };
+    let query = Persona.availableIn(workspaceId);
 
     // Filter by predefined status if specified
     if (isPredefined !== undefined) {
       if (isPredefined === "true") {
         query = { isPredefined: true };
       } else {
-        query = { userId: userId, isPredefined: false };
+        query = { workspaceId, isPredefined: false };
       }
     }
 
@@ -63,7 +61,6 @@ const getPersonas = async (req, res) => {
 const getPersona = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.userId;
 
     const persona = await Persona.findById(id).populate(
       "userId",
@@ -77,12 +74,8 @@ const getPersona = async (req, res) => {
       });
     }
 
-    // Check if user can access this persona (own persona or predefined)
-    if (
-      !persona.isPredefined &&
-      persona.userId &&
-      persona.userId._id.toString() !== userId.toString()
-    ) {
+    // Check if the persona is in the workspace's library or predefined
+    if (!persona.isAvailableIn(req.workspace._id)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this persona",
@@ -112,9 +105,18 @@ const getPersona = async (req, res) => {
 const createPersona = async (req, res) => {
   try {
     const userId = req.userId;
+
+    if (!req.workspace.canEditContent(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Viewers cannot create personas in this workspace",
+      });
+    }
+
     const personaData = {
       ...req.body,
       userId,
+      workspaceId: req.workspace._id,
       isPredefined: false, // User-created personas are never predefined
     };
 
@@ -161,20 +163,24 @@ const updatePersona = async (req, res) => {
     }
 
     // Check if user can edit this persona
-    if (!persona.canBeEditedBy(userId)) {
+    if (!persona.canBeEditedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message:
-          "You can only edit your own personas. Predefined personas cannot be edited.",
+          "You can only edit personas in your workspace's library. Predefined personas cannot be edited.",
       });
     }
 
+    // Creator and workspace are fixed; keep it non-predefined
+    const updates = { ...req.body, isPredefined: false };
+    delete updates.userId;
+    delete updates.workspaceId;
+
     // Update the persona
-    const updatedPersona = await Persona.findByIdAndUpdate(
-      id,
-      { ...req.body, isPredefined: false }, // Ensure it remains non-predefined
-      { new: true, runValidators: true }
-    ).populate("userId", "firstName lastName email");
+    const updatedPersona = await Persona.findByIdAndUpdate(id, updates, {
+      new: true,
+      runValidators: true,
+    }).populate("userId", "firstName lastName email");
 
     res.json({
       success: true,
@@ -213,11 +219,11 @@ const deletePersona = async (req, res) => {
     }
 
     // Check if user can delete this persona
-    if (!persona.canBeEditedBy(userId)) {
+    if (!persona.canBeEditedBy(userId, req.workspace)) {
       return res.status(403).json({
         success: false,
         message:
-          "You can only delete your own personas. Predefined personas cannot be deleted.",
+          "You can only delete personas in your workspace's library. Predefined personas cannot be deleted.",
       });
     }
 
@@ -237,19 +243,15 @@ const deletePersona = async (req, res) => {
 };
 
 /**
- * Get persona statistics for the user
+ * Get persona statistics for the current workspace
  * @route GET /api/personas/stats
  * @access Private
  */
 const getPersonaStats = async (req, res) => {
   try {
-    const userId = req.userId;
-
     const stats = await Persona.aggregate([
       {
-        $match: {
-          $or: [{ userId: userId }, { isPredefined: true }],
-        },
+        $match: Persona.availableIn(req.workspace._id),
       },
       {
         $group: {
@@ -0,0 +1,361 @@
+const Campaign = require("../models/Campaign");
+const Persona = require("../models/Persona");
+const PromptTemplate = require("../models/PromptTemplate");
+const AIContentGenerator = require("../services/aiService");
+const { PROMPT_TEMPLATES, getTemplateVariables } = require("../config/prompts");
+
+// Initialize AI service
+const aiService = new AIContentGenerator();
+
+/**
+ * Check whether the user may add or activate versions in a scope. Global
+ * templates are managed by platform admins; workspace overrides by
+ * workspace owners and admins.
+ * @param {Object} req - Express request object
+ * @param {String} scope - global or workspace
+ * @returns {Boolean} True if allowed
+ */
+const canManageScope = (req, scope) =>
+  scope === "global"
+    ? req.user.role === "admin"
+    : req.workspace.canManageMembers(req.userId);
+
+/**
+ * Send a 403 for a scope the user may not manage
+ * @param {Object} res - Express response object
+ * @param {String} scope - global or workspace
+ */
+const sendScopeDenied = (res, scope) =>
+  res.status(403).json({
+    success: false,
+    message:
+      scope === "global"
+        ? "Only administrators can change global prompt templates"
+        : "Only workspace owners and admins can change prompt templates",
+  });
+
+/**
+ * Describe a template with the version the current workspace uses
+ * @param {String} name - Template name
+ * @param {Object} workspace - Current workspace
+ * @returns {Object} { name, contentType, description, variables, active }
+ */
+const describeTemplate = async (name, workspace) => {
+  const { reference } = await aiService.getPromptTemplate(name, workspace._id);
+
+  return {
+    name,
+    contentType: PROMPT_TEMPLATES[name].contentType,
+    description: PROMPT_TEMPLATES[name].description,
+    variables: getTemplateVariables(name),
+    active: reference,
+  };
+};
+
+/**
+ * Get the prompt templates with the version the current workspace uses
+ * @route GET /api/prompt-templates
+ * @access Private
+ */
+const getPromptTemplates = async (req, res) => {
+  try {
+    const templates = await Promise.all(
+      Object.keys(PROMPT_TEMPLATES).map((name) =>
+        describeTemplate(name, req.workspace)
+      )
+    );
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+      },
+    });
+  } catch (error) {
+    console.error("Get prompt templates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching prompt templates",
+    });
+  }
+};
+
+/**
+ * Get a prompt template with its built-in prompt and the version history
+ * of the global template and the current workspace's overrides
+ * @route GET /api/prompt-templates/:name
+ * @access Private
+ */
+const getPromptTemplate = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const [template, versions] = await Promise.all([
+      describeTemplate(name, req.workspace),
+      PromptTemplate.find({
+        name,
+        workspaceId: { $in: [req.workspace._id, null] },
+      })
+        .sort({ version: -1 })
+        .populate("createdBy", "firstName lastName email"),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        template: {
+          ...template,
+          builtin: aiService.getBuiltinPrompt(name),
+          versions: {
+            global: versions.filter((version) => !version.workspaceId),
+            workspace: versions.filter((version) => version.workspaceId),
+          },
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get prompt template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching prompt template",
+    });
+  }
+};
+
+/**
+ * Save a new version of a prompt template, globally or as an override for
+ * the current workspace, and optionally activate it
+ * @route POST /api/prompt-templates/:name/versions
+ * @access Private (workspace owner/admin; admin for global)
+ */
+const createPromptTemplateVersion = async (req, res) => {
+  try {
+    const { body, notes, scope = "workspace", activate = false } = req.body;
+
+    if (!canManageScope(req, scope)) {
+      return sendScopeDenied(res, scope);
+    }
+
+    let template = await PromptTemplate.createVersion({
+      name: req.params.name,
+      workspaceId: scope === "global" ? null : req.workspace._id,
+      body,
+      notes,
+      createdBy: req.userId,
+    });
+
+    if (activate) {
+      template = await template.activate();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Prompt template version ${template.version} saved${
+        activate ? " and activated" : ""
+      }`,
+      data: {
+        template,
+      },
+    });
+  } catch (error) {
+    console.error("Create prompt template version error:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Another version was saved at the same time, please retry",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while saving prompt template",
+    });
+  }
+};
+
+/**
+ * Activate a version of a prompt template in its scope
+ * @route POST /api/prompt-templates/:name/versions/:version/activate
+ * @access Private (workspace owner/admin; admin for global)
+ */
+const activatePromptTemplateVersion = async (req, res) => {
+  try {
+    const scope = req.body.scope || "workspace";
+
+    if (!canManageScope(req, scope)) {
+      return sendScopeDenied(res, scope);
+    }
+
+    const template = await PromptTemplate.findOne({
+      name: req.params.name,
+      workspaceId: scope === "global" ? null : req.workspace._id,
+      version: req.params.version,
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Prompt template version not found",
+      });
+    }
+
+    await template.activate();
+
+    res.json({
+      success: true,
+      message: `Prompt template version ${template.version} activated`,
+      data: {
+        template,
+      },
+    });
+  } catch (error) {
+    console.error("Activate prompt template version error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while activating prompt template",
+    });
+  }
+};
+
+/**
+ * Stop overriding a prompt template in the current workspace, so the
+ * global version (or the built-in prompt) applies again. Versions are kept.
+ * @route DELETE /api/prompt-templates/:name/override
+ * @access Private (workspace owner/admin)
+ */
+const clearPromptTemplateOverride = async (req, res) => {
+  try {
+    if (!canManageScope(req, "workspace")) {
+      return sendScopeDenied(res, "workspace");
+    }
+
+    await PromptTemplate.clearOverride(req.params.name, req.workspace._id);
+
+    res.json({
+      success: true,
+      message: "Workspace prompt template override removed",
+      data: {
+        template: await describeTemplate(req.params.name, req.workspace),
+      },
+    });
+  } catch (error) {
+    console.error("Clear prompt template override error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while removing prompt template override",
+    });
+  }
+};
+
+/**
+ * Render a prompt template against a real persona and campaign. Renders a
+ * draft body, a saved version, or by default the version the workspace
+ * uses. Variables from earlier generation steps (e.g. subjectLine) can be
+ * supplied; any left unfilled are reported.
+ * @route POST /api/prompt-templates/:name/preview
+ * @access Private
+ */
+const previewPromptTemplate = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { campaignId, personaId, versionId, platform, variables } = req.body;
+
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign || !campaign.canBeViewedBy(req.userId, req.workspace)) {
+      return res.status(404).json({
+        success: false,
+        message: "Campaign not found",
+      });
+    }
+
+    // Shared campaigns may always use their own persona
+    const persona = await Persona.findById(personaId || campaign.personaId);
+    if (
+      !persona ||
+      !(
+        persona.isAvailableIn(campaign.workspaceId) ||
+        campaign.personaId.toString() === persona._id.toString()
+      )
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "Persona not found",
+      });
+    }
+
+    let template;
+    if (req.body.body !== undefined) {
+      template = {
+        body: req.body.body,
+        reference: { name, version: null, scope: "draft", templateId: null },
+      };
+    } else if (versionId) {
+      const version = await PromptTemplate.findOne({
+        _id: versionId,
+        name,
+        workspaceId: { $in: [req.workspace._id, null] },
+      });
+
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          message: "Prompt template version not found",
+        });
+      }
+      template = { body: version.body, reference: version.toReference() };
+    } else {
+      template = await aiService.getPromptTemplate(name, req.workspace._id);
+    }
+
+    const context = aiService.buildContext(
+      persona,
+      campaign,
+      platform || campaign.generationSettings?.platforms?.[0]
+    );
+    const stepValues = Object.fromEntries(
+      PROMPT_TEMPLATES[name].stepVariables
+        .filter((key) => typeof variables?.[key] === "string")
+        .map((key) => [key, variables[key]])
+    );
+    const prompt = aiService.renderPrompt(template.body, context, stepValues);
+
+    const knownVariables = getTemplateVariables(name);
+    const unresolvedVariables = [
+      ...new Set([...prompt.matchAll(/\{(\w+)\}/g)].map((match) => match[1])),
+    ].filter((variable) => knownVariables.includes(variable));
+
+    res.json({
+      success: true,
+      data: {
+        template: template.reference,
+        prompt,
+        customInstructions: context.customInstructions || null,
+        unresolvedVariables,
+      },
+    });
+  } catch (error) {
+    console.error("Preview prompt template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while previewing prompt template",
+    });
+  }
+};
+
+module.exports = {
+  getPromptTemplates,
+  getPromptTemplate,
+  createPromptTemplateVersion,
+  activatePromptTemplateVersion,
+  clearPromptTemplateOverride,
+  previewPromptTemplate,
+};
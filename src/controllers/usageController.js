@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const usageService = require("../services/usageService");
+
+/**
+ * Build the usage record filter for a cost report. Workspace owners and
+ * admins see everyone's spend in the workspace; other members only their
+ * own. The range defaults to the current billing period.
+ * @param {Object} req - Express request object
+ * @returns {Object} Usage record filter
+ */
+const buildCostFilter = (req) => {
+  const { campaignId, from, to } = req.query;
+  const filter = {
+    workspaceId: req.workspace._id,
+    createdAt: {
+      $gte: from ? new Date(from) : usageService.getBillingPeriod().start,
+      ...(to && { $lte: new Date(to) }),
+    },
+  };
+
+  if (!req.workspace.canManageMembers(req.userId)) {
+    filter.userId = new mongoose.Types.ObjectId(req.userId);
+  }
+  if (campaignId) {
+    filter.campaignId = new mongoose.Types.ObjectId(campaignId);
+  }
+
+  return filter;
+};
+
+/**
+ * Get the user's usage and plan limits for the current billing period
+ * @route GET /api/usage
+ * @access Private
+ */
+const getUsage = async (req, res) => {
+  try {
+    const summary = await usageService.getUsageSummary(req.user);
+
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    console.error("Get usage error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching usage",
+    });
+  }
+};
+
+/**
+ * Get AI spend in the current workspace, grouped by campaign, user, day,
+ * model or step
+ * @route GET /api/usage/costs
+ * @access Private
+ */
+const getCostReport = async (req, res) => {
+  try {
+    const filter = buildCostFilter(req);
+    const report = await usageService.getCostReport(
+      filter,
+      req.query.groupBy || "campaign"
+    );
+
+    res.json({
+      success: true,
+      data: {
+        range: { from: filter.createdAt.$gte, to: filter.createdAt.$lte },
+        ...report,
+      },
+    });
+  } catch (error) {
+    console.error("Get cost report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching cost report",
+    });
+  }
+};
+
+/**
+ * Get the most expensive AI requests in the current workspace
+ * @route GET /api/usage/costs/requests
+ * @access Private
+ */
+const getExpensiveRequests = async (req, res) => {
+  try {
+    const requests = await usageService.getExpensiveRequests(
+      buildCostFilter(req),
+      req.query.limit ? parseInt(req.query.limit) : undefined
+    );
+
+    res.json({
+      success: true,
+      data: { requests },
+    });
+  } catch (error) {
+    console.error("Get expensive requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching AI requests",
+    });
+  }
+};
+
+module.exports = {
+  getUsage,
+  getCostReport,
+  getExpensiveRequests,
+};
@@ -0,0 +1,658 @@
+const Campaign = require("../models/Campaign");
+const Persona = require("../models/Persona");
+const User = require("../models/User");
+const Workspace = require("../models/Workspace");
+const mailService = require("../services/mailService");
+const socketService = require("../services/socketService");
+
+// User fields exposed for workspace members
+const USER_FIELDS = "firstName lastName email";
+
+/**
+ * Load the workspace from the route for one of its members. Sends a 404
+ * and returns null when it does not exist or the user is not a member.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Workspace document
+ */
+const loadWorkspace = async (req, res) => {
+  const workspace = await Workspace.findById(req.params.id);
+
+  if (!workspace || !workspace.findMember(req.userId)) {
+    res.status(404).json({
+      success: false,
+      message: "Workspace not found",
+    });
+    return null;
+  }
+
+  return workspace;
+};
+
+/**
+ * Check whether the acting user may grant, change or revoke a role.
+ * Admins manage editors and viewers; only the owner manages admins.
+ * @param {Object} workspace - Workspace document
+ * @param {String} userId - Acting user ID
+ * @param {Array} roles - Roles involved in the change
+ * @returns {Boolean} True if allowed
+ */
+const canAssignRoles = (workspace, userId, roles) =>
+  workspace.getMemberRole(userId) === "owner" ||
+  (workspace.canManageMembers(userId) &&
+    !roles.includes("admin") &&
+    !roles.includes("owner"));
+
+/**
+ * Get the workspaces the user belongs to
+ * @route GET /api/workspaces
+ * @access Private
+ */
+const getWorkspaces = async (req, res) => {
+  try {
+    const workspaces = await Workspace.findForUser(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        workspaces: workspaces.map((workspace) =>
+          workspace.toSummary(req.userId, req.workspace._id)
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get workspaces error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching workspaces",
+    });
+  }
+};
+
+/**
+ * Create a workspace owned by the user
+ * @route POST /api/workspaces
+ * @access Private
+ */
+const createWorkspace = async (req, res) => {
+  try {
+    const workspace = await Workspace.create({
+      name: req.body.name,
+      ownerId: req.userId,
+      members: [{ userId: req.userId, role: "owner" }],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Workspace created successfully",
+      data: {
+        workspace,
+      },
+    });
+  } catch (error) {
+    console.error("Create workspace error:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating workspace",
+    });
+  }
+};
+
+/**
+ * Get a workspace with its members. Pending invitations are included for
+ * owners and admins.
+ * @route GET /api/workspaces/:id
+ * @access Private (member)
+ */
+const getWorkspace = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    await workspace.populate("members.userId", USER_FIELDS);
+
+    const data = workspace.toJSON();
+    if (!workspace.canManageMembers(req.userId)) {
+      delete data.invitations;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        workspace: data,
+        role: workspace.getMemberRole(req.userId),
+      },
+    });
+  } catch (error) {
+    console.error("Get workspace error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching workspace",
+    });
+  }
+};
+
+/**
+ * Rename a workspace or change its settings
+ * @route PUT /api/workspaces/:id
+ * @access Private (owner or admin)
+ */
+const updateWorkspace = async (req, res) => {
+  try {
+    const { name, settings = {} } = req.body;
+
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!workspace.canManageMembers(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only workspace owners and admins can change the workspace",
+      });
+    }
+
+    const requireMfa =
+      settings.mfaRequired === true && !workspace.settings.mfaRequired;
+
+    if (name !== undefined) workspace.name = name;
+    if (settings.mfaRequired !== undefined) {
+      workspace.settings.mfaRequired = settings.mfaRequired;
+    }
+    await workspace.save();
+
+    // Members without two-factor are limited to enrolling from now on
+    if (requireMfa) {
+      const members = await User.find({
+        _id: { $in: workspace.members.map((member) => member.userId) },
+        "mfa.enabled": { $ne: true },
+      }).select("_id");
+
+      members.forEach((member) =>
+        socketService.sendNotification(member._id.toString(), {
+          type: "security_alert",
+          message: `The "${workspace.name}" workspace now requires two-factor authentication. Set it up to keep using the workspace.`,
+          workspaceId: workspace._id,
+        })
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Workspace updated successfully",
+      data: {
+        workspace,
+      },
+    });
+  } catch (error) {
+    console.error("Update workspace error:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating workspace",
+    });
+  }
+};
+
+/**
+ * Delete an empty workspace
+ * @route DELETE /api/workspaces/:id
+ * @access Private (owner)
+ */
+const deleteWorkspace = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (workspace.getMemberRole(req.userId) !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the workspace owner can delete the workspace",
+      });
+    }
+
+    const [campaignCount, personaCount] = await Promise.all([
+      Campaign.countDocuments({ workspaceId: workspace._id }),
+      Persona.countDocuments({ workspaceId: workspace._id }),
+    ]);
+
+    if (campaignCount > 0 || personaCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Delete or move the workspace's campaigns and personas before deleting it",
+        data: {
+          campaignCount,
+          personaCount,
+        },
+      });
+    }
+
+    await workspace.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Workspace deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete workspace error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting workspace",
+    });
+  }
+};
+
+/**
+ * Make a workspace the user's current workspace
+ * @route POST /api/workspaces/:id/switch
+ * @access Private (member)
+ */
+const switchWorkspace = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    await User.updateOne(
+      { _id: req.userId },
+      { currentWorkspaceId: workspace._id }
+    );
+
+    res.json({
+      success: true,
+      message: `Switched to workspace "${workspace.name}"`,
+      data: {
+        workspace: workspace.toSummary(req.userId, workspace._id),
+        mfaEnrollmentRequired: await Workspace.mustEnrollMfa(req.user),
+      },
+    });
+  } catch (error) {
+    console.error("Switch workspace error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while switching workspace",
+    });
+  }
+};
+
+/**
+ * Change a member's role
+ * @route PUT /api/workspaces/:id/members/:userId
+ * @access Private (owner or admin)
+ */
+const updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const userId = req.userId;
+
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    const member = workspace.findMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      });
+    }
+
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "The workspace owner's role cannot be changed",
+      });
+    }
+
+    if (!canAssignRoles(workspace, userId, [member.role, role])) {
+      return res.status(403).json({
+        success: false,
+        message: workspace.canManageMembers(userId)
+          ? "Only the workspace owner can change admin roles"
+          : "Only workspace owners and admins can manage members",
+      });
+    }
+
+    member.role = role;
+    await workspace.save();
+
+    socketService.sendNotification(req.params.userId, {
+      type: "workspace_role_changed",
+      message: `Your role in workspace "${workspace.name}" is now ${role}`,
+      workspaceId: workspace._id,
+      role,
+    });
+
+    res.json({
+      success: true,
+      message: "Member updated successfully",
+      data: {
+        member,
+      },
+    });
+  } catch (error) {
+    console.error("Update workspace member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating member",
+    });
+  }
+};
+
+/**
+ * Remove a member. Members may also leave; the owner cannot. Campaigns and
+ * personas the member owns in the workspace are handed to its owner.
+ * @route DELETE /api/workspaces/:id/members/:userId
+ * @access Private (owner, admin or the member)
+ */
+const removeMember = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    const member = workspace.findMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      });
+    }
+
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        message: "The workspace owner cannot leave or be removed",
+      });
+    }
+
+    const leaving = req.params.userId === userId.toString();
+    if (!leaving && !canAssignRoles(workspace, userId, [member.role])) {
+      return res.status(403).json({
+        success: false,
+        message: workspace.canManageMembers(userId)
+          ? "Only the workspace owner can remove admins"
+          : "Only workspace owners and admins can manage members",
+      });
+    }
+
+    workspace.members = workspace.members.filter(
+      (entry) => entry.userId.toString() !== req.params.userId
+    );
+    await workspace.save();
+
+    // Keep the member's work in the workspace
+    const transfer = [
+      { workspaceId: workspace._id, userId: req.params.userId },
+      { userId: workspace.ownerId },
+    ];
+    await Promise.all([
+      Campaign.updateMany(...transfer),
+      Persona.updateMany(...transfer),
+    ]);
+
+    if (!leaving) {
+      socketService.sendNotification(req.params.userId, {
+        type: "workspace_access_removed",
+        message: `You were removed from workspace "${workspace.name}"`,
+        workspaceId: workspace._id,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: leaving
+        ? "You left the workspace"
+        : "Member removed successfully",
+    });
+  } catch (error) {
+    console.error("Remove workspace member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while removing member",
+    });
+  }
+};
+
+/**
+ * Get a workspace's pending invitations
+ * @route GET /api/workspaces/:id/invitations
+ * @access Private (owner or admin)
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!workspace.canManageMembers(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only workspace owners and admins can manage invitations",
+      });
+    }
+
+    const now = new Date();
+
+    res.json({
+      success: true,
+      data: {
+        invitations: workspace
+          .toJSON()
+          .invitations.filter((invitation) => invitation.expiresAt > now),
+      },
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while fetching invitations",
+    });
+  }
+};
+
+/**
+ * Invite someone to a workspace by email. Inviting an address again
+ * replaces its pending invitation.
+ * @route POST /api/workspaces/:id/invitations
+ * @access Private (owner or admin)
+ */
+const inviteMember = async (req, res) => {
+  try {
+    const { email, role = "editor" } = req.body;
+    const userId = req.userId;
+
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!canAssignRoles(workspace, userId, [role])) {
+      return res.status(403).json({
+        success: false,
+        message:
+          role === "admin" && workspace.canManageMembers(userId)
+            ? "Only the workspace owner can invite admins"
+            : "Only workspace owners and admins can invite members",
+      });
+    }
+
+    const invitee = await User.findOne({ email }).select("_id");
+
+    if (invitee && workspace.findMember(invitee._id)) {
+      return res.status(409).json({
+        success: false,
+        message: "User is already a member of this workspace",
+      });
+    }
+
+    const { token, expiresIn } = workspace.invite(email, role, userId);
+    await workspace.save();
+
+    // A mail outage shouldn't fail the invitation; it can be sent again
+    mailService
+      .sendWorkspaceInvitation(email, workspace, req.user, token, expiresIn)
+      .catch((error) =>
+        console.error("Send workspace invitation error:", error)
+      );
+
+    if (invitee) {
+      socketService.sendNotification(invitee._id.toString(), {
+        type: "workspace_invitation",
+        message: `${req.user.fullName} invited you to workspace "${workspace.name}" as ${role}. Check your email to accept.`,
+        workspaceId: workspace._id,
+        role,
+      });
+    }
+
+    const invitation = workspace.invitations.find(
+      (entry) => entry.email === email.toLowerCase()
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      data: {
+        invitation: {
+          id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Invite workspace member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while sending invitation",
+    });
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * @route DELETE /api/workspaces/:id/invitations/:invitationId
+ * @access Private (owner or admin)
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    const invitation = workspace.invitations.id(req.params.invitationId);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    if (!canAssignRoles(workspace, req.userId, [invitation.role])) {
+      return res.status(403).json({
+        success: false,
+        message: "Only workspace owners and admins can manage invitations",
+      });
+    }
+
+    invitation.deleteOne();
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while revoking invitation",
+    });
+  }
+};
+
+/**
+ * Accept an invitation sent to the user's email address and switch to the
+ * workspace
+ * @route POST /api/workspaces/invitations/accept
+ * @access Private
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const found = await Workspace.findByInvitationToken(req.body.token);
+
+    if (!found) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      });
+    }
+
+    const { workspace, invitation } = found;
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: "This invitation was sent to a different email address",
+      });
+    }
+
+    // Existing members keep their role
+    if (!workspace.findMember(req.userId)) {
+      workspace.addMember(req.userId, invitation.role, invitation.invitedBy);
+    }
+    invitation.deleteOne();
+    await workspace.save();
+
+    await User.updateOne(
+      { _id: req.userId },
+      { currentWorkspaceId: workspace._id }
+    );
+
+    res.json({
+      success: true,
+      message: `You joined workspace "${workspace.name}"`,
+      data: {
+        workspace: workspace.toSummary(req.userId, workspace._id),
+        mfaEnrollmentRequired: await Workspace.mustEnrollMfa(req.user),
+      },
+    });
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while accepting invitation",
+    });
+  }
+};
+
+module.exports = {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  switchWorkspace,
+  updateMember,
+  removeMember,
+  getInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+};
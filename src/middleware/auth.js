@@ -1,13 +1,23 @@
 const { verifyAccessToken } = require("../utils/jwt");
+const RefreshToken = require("../models/RefreshToken");
 const User = require("../models/User");
+const Workspace = require("../models/Workspace");
 
 /**
- * Authentication middleware to verify JWT tokens
+ * Verify the JWT access token of a request and attach its user and
+ * current workspace
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
+ * @param {Boolean} allowMfaEnrollment - Let users who must set up
+ *   two-factor through, so they can enroll
  */
-const authenticateToken = async (req, res, next) => {
+const authenticateRequest = async (
+  req,
+  res,
+  next,
+  allowMfaEnrollment = false
+) => {
   try {
     // Get token from header
     const authHeader = req.headers["authorization"];
@@ -23,6 +33,16 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = verifyAccessToken(token);
 
+    // Access tokens stop working once their session is logged out or
+    // revoked. Tokens issued before sessions existed have no session to
+    // check, so they must log in again.
+    if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been revoked",
+      });
+    }
+
     // Get user from database to ensure they still exist and are active
     const user = await User.findById(decoded.userId).select("-passwordHash");
 
@@ -40,9 +60,25 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Members of a workspace that requires two-factor can only enroll until
+    // it's on, whichever workspace is current
+    if (!allowMfaEnrollment && (await Workspace.mustEnrollMfa(user))) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "A workspace you belong to requires two-factor authentication. Set it up to continue.",
+        code: "MFA_ENROLLMENT_REQUIRED",
+      });
+    }
+
+    const workspace = await Workspace.resolveCurrent(user);
+
     // Add user info to request object
     req.user = user;
     req.userId = user._id;
+    req.sessionId = decoded.sid;
+    req.workspace = workspace;
+    req.workspaceRole = workspace.getMemberRole(user._id);
 
     next();
   } catch (error) {
@@ -68,6 +104,25 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware to verify JWT tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateToken = (req, res, next) =>
+  authenticateRequest(req, res, next);
+
+/**
+ * Authentication middleware for routes a user needs while enrolling in
+ * the two-factor authentication their workspace requires
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateForMfaEnrollment = (req, res, next) =>
+  authenticateRequest(req, res, next, true);
+
 /**
  * Authorization middleware to check user roles
  * @param {Array} allowedRoles - Array of allowed roles
@@ -122,8 +177,35 @@ const checkSubscriptionTier = (allowedTiers = []) => {
   };
 };
 
+/**
+ * Middleware to require a verified email address
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required",
+    });
+  }
+
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: "Please verify your email address to use this feature",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
+  authenticateForMfaEnrollment,
   authorizeRoles,
   checkSubscriptionTier,
+  requireVerifiedEmail,
 };
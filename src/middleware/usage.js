@@ -0,0 +1,146 @@
+const usageService = require("../services/usageService");
+
+// Resources whose count a tier limits, and how to describe them
+const PLAN_RESOURCES = {
+  campaigns: "campaigns",
+  customPersonas: "custom personas",
+};
+
+/**
+ * Send a 402 for a request the user's plan does not allow
+ * @param {Object} res - Express response object
+ * @param {Object} details - { tier, limit, max, requested, message }
+ */
+const sendPlanLimitExceeded = (res, { tier, limit, max, requested, message }) =>
+  res.status(402).json({
+    success: false,
+    message: `${message} Upgrade your plan to raise this limit.`,
+    code: "PLAN_LIMIT_EXCEEDED",
+    data: {
+      tier,
+      limit,
+      max,
+      requested,
+    },
+  });
+
+/**
+ * Middleware to enforce the monthly generation quota and per-request
+ * plan limits on generation routes. Responds 402 when the request is
+ * larger than the plan allows and 429 when the month's quota would be
+ * exceeded. The requested count is reserved up front as
+ * req.generationReservation and given back if the request fails; handlers
+ * that queue a job hand the reservation to it and clear it.
+ * @param {Object} options - Quota options
+ * @param {Function} options.count - (req) => content items the request
+ *   generates (default: 1)
+ * @param {String} options.perRequestLimit - Tier limit capping that count
+ *   (variationsPerRequest or batchSize, optional)
+ * @returns {Function} - Middleware function
+ */
+const checkGenerationQuota = ({ count = () => 1, perRequestLimit } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const tier = req.user.subscriptionTier;
+      const requested = count(req);
+
+      const max =
+        perRequestLimit && usageService.getTierLimits(tier)[perRequestLimit];
+      if (max && requested > max) {
+        return sendPlanLimitExceeded(res, {
+          tier,
+          limit: perRequestLimit,
+          max,
+          requested,
+          message: `The ${tier} plan allows up to ${max} ${
+            perRequestLimit === "batchSize"
+              ? "content items per batch"
+              : "variations per request"
+          }.`,
+        });
+      }
+
+      const { reservation, quota } = await usageService.reserveGenerations(
+        req.user,
+        requested
+      );
+      if (!reservation) {
+        res.set(
+          "Retry-After",
+          Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000)
+        );
+        return res.status(429).json({
+          success: false,
+          message: `Monthly generation quota reached: ${quota.used} of ${
+            quota.limit
+          } content items used, ${requested} requested. The quota resets on ${quota.resetAt.toISOString()}.`,
+          code: "GENERATION_QUOTA_EXCEEDED",
+          data: {
+            tier,
+            ...quota,
+            requested,
+          },
+        });
+      }
+
+      req.generationReservation = reservation;
+      res.on("close", () => {
+        if (
+          req.generationReservation &&
+          (res.statusCode >= 400 || res.locals.generationFailed)
+        ) {
+          usageService.releaseGenerations(req.generationReservation);
+        }
+      });
+
+      next();
+    } catch (error) {
+      console.error("Generation quota middleware error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while checking usage quota",
+      });
+    }
+  };
+};
+
+/**
+ * Middleware to enforce a tier's limit on owned campaigns or personas
+ * before creating another one
+ * @param {String} resource - campaigns or customPersonas
+ * @returns {Function} - Middleware function
+ */
+const checkPlanLimit = (resource) => {
+  return async (req, res, next) => {
+    try {
+      const tier = req.user.subscriptionTier;
+      const max = usageService.getTierLimits(tier)[resource];
+
+      if (max !== null) {
+        const owned = await usageService.countOwnedResources(req.userId);
+        if (owned[resource] >= max) {
+          return sendPlanLimitExceeded(res, {
+            tier,
+            limit: resource,
+            max,
+            requested: owned[resource] + 1,
+            message: `The ${tier} plan allows up to ${max} ${PLAN_RESOURCES[resource]}.`,
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error("Plan limit middleware error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while checking plan limits",
+      });
+    }
+  };
+};
+
+module.exports = {
+  checkGenerationQuota,
+  checkPlanLimit,
+};
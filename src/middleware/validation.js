@@ -1,4 +1,20 @@
 const { body, param, validationResult } = require("express-validator");
+const {
+  COMMENT_ANCHOR_FIELDS,
+  getContentBodyLimit,
+} = require("../config/content");
+const { NOTIFICATION_TYPES } = require("../config/notifications");
+const {
+  PROMPT_TEMPLATES,
+  PROMPT_TEMPLATE_MAX_LENGTH,
+  getTemplateVariables,
+} = require("../config/prompts");
+const { WORKSPACE_ROLES } = require("../config/workspaces");
+
+// Workspace roles that can be granted; ownership is never handed out
+const ASSIGNABLE_WORKSPACE_ROLES = WORKSPACE_ROLES.filter(
+  (role) => role !== "owner"
+);
 
 /**
  * Middleware to handle validation errors
@@ -75,6 +91,143 @@ const validateUserLogin = [
 
   body("password").notEmpty().withMessage("Password is required"),
 
+  body("deviceName")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Device name cannot exceed 100 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Refresh token validation rules
+ */
+const validateRefreshToken = [
+  body("refreshToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Password reset request validation rules
+ */
+const validatePasswordResetRequest = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Password reset confirmation validation rules
+ */
+const validatePasswordReset = [
+  body("token").isString().notEmpty().withMessage("Reset token is required"),
+
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(
+      "Password must contain at least one uppercase letter, one lowercase letter, and one number"
+    ),
+
+  handleValidationErrors,
+];
+
+/**
+ * Email verification validation rules
+ */
+const validateEmailVerification = [
+  body("token")
+    .isString()
+    .notEmpty()
+    .withMessage("Verification token is required"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Two-factor code rules shared by MFA routes
+ */
+const mfaCodeRule = body("code")
+  .optional()
+  .isString()
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage("Authentication code must be 6 digits");
+
+const recoveryCodeRule = body("recoveryCode")
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ min: 10, max: 20 })
+  .withMessage("Invalid recovery code format");
+
+const secondFactorRule = body().custom((value) => {
+  if (!value.code && !value.recoveryCode) {
+    throw new Error("An authentication code or recovery code is required");
+  }
+  return true;
+});
+
+/**
+ * Two-factor login validation rules
+ */
+const validateMfaLogin = [
+  body("mfaToken").isString().notEmpty().withMessage("MFA token is required"),
+
+  mfaCodeRule,
+  recoveryCodeRule,
+  secondFactorRule,
+
+  body("deviceName")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Device name cannot exceed 100 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Two-factor code validation rules (enrollment, recovery code refresh)
+ */
+const validateMfaCode = [
+  body("code")
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Two-factor disable validation rules
+ */
+const validateMfaDisable = [
+  body("password").notEmpty().withMessage("Password is required"),
+
+  mfaCodeRule,
+  recoveryCodeRule,
+  secondFactorRule,
+
+  handleValidationErrors,
+];
+
+/**
+ * Session route parameter validation rules
+ */
+const validateSessionId = [
+  param("sessionId").isUUID().withMessage("Invalid session ID format"),
+
   handleValidationErrors,
 ];
 
@@ -320,6 +473,12 @@ const validateCampaign = [
     .isInt({ min: 0, max: 10 })
     .withMessage("Creativity level must be between 0 and 10"),
 
+  body("approvalSettings.requiredApprovals")
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage("Required approvals must be between 1 and 10")
+    .toInt(),
+
   handleValidationErrors,
 ];
 
@@ -344,6 +503,9 @@ const validateContent = [
       "instagram",
       "youtube",
       "tiktok",
+      "blog",
+      "google-ads",
+      "microsoft-ads",
     ])
     .withMessage("Invalid platform"),
 
@@ -351,8 +513,13 @@ const validateContent = [
     .trim()
     .notEmpty()
     .withMessage("Content body is required")
-    .isLength({ max: 5000 })
-    .withMessage("Content body cannot exceed 5000 characters"),
+    .custom((value, { req }) => {
+      const limit = getContentBodyLimit(req.body.contentType);
+      if (value.length > limit) {
+        throw new Error(`Content body cannot exceed ${limit} characters`);
+      }
+      return true;
+    }),
 
   body("subjectLine")
     .optional()
@@ -376,6 +543,278 @@ const validateContent = [
   handleValidationErrors,
 ];
 
+/**
+ * Content edit validation rules. Body length limits depend on the stored
+ * content type and are enforced by the model.
+ */
+const validateContentUpdate = [
+  body("contentBody")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Content body cannot be empty"),
+
+  body("subjectLine")
+    .optional({ values: "null" })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Subject line cannot exceed 200 characters"),
+
+  body("hashtags")
+    .optional()
+    .isArray()
+    .withMessage("Hashtags must be an array")
+    .custom((hashtags) => {
+      for (const hashtag of hashtags) {
+        if (typeof hashtag !== "string" || !hashtag.startsWith("#")) {
+          throw new Error("All hashtags must start with #");
+        }
+      }
+      return true;
+    }),
+
+  body("visualUrl")
+    .optional({ values: "null" })
+    .isURL()
+    .withMessage("Visual URL must be a valid URL"),
+
+  body("blog").optional().isObject().withMessage("Blog must be an object"),
+
+  body("adCopy").optional().isObject().withMessage("Ad copy must be an object"),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Content revision route parameter validation rules
+ */
+const validateRevisionParams = [
+  param("id").isMongoId().withMessage("Invalid content ID format"),
+
+  param("version")
+    .isInt({ min: 1 })
+    .withMessage("Version must be a positive integer")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Review workflow comment validation rule
+ */
+const workflowCommentRule = body("comment")
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage("Comment cannot exceed 500 characters");
+
+/**
+ * Review submission validation rules
+ */
+const validateReviewSubmission = [
+  body("reviewerIds")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Reviewer IDs must be an array of at most 10 users"),
+
+  body("reviewerIds.*").isMongoId().withMessage("Invalid reviewer ID format"),
+
+  workflowCommentRule,
+
+  handleValidationErrors,
+];
+
+/**
+ * Reviewer assignment validation rules
+ */
+const validateReviewers = [
+  body("reviewerIds")
+    .isArray({ min: 1, max: 10 })
+    .withMessage("Between 1 and 10 reviewer IDs are required"),
+
+  body("reviewerIds.*").isMongoId().withMessage("Invalid reviewer ID format"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Review decision validation rules
+ */
+const validateReviewDecision = [workflowCommentRule, handleValidationErrors];
+
+/**
+ * Change request validation rules
+ */
+const validateChangesRequest = [
+  body("comment")
+    .trim()
+    .notEmpty()
+    .withMessage("A comment explaining the requested changes is required")
+    .isLength({ max: 500 })
+    .withMessage("Comment cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Publishing schedule validation rules
+ */
+const validateSchedule = [
+  body("scheduledAt")
+    .isISO8601()
+    .withMessage("Scheduled time must be a valid date")
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error("Scheduled time must be in the future");
+      }
+      return true;
+    }),
+
+  workflowCommentRule,
+
+  handleValidationErrors,
+];
+
+/**
+ * Comment body validation rule
+ */
+const commentBodyRule = body("body")
+  .trim()
+  .notEmpty()
+  .withMessage("Comment body is required")
+  .isLength({ max: 2000 })
+  .withMessage("Comment cannot exceed 2000 characters");
+
+/**
+ * Comment creation validation rules
+ */
+const validateComment = [
+  commentBodyRule,
+
+  body("parentId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid parent comment ID format"),
+
+  body("anchor").optional().isObject().withMessage("Anchor must be an object"),
+
+  body("anchor.field")
+    .if(body("anchor").exists())
+    .isIn(COMMENT_ANCHOR_FIELDS)
+    .withMessage(
+      `Anchor field must be one of: ${COMMENT_ANCHOR_FIELDS.join(", ")}`
+    ),
+
+  body("anchor.start")
+    .if(body("anchor").exists())
+    .isInt({ min: 0 })
+    .withMessage("Anchor start must be a non-negative integer")
+    .toInt(),
+
+  body("anchor.end")
+    .if(body("anchor").exists())
+    .isInt({ min: 1 })
+    .withMessage("Anchor end must be a positive integer")
+    .toInt()
+    .custom((end, { req }) => {
+      if (end <= req.body.anchor.start) {
+        throw new Error("Anchor end must be after anchor start");
+      }
+      return true;
+    }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Comment edit validation rules
+ */
+const validateCommentUpdate = [commentBodyRule, handleValidationErrors];
+
+/**
+ * Comment route parameter validation rules
+ */
+const validateCommentParams = [
+  param("id").isMongoId().withMessage("Invalid content ID format"),
+
+  param("commentId").isMongoId().withMessage("Invalid comment ID format"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Notification acknowledgement validation rules
+ */
+const validateNotificationAck = [
+  body("notificationIds")
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage("Notification IDs must be an array of 1 to 500 IDs"),
+
+  body("notificationIds.*")
+    .isMongoId()
+    .withMessage("Invalid notification ID format"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Notification preferences validation rules
+ */
+const validateNotificationPreferences = [
+  body("preferences")
+    .isObject()
+    .withMessage("Preferences must be an object keyed by notification type")
+    .custom((preferences) => {
+      for (const [type, enabled] of Object.entries(preferences)) {
+        if (!NOTIFICATION_TYPES[type]) {
+          throw new Error(`Invalid notification type: ${type}`);
+        }
+        if (typeof enabled !== "boolean") {
+          throw new Error(`Preference for ${type} must be true or false`);
+        }
+      }
+      return true;
+    }),
+
+  handleValidationErrors,
+];
+
+/**
+ * A/B test decision settings validation rules
+ */
+const abTestSettingsRules = [
+  body("settings.confidenceThreshold")
+    .optional()
+    .isFloat({ min: 50, max: 99.9 })
+    .withMessage("Confidence threshold must be between 50 and 99.9")
+    .toFloat(),
+
+  body("settings.minimumDetectableEffect")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("Minimum detectable effect must be at least 1%")
+    .toFloat(),
+
+  body("settings.power")
+    .optional()
+    .isFloat({ min: 50, max: 99 })
+    .withMessage("Power must be between 50 and 99")
+    .toFloat(),
+
+  body("settings.autoDeclareWinner")
+    .optional()
+    .isBoolean()
+    .withMessage("Auto declare winner must be a boolean")
+    .toBoolean(),
+];
+
 /**
  * A/B Test validation rules
  */
@@ -408,6 +847,355 @@ const validateABTest = [
       return true;
     }),
 
+  ...abTestSettingsRules,
+
+  handleValidationErrors,
+];
+
+/**
+ * A/B test update validation rules
+ */
+const validateABTestUpdate = [
+  body("testName")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Test name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Test name cannot exceed 100 characters"),
+
+  body("testType")
+    .optional()
+    .isIn(["subject_line", "content_body", "visual", "cta", "send_time"])
+    .withMessage("Invalid test type"),
+
+  body("variantA")
+    .optional()
+    .notEmpty()
+    .withMessage("Variant A cannot be empty"),
+
+  body("variantB")
+    .optional()
+    .notEmpty()
+    .withMessage("Variant B cannot be empty"),
+
+  body("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid end date is required")
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error("End date must be in the future");
+      }
+      return true;
+    }),
+
+  ...abTestSettingsRules,
+
+  handleValidationErrors,
+];
+
+/**
+ * A/B test route parameter validation rules
+ */
+const validateABTestParams = [
+  param("id").isMongoId().withMessage("Invalid campaign ID format"),
+
+  param("testId").isMongoId().withMessage("Invalid A/B test ID format"),
+
+  param("variant")
+    .optional()
+    .isIn(["variant_a", "variant_b"])
+    .withMessage("Variant must be variant_a or variant_b"),
+
+  handleValidationErrors,
+];
+
+/**
+ * A/B test result recording validation rules
+ */
+const validateABTestResults = [
+  body("variant")
+    .isIn(["variant_a", "variant_b"])
+    .withMessage("Variant must be variant_a or variant_b"),
+
+  body("participants")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Participants must be a non-negative integer")
+    .toInt(),
+
+  body("conversions")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Conversions must be a non-negative integer")
+    .toInt(),
+
+  body().custom((value) => {
+    if (!value.participants && !value.conversions) {
+      throw new Error("Participants or conversions must be greater than 0");
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Collaborator validation rules
+ */
+const validateCollaborator = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+
+  body("role")
+    .optional()
+    .isIn(["viewer", "editor", "admin"])
+    .withMessage("Role must be viewer, editor or admin"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Collaborator role update validation rules
+ */
+const validateCollaboratorRole = [
+  body("role")
+    .isIn(["viewer", "editor", "admin"])
+    .withMessage("Role must be viewer, editor or admin"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Collaborator route parameter validation rules
+ */
+const validateCollaboratorParams = [
+  param("id").isMongoId().withMessage("Invalid campaign ID format"),
+
+  param("userId").isMongoId().withMessage("Invalid user ID format"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Workspace creation validation rules
+ */
+const validateWorkspace = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Workspace name must be between 1 and 100 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Workspace update validation rules
+ */
+const validateWorkspaceUpdate = [
+  param("id").isMongoId().withMessage("Invalid workspace ID format"),
+
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Workspace name must be between 1 and 100 characters"),
+
+  body("settings.mfaRequired")
+    .optional()
+    .isBoolean()
+    .withMessage("MFA required must be a boolean")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Workspace member role update validation rules
+ */
+const validateWorkspaceMember = [
+  param("id").isMongoId().withMessage("Invalid workspace ID format"),
+
+  param("userId").isMongoId().withMessage("Invalid user ID format"),
+
+  body("role")
+    .isIn(ASSIGNABLE_WORKSPACE_ROLES)
+    .withMessage("Role must be admin, editor or viewer"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Workspace member route parameter validation rules
+ */
+const validateWorkspaceMemberParams = [
+  param("id").isMongoId().withMessage("Invalid workspace ID format"),
+
+  param("userId").isMongoId().withMessage("Invalid user ID format"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Workspace invitation validation rules
+ */
+const validateWorkspaceInvitation = [
+  param("id").isMongoId().withMessage("Invalid workspace ID format"),
+
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+
+  body("role")
+    .optional()
+    .isIn(ASSIGNABLE_WORKSPACE_ROLES)
+    .withMessage("Role must be admin, editor or viewer"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Workspace invitation route parameter validation rules
+ */
+const validateWorkspaceInvitationParams = [
+  param("id").isMongoId().withMessage("Invalid workspace ID format"),
+
+  param("invitationId").isMongoId().withMessage("Invalid invitation ID format"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Workspace invitation acceptance validation rules
+ */
+const validateInvitationAcceptance = [
+  body("token")
+    .isString()
+    .notEmpty()
+    .withMessage("Invitation token is required"),
+
+  handleValidationErrors,
+];
+
+const promptTemplateNameRule = param("name")
+  .isIn(Object.keys(PROMPT_TEMPLATES))
+  .withMessage(
+    `Template must be one of: ${Object.keys(PROMPT_TEMPLATES).join(", ")}`
+  );
+
+// Template bodies may only use the variables their template provides. A
+// function, since the preview makes the body optional.
+const promptTemplateBodyRule = () =>
+  body("body")
+    .isString()
+    .withMessage("Template body must be a string")
+    .isLength({ min: 1, max: PROMPT_TEMPLATE_MAX_LENGTH })
+    .withMessage(
+      `Template body must be between 1 and ${PROMPT_TEMPLATE_MAX_LENGTH} characters`
+    )
+    .custom((value, { req }) => {
+      const variables = getTemplateVariables(req.params.name);
+      const unknown = [
+        ...new Set([...value.matchAll(/\{(\w+)\}/g)].map((match) => match[1])),
+      ].filter((variable) => !variables.includes(variable));
+
+      if (unknown.length > 0) {
+        throw new Error(`Unknown template variables: ${unknown.join(", ")}`);
+      }
+      return true;
+    });
+
+/**
+ * Prompt template name parameter validation rules
+ */
+const validatePromptTemplateName = [
+  promptTemplateNameRule,
+  handleValidationErrors,
+];
+
+/**
+ * Prompt template version creation validation rules
+ */
+const validatePromptTemplateVersion = [
+  promptTemplateNameRule,
+
+  promptTemplateBodyRule(),
+
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+
+  body("scope")
+    .optional()
+    .isIn(["workspace", "global"])
+    .withMessage("Scope must be workspace or global"),
+
+  body("activate")
+    .optional()
+    .isBoolean()
+    .withMessage("Activate must be a boolean")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Prompt template version activation validation rules
+ */
+const validatePromptTemplateActivation = [
+  promptTemplateNameRule,
+
+  param("version")
+    .isInt({ min: 1 })
+    .withMessage("Version must be a positive integer")
+    .toInt(),
+
+  body("scope")
+    .optional()
+    .isIn(["workspace", "global"])
+    .withMessage("Scope must be workspace or global"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Prompt template preview validation rules
+ */
+const validatePromptTemplatePreview = [
+  promptTemplateNameRule,
+
+  body("campaignId").isMongoId().withMessage("Valid campaign ID is required"),
+
+  body("personaId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid persona ID format"),
+
+  body("versionId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid template version ID format"),
+
+  promptTemplateBodyRule().optional(),
+
+  body("platform")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Platform cannot exceed 50 characters"),
+
+  body("variables")
+    .optional()
+    .isObject()
+    .withMessage("Variables must be an object"),
+
   handleValidationErrors,
 ];
 
@@ -415,10 +1203,47 @@ module.exports = {
   handleValidationErrors,
   validateUserRegistration,
   validateUserLogin,
+  validateRefreshToken,
+  validateSessionId,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateMfaLogin,
+  validateMfaCode,
+  validateMfaDisable,
   validatePersona,
   validateObjectId,
   validateProfileUpdate,
   validateCampaign,
   validateContent,
+  validateContentUpdate,
+  validateRevisionParams,
+  validateReviewSubmission,
+  validateReviewers,
+  validateReviewDecision,
+  validateChangesRequest,
+  validateSchedule,
+  validateComment,
+  validateCommentUpdate,
+  validateCommentParams,
+  validateNotificationAck,
+  validateNotificationPreferences,
   validateABTest,
+  validateABTestUpdate,
+  validateABTestParams,
+  validateABTestResults,
+  validateCollaborator,
+  validateCollaboratorRole,
+  validateCollaboratorParams,
+  validateWorkspace,
+  validateWorkspaceUpdate,
+  validateWorkspaceMember,
+  validateWorkspaceMemberParams,
+  validateWorkspaceInvitation,
+  validateWorkspaceInvitationParams,
+  validateInvitationAcceptance,
+  validatePromptTemplateName,
+  validatePromptTemplateVersion,
+  validatePromptTemplateActivation,
+  validatePromptTemplatePreview,
 };
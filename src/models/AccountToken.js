@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { generateActionToken, verifyActionToken } = require("../utils/jwt");
+
+// Account token purposes and how long their links stay valid
+const ACCOUNT_TOKEN_PURPOSES = {
+  email_verification: { expiresIn: "24h", description: "24 hours" },
+  password_reset: { expiresIn: "1h", description: "1 hour" },
+  // Issued after a correct password when two-factor is on
+  mfa_challenge: { expiresIn: "5m", description: "5 minutes" },
+};
+
+// Account token schema. The token handed to the user is a signed JWT; this
+// record makes it single-use and lets a newer token replace an older one.
+const accountTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    purpose: {
+      type: String,
+      enum: Object.keys(ACCOUNT_TOKEN_PURPOSES),
+      required: [true, "Token purpose is required"],
+    },
+    // JWT ID (jti) of the emailed token
+    tokenId: {
+      type: String,
+      required: [true, "Token ID is required"],
+      unique: true,
+    },
+    // Address the token was sent to
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    usedAt: {
+      type: Date,
+    },
+    // Wrong codes entered against the token
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for replacing a user's outstanding tokens
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+
+// Remove tokens once they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a signed token for a purpose. Unused tokens the
+// user already has for that purpose stop working.
+accountTokenSchema.statics.issue = async function (user, purpose) {
+  const { expiresIn, description } = ACCOUNT_TOKEN_PURPOSES[purpose];
+  const tokenId = crypto.randomUUID();
+
+  const token = generateActionToken(
+    { sub: user._id.toString(), jti: tokenId },
+    purpose,
+    expiresIn
+  );
+  const { exp } = jwt.decode(token);
+
+  await this.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await this.create({
+    userId: user._id,
+    purpose,
+    tokenId,
+    email: user.email,
+    expiresAt: new Date(exp * 1000),
+  });
+
+  return { token, expiresIn: description };
+};
+
+// Static method to redeem a token for a purpose. Returns the stored token,
+// or null when the signature, purpose or expiry is invalid or the token was
+// already used or replaced.
+accountTokenSchema.statics.consume = async function (token, purpose) {
+  let decoded;
+  try {
+    decoded = verifyActionToken(token, purpose);
+  } catch (error) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    { tokenId: decoded.jti, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to look up an unused token for a purpose without redeeming
+// it, for flows that check something else before consuming the token
+accountTokenSchema.statics.findUsable = async function (token, purpose) {
+  let decoded;
+  try {
+    decoded = verifyActionToken(token, purpose);
+  } catch (error) {
+    return null;
+  }
+
+  return this.findOne({ tokenId: decoded.jti, purpose, usedAt: null });
+};
+
+// Instance method to count a failed attempt, discarding the token once the
+// limit is reached
+accountTokenSchema.methods.recordFailedAttempt = function (maxAttempts) {
+  this.attempts += 1;
+  if (this.attempts >= maxAttempts) {
+    this.usedAt = new Date();
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model("AccountToken", accountTokenSchema);
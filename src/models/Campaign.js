@@ -1,83 +1,11 @@
 const mongoose = require("mongoose");
 const mongoosePaginate = require("mongoose-paginate-v2");
-
-// Content schema for embedded content within campaigns
-const contentSchema = new mongoose.Schema(
-  {
-    contentType: {
-      type: String,
-      enum: ["email", "social_post", "ad_copy", "blog_post"],
-      required: [true, "Content type is required"],
-    },
-    platform: {
-      type: String,
-      enum: [
-        "email",
-        "linkedin",
-        "facebook",
-        "twitter",
-        "instagram",
-        "youtube",
-        "tiktok",
-      ],
-      required: [true, "Platform is required"],
-    },
-    subjectLine: {
-      type: String,
-      trim: true,
-      maxlength: [200, "Subject line cannot exceed 200 characters"],
-    },
-    contentBody: {
-      type: String,
-      required: [true, "Content body is required"],
-      trim: true,
-      maxlength: [5000, "Content body cannot exceed 5000 characters"],
-    },
-    visualUrl: {
-      type: String,
-      trim: true,
-    },
-    hashtags: [
-      {
-        type: String,
-        trim: true,
-        validate: {
-          validator: function (v) {
-            return v.startsWith("#");
-          },
-          message: "Hashtags must start with #",
-        },
-      },
-    ],
-    qualityScore: {
-      type: Number,
-      min: [0, "Quality score cannot be negative"],
-      max: [100, "Quality score cannot exceed 100"],
-      default: 0,
-    },
-    engagementMetrics: {
-      views: { type: Number, default: 0 },
-      clicks: { type: Number, default: 0 },
-      shares: { type: Number, default: 0 },
-      comments: { type: Number, default: 0 },
-      likes: { type: Number, default: 0 },
-    },
-    isPublished: {
-      type: Boolean,
-      default: false,
-    },
-    publishedAt: {
-      type: Date,
-    },
-    generationPrompt: {
-      type: String,
-      trim: true,
-    },
-  },
-  {
-    timestamps: true,
-  }
-);
+const Content = require("./Content");
+const { WORKSPACE_CAMPAIGN_ROLES } = require("../config/workspaces");
+const {
+  DEFAULT_AB_TEST_SETTINGS,
+  analyzeABTest,
+} = require("../utils/abTestStats");
 
 // A/B Test schema for embedded A/B tests within campaigns
 const abTestSchema = new mongoose.Schema(
@@ -132,12 +60,147 @@ const abTestSchema = new mongoose.Schema(
     endDate: {
       type: Date,
     },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // Decision rules for declaring a winner
+    settings: {
+      confidenceThreshold: {
+        type: Number,
+        min: [50, "Confidence threshold must be at least 50"],
+        max: [99.9, "Confidence threshold cannot exceed 99.9"],
+        default: DEFAULT_AB_TEST_SETTINGS.confidenceThreshold,
+      },
+      minimumDetectableEffect: {
+        type: Number,
+        min: [1, "Minimum detectable effect must be at least 1%"],
+        default: DEFAULT_AB_TEST_SETTINGS.minimumDetectableEffect,
+      },
+      power: {
+        type: Number,
+        min: [50, "Power must be at least 50"],
+        max: [99, "Power cannot exceed 99"],
+        default: DEFAULT_AB_TEST_SETTINGS.power,
+      },
+      autoDeclareWinner: {
+        type: Boolean,
+        default: DEFAULT_AB_TEST_SETTINGS.autoDeclareWinner,
+      },
+    },
+    // Latest analysis of the recorded metrics
+    statistics: {
+      zScore: Number,
+      pValue: Number,
+      relativeLift: Number,
+      probabilityToBeat: {
+        variantA: Number,
+        variantB: Number,
+      },
+      requiredSampleSize: Number,
+      sampleSizeReached: Boolean,
+      significant: Boolean,
+      leader: {
+        type: String,
+        enum: ["variant_a", "variant_b", null],
+      },
+      calculatedAt: Date,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Allowed A/B test status transitions
+const AB_TEST_TRANSITIONS = {
+  draft: ["running", "cancelled"],
+  running: ["completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+};
+
+// Metrics keys for each variant identifier
+const AB_TEST_VARIANTS = {
+  variant_a: "variantA",
+  variant_b: "variantB",
+};
+
+// Instance method to recalculate conversion rates (percent) from the
+// recorded counts
+abTestSchema.methods.refreshConversionRates = function () {
+  for (const key of Object.values(AB_TEST_VARIANTS)) {
+    const metrics = this.metrics[key];
+    metrics.conversionRate =
+      metrics.participants > 0
+        ? (metrics.conversions / metrics.participants) * 100
+        : 0;
+  }
+};
+
+// Keep conversion rates in sync with the recorded counts
+abTestSchema.pre("save", function (next) {
+  this.refreshConversionRates();
+  next();
+});
+
+// Instance method to check if the test can move to a new status
+abTestSchema.methods.canTransitionTo = function (status) {
+  return AB_TEST_TRANSITIONS[this.status].includes(status);
+};
+
+// Instance method to move the test to a new status
+abTestSchema.methods.transitionTo = function (status) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change A/B test from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  if (status === "running") {
+    this.startedAt = new Date();
+  } else {
+    this.completedAt = new Date();
+  }
+};
+
+// Instance method to recalculate confidence and statistics from the metrics
+abTestSchema.methods.refreshStatistics = function () {
+  const { metrics, settings } = this.toObject();
+  const analysis = analyzeABTest(metrics, settings);
+  const { confidence, winner, ...statistics } = analysis;
+
+  this.confidence = confidence;
+  this.statistics = { ...statistics, calculatedAt: new Date() };
+  return analysis;
+};
+
+// Instance method to complete the test with the winner from an analysis.
+// A manual completion accepts a significant leader even if the planned
+// sample size was not reached.
+abTestSchema.methods.complete = function (analysis) {
+  const winner = analysis.winner || (analysis.significant && analysis.leader);
+  this.winner = winner || "inconclusive";
+  this.transitionTo("completed");
+};
+
+// Instance method to link a variant to a campaign content item
+abTestSchema.methods.linkVariantContent = function (variant, content) {
+  const key = AB_TEST_VARIANTS[variant];
+  const current = this[key];
+
+  this[key] = {
+    ...(current && typeof current === "object"
+      ? current
+      : { description: current }),
+    contentId: content._id,
+    contentType: content.contentType,
+    platform: content.platform,
+  };
+  this.markModified(key);
+};
+
 // Main Campaign schema
 const campaignSchema = new mongoose.Schema(
   {
@@ -147,6 +210,11 @@ const campaignSchema = new mongoose.Schema(
       required: [true, "User ID is required"],
       index: true,
     },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: [true, "Workspace ID is required"],
+    },
     personaId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Persona",
@@ -245,9 +313,6 @@ const campaignSchema = new mongoose.Schema(
         },
       ],
     },
-    // Embedded content array
-    content: [contentSchema],
-
     // Embedded A/B tests array
     abTests: [abTestSchema],
 
@@ -341,6 +406,16 @@ const campaignSchema = new mongoose.Schema(
       },
     ],
 
+    // Content review settings
+    approvalSettings: {
+      requiredApprovals: {
+        type: Number,
+        min: [1, "At least one approval is required"],
+        max: [10, "Required approvals cannot exceed 10"],
+        default: 1,
+      },
+    },
+
     isArchived: {
       type: Boolean,
       default: false,
@@ -367,6 +442,7 @@ campaignSchema.index({ startDate: 1, endDate: 1 });
 campaignSchema.index({ objective: 1, status: 1 });
 campaignSchema.index({ tags: 1 });
 campaignSchema.index({ isArchived: 1, userId: 1 });
+campaignSchema.index({ workspaceId: 1, isArchived: 1, createdAt: -1 });
 
 // Text search index
 campaignSchema.index({
@@ -397,15 +473,6 @@ campaignSchema.virtual("progress").get(function () {
   return Math.round((elapsed / total) * 100);
 });
 
-// Virtual for content count by type
-campaignSchema.virtual("contentStats").get(function () {
-  const stats = {};
-  this.content.forEach((item) => {
-    stats[item.contentType] = (stats[item.contentType] || 0) + 1;
-  });
-  return stats;
-});
-
 // Ensure virtual fields are serialized
 campaignSchema.set("toJSON", {
   virtuals: true,
@@ -454,11 +521,19 @@ campaignSchema.statics.findByUser = function (userId, options = {}) {
     .sort({ createdAt: -1 });
 };
 
-// Static method to find active campaigns
-campaignSchema.statics.findActiveCampaigns = function (userId) {
+// Static method to build a query matching the campaigns of a workspace and
+// campaigns in other workspaces the user collaborates on
+campaignSchema.statics.accessibleBy = function (userId, workspaceId) {
+  return {
+    $or: [{ workspaceId }, { "collaborators.userId": userId }],
+  };
+};
+
+// Static method to find a workspace's active campaigns
+campaignSchema.statics.findActiveCampaigns = function (workspaceId) {
   const now = new Date();
   return this.find({
-    userId,
+    workspaceId,
     status: "active",
     startDate: { $lte: now },
     endDate: { $gte: now },
@@ -466,28 +541,208 @@ campaignSchema.statics.findActiveCampaigns = function (userId) {
   }).populate("personaId", "name");
 };
 
+// Static method to update async generation job fields without loading the campaign
+campaignSchema.statics.updateGenerationJob = function (campaignId, fields) {
+  const update = {};
+  for (const [key, value] of Object.entries(fields)) {
+    update[`generationJob.${key}`] = value;
+  }
+  return this.updateOne({ _id: campaignId }, { $set: update });
+};
+
+// Static method to atomically add participants and conversions to a running
+// A/B test variant, refresh its statistics and complete it once a winner is
+// reached. Returns { campaign, completed }, where completed is true when this
+// update completed the test, or null when no running test matched.
+campaignSchema.statics.recordABTestResults = async function (
+  campaignId,
+  testId,
+  variant,
+  { participants = 0, conversions = 0 }
+) {
+  const key = AB_TEST_VARIANTS[variant];
+  const campaign = await this.findOneAndUpdate(
+    {
+      _id: campaignId,
+      abTests: { $elemMatch: { _id: testId, status: "running" } },
+    },
+    {
+      $inc: {
+        [`abTests.$.metrics.${key}.participants`]: participants,
+        [`abTests.$.metrics.${key}.conversions`]: conversions,
+      },
+    },
+    { new: true }
+  );
+
+  if (!campaign) return null;
+
+  // Derive rates and statistics from the counts this update produced
+  const abTest = campaign.abTests.id(testId);
+  const countsMatch = {};
+  for (const variantKey of Object.values(AB_TEST_VARIANTS)) {
+    const metrics = abTest.metrics[variantKey];
+    countsMatch[`metrics.${variantKey}.participants`] = metrics.participants;
+    countsMatch[`metrics.${variantKey}.conversions`] = metrics.conversions;
+  }
+
+  abTest.refreshConversionRates();
+  const analysis = abTest.refreshStatistics();
+  if (analysis.winner && abTest.settings.autoDeclareWinner) {
+    abTest.complete(analysis);
+  }
+
+  // Only the derived fields are written, and only while the counts are
+  // still the ones they were computed from: a concurrent update with newer
+  // counts writes its own. Saving the document would overwrite the metrics
+  // and lose concurrent increments.
+  const derived = abTest.toObject();
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: campaignId,
+      abTests: {
+        $elemMatch: { _id: testId, status: "running", ...countsMatch },
+      },
+    },
+    {
+      $set: {
+        "abTests.$.metrics.variantA.conversionRate":
+          derived.metrics.variantA.conversionRate,
+        "abTests.$.metrics.variantB.conversionRate":
+          derived.metrics.variantB.conversionRate,
+        "abTests.$.confidence": derived.confidence,
+        "abTests.$.statistics": derived.statistics,
+        ...(derived.status === "completed" && {
+          "abTests.$.winner": derived.winner,
+          "abTests.$.status": derived.status,
+          "abTests.$.completedAt": derived.completedAt,
+        }),
+      },
+    },
+    { new: true }
+  );
+
+  return {
+    campaign: updated || (await this.findById(campaignId)),
+    completed: !!updated && derived.status === "completed",
+  };
+};
+
 // Instance method to check if user owns this campaign
 campaignSchema.methods.isOwnedBy = function (userId) {
-  return this.userId.toString() === userId.toString();
+  return (this.userId._id || this.userId).toString() === userId.toString();
+};
+
+// Instance method to find a collaborator entry for a user
+campaignSchema.methods.findCollaborator = function (userId) {
+  return this.collaborators.find(
+    (c) =>
+      c.userId && (c.userId._id || c.userId).toString() === userId.toString()
+  );
+};
+
+// Campaign roles, highest first
+const CAMPAIGN_ROLES = ["owner", "admin", "editor", "viewer"];
+
+// Roles allowed to review content and to schedule or publish it
+const REVIEWER_ROLES = ["owner", "admin", "editor"];
+const PUBLISHER_ROLES = ["owner", "admin"];
+
+// Instance method to check if the campaign belongs to a workspace
+campaignSchema.methods.belongsTo = function (workspace) {
+  return (
+    !!workspace &&
+    (this.workspaceId?._id || this.workspaceId)?.toString() ===
+      workspace._id.toString()
+  );
+};
+
+// Instance method to get the user's role: owner, admin, editor, viewer or
+// null. Pass the campaign's workspace to include the role its members get;
+// the higher of that and the collaborator role wins.
+campaignSchema.methods.getUserRole = function (userId, workspace) {
+  if (this.isOwnedBy(userId)) return "owner";
+
+  const roles = [this.findCollaborator(userId)?.role];
+  if (this.belongsTo(workspace)) {
+    roles.push(WORKSPACE_CAMPAIGN_ROLES[workspace.getMemberRole(userId)]);
+  }
+
+  return CAMPAIGN_ROLES.find((role) => roles.includes(role)) || null;
+};
+
+// Instance method to check if user can view this campaign
+campaignSchema.methods.canBeViewedBy = function (userId, workspace) {
+  return this.getUserRole(userId, workspace) !== null;
 };
 
 // Instance method to check if user can edit this campaign
-campaignSchema.methods.canBeEditedBy = function (userId) {
-  // Owner can always edit
-  if (this.isOwnedBy(userId)) return true;
+campaignSchema.methods.canBeEditedBy = function (userId, workspace) {
+  return ["owner", "admin", "editor"].includes(
+    this.getUserRole(userId, workspace)
+  );
+};
 
-  // Check collaborators
-  const collaborator = this.collaborators.find(
-    (c) => c.userId.toString() === userId.toString()
+// Instance method to check if user can add, change or remove collaborators
+campaignSchema.methods.canManageCollaborators = function (userId, workspace) {
+  return ["owner", "admin"].includes(this.getUserRole(userId, workspace));
+};
+
+// Instance method to check if user can review (approve or reject) content
+campaignSchema.methods.canReviewContent = function (userId, workspace) {
+  return REVIEWER_ROLES.includes(this.getUserRole(userId, workspace));
+};
+
+// Instance method to check if user can schedule and publish approved content
+campaignSchema.methods.canPublishContent = function (userId, workspace) {
+  return PUBLISHER_ROLES.includes(this.getUserRole(userId, workspace));
+};
+
+// Instance method to list the IDs of the owner, all collaborators and, when
+// the campaign's workspace is passed, its members
+campaignSchema.methods.getMemberIds = function (workspace) {
+  const memberIds = [
+    (this.userId._id || this.userId).toString(),
+    ...this.collaborators
+      .filter((c) => c.userId)
+      .map((c) => (c.userId._id || c.userId).toString()),
+  ];
+  if (this.belongsTo(workspace)) {
+    memberIds.push(
+      ...workspace.members.map((m) => (m.userId._id || m.userId).toString())
+    );
+  }
+  return [...new Set(memberIds)];
+};
+
+// Instance method to list the IDs of users who can review content
+campaignSchema.methods.getReviewerIds = function (workspace) {
+  return this.getMemberIds(workspace).filter((userId) =>
+    this.canReviewContent(userId, workspace)
   );
+};
 
-  return collaborator && ["editor", "admin"].includes(collaborator.role);
+// Instance method to check if a generation job is queued or running
+campaignSchema.methods.hasActiveGenerationJob = function () {
+  return (
+    !!this.generationJob?.jobId &&
+    ["pending", "processing"].includes(this.generationJob.status)
+  );
 };
 
-// Instance method to add content to campaign
-campaignSchema.methods.addContent = function (contentData) {
-  this.content.push(contentData);
-  return this.save();
+// Instance method to add content to campaign. Content lives in its own
+// collection; returns the created Content document. Generated content
+// passes the persona it was written for; personaId otherwise defaults to
+// the campaign's persona.
+campaignSchema.methods.addContent = function (contentData, authorId) {
+  return Content.createWithRevision(
+    {
+      personaId: this.personaId,
+      ...contentData,
+      campaignId: this._id,
+    },
+    authorId
+  );
 };
 
 // Instance method to update campaign metrics
@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+const { COMMENT_ANCHOR_FIELDS } = require("../config/content");
+
+// Mention markup inserted by clients: @[Display Name](userId)
+const MENTION_PATTERN = /@\[([^\]]{1,100})\]\(([a-f\d]{24})\)/gi;
+
+// Comment schema for review threads on content items. Replies reference
+// the thread's root comment; anchors and resolution live on the root.
+const commentSchema = new mongoose.Schema(
+  {
+    contentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Content",
+      required: [true, "Content ID is required"],
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: [true, "Campaign ID is required"],
+      index: true,
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Author ID is required"],
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    body: {
+      type: String,
+      required: [true, "Comment body is required"],
+      trim: true,
+      maxlength: [2000, "Comment cannot exceed 2000 characters"],
+    },
+    // Text range the comment refers to, as character offsets [start, end)
+    anchor: {
+      field: {
+        type: String,
+        enum: COMMENT_ANCHOR_FIELDS,
+      },
+      start: {
+        type: Number,
+        min: [0, "Anchor start cannot be negative"],
+      },
+      end: {
+        type: Number,
+        validate: {
+          validator: function (v) {
+            return v > this.anchor.start;
+          },
+          message: "Anchor end must be after anchor start",
+        },
+      },
+      // Anchored text and content version when the comment was made
+      quote: { type: String },
+      contentVersion: { type: Number },
+    },
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    isResolved: {
+      type: Boolean,
+      default: false,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    editedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for listing threads and their replies
+commentSchema.index({ contentId: 1, parentId: 1, createdAt: 1 });
+
+// Add pagination plugin
+commentSchema.plugin(mongoosePaginate);
+
+// Ensure virtual fields are serialized
+commentSchema.set("toJSON", {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+// Static method to extract mentioned user IDs from a comment body
+commentSchema.statics.parseMentions = function (body) {
+  const userIds = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    userIds.add(match[2].toLowerCase());
+  }
+  return [...userIds];
+};
+
+// Instance method to check if the anchored text is unchanged in the content
+commentSchema.methods.isAnchorCurrent = function (content) {
+  if (!this.anchor?.field) return true;
+
+  const text = content[this.anchor.field] || "";
+  return text.slice(this.anchor.start, this.anchor.end) === this.anchor.quote;
+};
+
+// Instance method to check if this comment starts a thread
+commentSchema.methods.isThreadRoot = function () {
+  return !this.parentId;
+};
+
+module.exports = mongoose.model("Comment", commentSchema);
@@ -0,0 +1,560 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+const {
+  CONTENT_BODY_LIMITS,
+  REVISIONED_FIELDS,
+  TEXT_DIFF_FIELDS,
+  getContentBodyLimit,
+} = require("../config/content");
+const ContentRevision = require("./ContentRevision");
+const { AI_PROVIDERS } = require("../config/ai");
+const { diffFields } = require("../utils/diff");
+
+// Review workflow statuses and the moves allowed from each
+const CONTENT_STATUS_TRANSITIONS = {
+  draft: ["in_review"],
+  in_review: ["changes_requested", "approved", "draft"],
+  changes_requested: ["in_review", "draft"],
+  approved: ["scheduled", "published", "draft"],
+  scheduled: ["scheduled", "approved", "published", "draft"], // Rescheduling
+  published: [],
+};
+
+// Statuses whose review is invalidated when the content is edited
+const REVIEWED_STATUSES = ["in_review", "approved", "scheduled"];
+
+// Content schema for generated and manually added campaign content
+const contentSchema = new mongoose.Schema(
+  {
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: [true, "Campaign ID is required"],
+      index: true,
+    },
+    personaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Persona",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lastEditedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Current revision number
+    version: {
+      type: Number,
+      default: 1,
+    },
+    contentType: {
+      type: String,
+      enum: ["email", "social_post", "ad_copy", "blog_post"],
+      required: [true, "Content type is required"],
+    },
+    platform: {
+      type: String,
+      enum: [
+        "email",
+        "linkedin",
+        "facebook",
+        "twitter",
+        "instagram",
+        "youtube",
+        "tiktok",
+        "blog",
+        "google-ads",
+        "microsoft-ads",
+      ],
+      required: [true, "Platform is required"],
+    },
+    subjectLine: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Subject line cannot exceed 200 characters"],
+    },
+    contentBody: {
+      type: String,
+      required: [true, "Content body is required"],
+      trim: true,
+      // Long-form content types (blog posts) get a higher limit
+      validate: {
+        validator: function (v) {
+          return v.length <= getContentBodyLimit(this.contentType);
+        },
+        message: `Content body cannot exceed ${CONTENT_BODY_LIMITS.default} characters (${CONTENT_BODY_LIMITS.blog_post} for blog posts)`,
+      },
+    },
+    // Long-form structure for blog posts
+    blog: {
+      title: { type: String, trim: true },
+      metaDescription: {
+        type: String,
+        trim: true,
+        maxlength: [160, "Meta description cannot exceed 160 characters"],
+      },
+      outline: [{ type: String, trim: true }],
+      sections: [
+        {
+          _id: false,
+          heading: { type: String, trim: true },
+          body: { type: String, trim: true },
+        },
+      ],
+      seoKeywords: [{ type: String, trim: true, lowercase: true }],
+    },
+    // Structured ad copy. Search ads get several headlines and descriptions
+    // (headline and description are the first of each); other platforms
+    // get one.
+    adCopy: {
+      headline: { type: String, trim: true },
+      description: { type: String, trim: true },
+      cta: { type: String, trim: true },
+      headlines: [{ type: String, trim: true }],
+      descriptions: [{ type: String, trim: true }],
+      // Fields shortened to fit the platform's limits after the model
+      // overshot them
+      trimmed: [{ type: String }],
+    },
+    visualUrl: {
+      type: String,
+      trim: true,
+    },
+    hashtags: [
+      {
+        type: String,
+        trim: true,
+        validate: {
+          validator: function (v) {
+            return v.startsWith("#");
+          },
+          message: "Hashtags must start with #",
+        },
+      },
+    ],
+    qualityScore: {
+      type: Number,
+      min: [0, "Quality score cannot be negative"],
+      max: [100, "Quality score cannot exceed 100"],
+      default: 0,
+    },
+    // Per-criterion breakdown behind qualityScore. status reflects the AI
+    // judge; source tells whether qualityScore came from it or heuristics.
+    qualityEvaluation: {
+      status: {
+        type: String,
+        enum: ["scored", "failed"],
+      },
+      source: {
+        type: String,
+        enum: ["llm", "heuristic"],
+      },
+      criteria: [
+        {
+          _id: false,
+          criterion: String,
+          weight: Number,
+          score: { type: Number, min: 0, max: 100 },
+          rationale: { type: String, trim: true },
+        },
+      ],
+      summary: { type: String, trim: true },
+      suggestions: [{ type: String, trim: true }],
+      model: String,
+      error: String,
+      evaluatedAt: Date,
+      heuristic: {
+        overallScore: { type: Number, min: 0, max: 100 },
+        checks: [
+          {
+            _id: false,
+            check: String,
+            weight: Number,
+            score: { type: Number, min: 0, max: 100 },
+            details: String,
+          },
+        ],
+        metrics: {
+          wordCount: Number,
+          sentenceCount: Number,
+          readingEase: Number,
+          readingGrade: Number,
+        },
+      },
+    },
+    engagementMetrics: {
+      views: { type: Number, default: 0 },
+      clicks: { type: Number, default: 0 },
+      shares: { type: Number, default: 0 },
+      comments: { type: Number, default: 0 },
+      likes: { type: Number, default: 0 },
+    },
+    // Review workflow
+    status: {
+      type: String,
+      enum: Object.keys(CONTENT_STATUS_TRANSITIONS),
+      default: "draft",
+      index: true,
+    },
+    reviewers: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        assignedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        assignedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Approvals for the current review round
+    approvals: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        comment: { type: String, trim: true },
+        approvedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    scheduledAt: {
+      type: Date,
+    },
+    // Audit trail of every status transition
+    statusHistory: [
+      {
+        _id: false,
+        from: String,
+        to: String,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        comment: { type: String, trim: true },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Kept in sync with status; only published content is published
+    isPublished: {
+      type: Boolean,
+      default: false,
+    },
+    publishedAt: {
+      type: Date,
+    },
+    generationPrompt: {
+      type: String,
+      trim: true,
+    },
+    // Exact prompts sent to the model for each generation step
+    promptLog: [
+      {
+        _id: false,
+        step: String,
+        provider: String,
+        model: String,
+        messages: [
+          {
+            _id: false,
+            role: String,
+            content: String,
+          },
+        ],
+        // Provider and model configured for the task, and whether a
+        // fallback model answered instead
+        requestedProvider: String,
+        requestedModel: String,
+        fallback: Boolean,
+        temperature: Number,
+        topP: Number,
+        presencePenalty: Number,
+        maxTokens: Number,
+        // Whether the response was served from the cache (hit or
+        // coalesced), fetched (miss) or the cache was skipped (bypass)
+        cache: {
+          type: String,
+          enum: ["hit", "coalesced", "miss", "bypass"],
+        },
+      },
+    ],
+    // Model that wrote the content (its final generation step), and whether
+    // it stood in for the task's configured model
+    generatedBy: {
+      provider: {
+        type: String,
+        enum: AI_PROVIDERS,
+      },
+      model: String,
+      requestedProvider: {
+        type: String,
+        enum: AI_PROVIDERS,
+      },
+      requestedModel: String,
+      fallback: Boolean,
+    },
+    // Prompt template versions used for each generation step (version 0
+    // is the built-in prompt)
+    promptTemplates: [
+      {
+        _id: false,
+        name: String,
+        version: Number,
+        scope: {
+          type: String,
+          enum: ["builtin", "global", "workspace"],
+        },
+        templateId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "PromptTemplate",
+        },
+      },
+    ],
+    // Links the content to the usage records of the AI calls that made it
+    generationId: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for listing content by campaign
+contentSchema.index({ campaignId: 1, createdAt: -1 });
+contentSchema.index({ campaignId: 1, contentType: 1 });
+
+// Add pagination plugin
+contentSchema.plugin(mongoosePaginate);
+
+// Pre-validate middleware so isPublished can only be set by the workflow
+contentSchema.pre("validate", function (next) {
+  this.isPublished = this.status === "published";
+  next();
+});
+
+// Ensure virtual fields are serialized
+contentSchema.set("toJSON", {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+/**
+ * Pick the revisioned fields from a content document or plain object
+ * @param {Object} content - Content document or data
+ * @returns {Object} Revisioned field values
+ */
+const pickRevisionedFields = (content) => {
+  const source = content.toObject ? content.toObject() : content;
+  return Object.fromEntries(
+    REVISIONED_FIELDS.map((field) => [field, source[field] ?? null])
+  );
+};
+
+// Static method to create content together with its first revision.
+// options.action labels the revision (default "create"); options.timestamps
+// set to false keeps createdAt/updatedAt from the data (used by migrations).
+contentSchema.statics.createWithRevision = async function (
+  data,
+  authorId,
+  options = {}
+) {
+  const content = new this({
+    ...data,
+    version: 1,
+    createdBy: data.createdBy || authorId,
+    lastEditedBy: data.lastEditedBy || authorId,
+  });
+  await content.save({ timestamps: options.timestamps !== false });
+
+  await ContentRevision.create({
+    contentId: content._id,
+    campaignId: content.campaignId,
+    version: 1,
+    authorId,
+    action: options.action || "create",
+    changes: diffFields(
+      {},
+      pickRevisionedFields(content),
+      REVISIONED_FIELDS,
+      TEXT_DIFF_FIELDS
+    ),
+    snapshot: pickRevisionedFields(content),
+  });
+
+  return content;
+};
+
+// Static method to count content by type for one or more campaigns
+contentSchema.statics.countByType = async function (campaignIds) {
+  const ids = []
+    .concat(campaignIds)
+    .map((id) => new mongoose.Types.ObjectId(String(id)));
+  const rows = await this.aggregate([
+    { $match: { campaignId: { $in: ids } } },
+    {
+      $group: {
+        _id: { campaignId: "$campaignId", contentType: "$contentType" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const stats = {};
+  for (const { _id, count } of rows) {
+    const key = _id.campaignId.toString();
+    stats[key] = stats[key] || {};
+    stats[key][_id.contentType] = count;
+  }
+  return stats;
+};
+
+// Instance method to check if the content can move to a status
+contentSchema.methods.canTransitionTo = function (status) {
+  return CONTENT_STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Instance method to move the content to a new status, recording the
+// transition in the audit trail. userId is null for system transitions.
+contentSchema.methods.transitionTo = function (status, userId, comment) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change content from ${this.status} to ${status}`);
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    userId,
+    comment,
+    at: new Date(),
+  });
+  this.status = status;
+
+  if (status === "in_review") {
+    this.submittedBy = userId;
+  }
+  if (["in_review", "draft"].includes(status)) {
+    this.approvals = [];
+  }
+  if (status !== "scheduled") {
+    this.scheduledAt = undefined;
+  }
+  if (status === "published") {
+    this.publishedAt = new Date();
+  }
+};
+
+// Instance method to save only while the stored document still matches a
+// filter, e.g. the status it was read with. Returns false without saving
+// when another request changed it first.
+contentSchema.methods.saveIfUnchanged = async function (filter) {
+  this.$where = filter;
+  try {
+    await this.save();
+    return true;
+  } catch (error) {
+    // Mongoose reports a miss as a VersionError when the save also
+    // changes arrays (e.g. statusHistory)
+    if (["DocumentNotFoundError", "VersionError"].includes(error.name)) {
+      return false;
+    }
+    throw error;
+  } finally {
+    this.$where = undefined;
+  }
+};
+
+// Instance method to check if a user is assigned to review this content
+contentSchema.methods.isReviewer = function (userId) {
+  return this.reviewers.some(
+    (r) => (r.userId._id || r.userId).toString() === userId.toString()
+  );
+};
+
+// Instance method to check if a user approved the current review round
+contentSchema.methods.hasApprovalFrom = function (userId) {
+  return this.approvals.some(
+    (a) => (a.userId._id || a.userId).toString() === userId.toString()
+  );
+};
+
+// Instance method to apply an edit and record it as a new revision
+// (action "update", or "restore" when rolling back). Returns null when
+// nothing changed; throws a VersionError when another edit saved first.
+contentSchema.methods.applyEdit = async function (
+  updates,
+  authorId,
+  note,
+  action = "update"
+) {
+  const before = pickRevisionedFields(this);
+
+  for (const field of REVISIONED_FIELDS) {
+    if (updates[field] !== undefined) {
+      this.set(field, updates[field]);
+    }
+  }
+
+  const after = pickRevisionedFields(this);
+  const changes = diffFields(
+    before,
+    after,
+    REVISIONED_FIELDS,
+    TEXT_DIFF_FIELDS
+  );
+  if (changes.length === 0) return null;
+
+  const expectedVersion = this.version;
+  this.version += 1;
+  this.lastEditedBy = authorId;
+
+  // Reviews apply to the reviewed text; edits send the content back to draft
+  if (REVIEWED_STATUSES.includes(this.status)) {
+    this.transitionTo("draft", authorId, `Edited while ${this.status}`);
+  }
+
+  // Claim the next version atomically: the save only matches while the
+  // stored version is still the one this edit started from
+  if (!(await this.saveIfUnchanged({ version: expectedVersion }))) {
+    throw new mongoose.Error.VersionError(
+      this,
+      expectedVersion,
+      this.modifiedPaths()
+    );
+  }
+
+  return ContentRevision.create({
+    contentId: this._id,
+    campaignId: this.campaignId,
+    version: this.version,
+    authorId,
+    action,
+    note,
+    changes,
+    snapshot: after,
+  });
+};
+
+module.exports = mongoose.model("Content", contentSchema);
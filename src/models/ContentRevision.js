@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+
+// Immutable revision history for content items
+const contentRevisionSchema = new mongoose.Schema(
+  {
+    contentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Content",
+      required: [true, "Content ID is required"],
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: [true, "Campaign ID is required"],
+      index: true,
+    },
+    version: {
+      type: Number,
+      required: [true, "Version is required"],
+      min: [1, "Version must be at least 1"],
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "restore", "migrate"],
+      required: [true, "Revision action is required"],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Revision note cannot exceed 500 characters"],
+    },
+    // Field-level changes against the previous revision
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+        // Line diff for long text fields
+        lines: [
+          {
+            _id: false,
+            op: { type: String, enum: ["add", "remove"] },
+            line: Number,
+            text: String,
+          },
+        ],
+      },
+    ],
+    // Revisioned field values as of this version
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, "Snapshot is required"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// One revision per version of a content item
+contentRevisionSchema.index({ contentId: 1, version: -1 }, { unique: true });
+
+// Add pagination plugin
+contentRevisionSchema.plugin(mongoosePaginate);
+
+// Ensure virtual fields are serialized
+contentRevisionSchema.set("toJSON", {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+// Revisions are append-only
+contentRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Content revisions are immutable"));
+  }
+  next();
+});
+
+for (const operation of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+]) {
+  contentRevisionSchema.pre(operation, function (next) {
+    next(new Error("Content revisions are immutable"));
+  });
+}
+
+module.exports = mongoose.model("ContentRevision", contentRevisionSchema);
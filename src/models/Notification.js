@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+const User = require("./User");
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_RETENTION_DAYS,
+} = require("../config/notifications");
+
+// Notification schema for the per-user notification center
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    type: {
+      type: String,
+      enum: Object.keys(NOTIFICATION_TYPES),
+      required: [true, "Notification type is required"],
+    },
+    message: {
+      type: String,
+      required: [true, "Notification message is required"],
+      trim: true,
+      maxlength: [1000, "Notification message cannot exceed 1000 characters"],
+    },
+    // Event details such as campaignId, contentId or jobId
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+    // When the notification was pushed over Socket.IO
+    deliveredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for listing, unread counts and the reconnect backlog
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+notificationSchema.index({ userId: 1, deliveredAt: 1 });
+
+// Expire old notifications
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// Add pagination plugin
+notificationSchema.plugin(mongoosePaginate);
+
+// Ensure virtual fields are serialized
+notificationSchema.set("toJSON", {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+// Static method to store a notification unless the user turned its type
+// off. Returns null when nothing was stored.
+notificationSchema.statics.createForUser = async function (
+  userId,
+  { type, message, ...data }
+) {
+  const user = await User.findById(userId).select("notificationPreferences");
+  if (!user || !user.wantsNotification(type)) return null;
+
+  return this.create({ userId, type, message, data });
+};
+
+// Static method to mark notifications as pushed to the user
+notificationSchema.statics.markDelivered = function (ids) {
+  return this.updateMany(
+    { _id: { $in: ids }, deliveredAt: null },
+    { $set: { deliveredAt: new Date() } }
+  );
+};
+
+// Static method to set the read state of a user's notifications. Without
+// ids, every notification of the user is updated.
+notificationSchema.statics.setRead = function (userId, isRead, ids) {
+  const query = { userId, isRead: !isRead };
+  if (ids) {
+    query._id = { $in: ids };
+  }
+
+  return this.updateMany(query, {
+    $set: { isRead, readAt: isRead ? new Date() : null },
+  });
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function (userId) {
+  return this.countDocuments({ userId, isRead: false });
+};
+
+// Instance method to build the Socket.IO payload, keeping the event
+// details at the top level as before notifications were stored
+notificationSchema.methods.toPayload = function () {
+  return {
+    ...this.data,
+    notificationId: this._id,
+    type: this.type,
+    message: this.message,
+    isRead: this.isRead,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { WORKSPACE_EDITOR_ROLES } = require("../config/workspaces");
 
 const personaSchema = new mongoose.Schema(
   {
@@ -11,6 +12,14 @@ const personaSchema = new mongoose.Schema(
       },
       index: true,
     },
+    // Workspace whose persona library holds the persona
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: function () {
+        return !this.isPredefined;
+      },
+    },
     name: {
       type: String,
       required: [true, "Persona name is required"],
@@ -103,6 +112,7 @@ const personaSchema = new mongoose.Schema(
 
 // Compound indexes for better query performance
 personaSchema.index({ userId: 1, isPredefined: 1 });
+personaSchema.index({ workspaceId: 1, createdAt: -1 });
 personaSchema.index({ isPredefined: 1, createdAt: -1 });
 personaSchema.index({ name: "text", description: "text" }); // For text search
 
@@ -142,11 +152,20 @@ personaSchema.pre("validate", function (next) {
   next();
 });
 
-// Static method to find user's personas
-personaSchema.statics.findByUser = function (userId) {
-  return this.find({
-    $or: [{ userId: userId }, { isPredefined: true }],
-  }).sort({ isPredefined: 1, createdAt: -1 });
+// Static method to build a query matching a workspace's persona library
+// and the predefined personas
+personaSchema.statics.availableIn = function (workspaceId) {
+  return {
+    $or: [{ workspaceId }, { isPredefined: true }],
+  };
+};
+
+// Static method to find a workspace's personas
+personaSchema.statics.findByWorkspace = function (workspaceId) {
+  return this.find(this.availableIn(workspaceId)).sort({
+    isPredefined: 1,
+    createdAt: -1,
+  });
 };
 
 // Static method to find predefined personas
@@ -155,12 +174,10 @@ personaSchema.statics.findPredefined = function () {
 };
 
 // Static method to search personas
-personaSchema.statics.searchPersonas = function (userId, searchTerm) {
+personaSchema.statics.searchPersonas = function (workspaceId, searchTerm) {
   return this.find({
     $and: [
-      {
-        $or: [{ userId: userId }, { isPredefined: true }],
-      },
+      this.availableIn(workspaceId),
       {
         $text: { $search: searchTerm },
       },
@@ -173,12 +190,24 @@ personaSchema.methods.isOwnedBy = function (userId) {
   return this.userId && this.userId.toString() === userId.toString();
 };
 
+// Instance method to check if the persona can be used in a workspace
+personaSchema.methods.isAvailableIn = function (workspaceId) {
+  return (
+    this.isPredefined ||
+    (!!this.workspaceId &&
+      this.workspaceId.toString() === workspaceId.toString())
+  );
+};
+
 // Instance method to check if persona can be edited by user
-personaSchema.methods.canBeEditedBy = function (userId) {
+personaSchema.methods.canBeEditedBy = function (userId, workspace) {
   // Predefined personas cannot be edited
   if (this.isPredefined) return false;
-  // User can only edit their own personas
-  return this.isOwnedBy(userId);
+  // Editors of the persona's workspace share its library
+  if (workspace && this.isAvailableIn(workspace._id)) {
+    return WORKSPACE_EDITOR_ROLES.includes(workspace.getMemberRole(userId));
+  }
+  return false;
 };
 
 module.exports = mongoose.model("Persona", personaSchema);
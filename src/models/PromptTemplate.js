@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+const {
+  PROMPT_TEMPLATES,
+  PROMPT_TEMPLATE_MAX_LENGTH,
+} = require("../config/prompts");
+
+// Prompt template version schema. Each document is one immutable version of
+// a named template, either global (no workspace) or a workspace override.
+// At most one version per template and scope is active.
+const promptTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      enum: Object.keys(PROMPT_TEMPLATES),
+      required: [true, "Template name is required"],
+    },
+    // Workspace the override belongs to; null for global templates
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+    },
+    version: {
+      type: Number,
+      required: [true, "Version is required"],
+      min: [1, "Version must be at least 1"],
+    },
+    body: {
+      type: String,
+      required: [true, "Template body is required"],
+      maxlength: [
+        PROMPT_TEMPLATE_MAX_LENGTH,
+        `Template body cannot exceed ${PROMPT_TEMPLATE_MAX_LENGTH} characters`,
+      ],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+    activatedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// One document per version of a template in a scope
+promptTemplateSchema.index(
+  { name: 1, workspaceId: 1, version: -1 },
+  { unique: true }
+);
+promptTemplateSchema.index({ name: 1, workspaceId: 1, isActive: 1 });
+
+// Virtual for where the version applies
+promptTemplateSchema.virtual("scope").get(function () {
+  return this.workspaceId ? "workspace" : "global";
+});
+
+// Ensure virtual fields are serialized
+promptTemplateSchema.set("toJSON", {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+// Static method to find the version used for a workspace: its active
+// override, else the active global version
+promptTemplateSchema.statics.findActive = async function (name, workspaceId) {
+  const active = await this.find({
+    name,
+    isActive: true,
+    workspaceId: { $in: [workspaceId || null, null] },
+  });
+
+  return (
+    active.find((template) => template.workspaceId) ||
+    active.find((template) => !template.workspaceId) ||
+    null
+  );
+};
+
+// Static method to save a new version of a template in a scope
+promptTemplateSchema.statics.createVersion = async function ({
+  name,
+  workspaceId = null,
+  ...fields
+}) {
+  const latest = await this.findOne({ name, workspaceId })
+    .sort({ version: -1 })
+    .select("version");
+
+  return this.create({
+    ...fields,
+    name,
+    workspaceId,
+    version: (latest?.version || 0) + 1,
+  });
+};
+
+// Static method to stop using a workspace's overrides of a template, so
+// the global version applies again
+promptTemplateSchema.statics.clearOverride = function (name, workspaceId) {
+  return this.updateMany(
+    { name, workspaceId, isActive: true },
+    { $set: { isActive: false } }
+  );
+};
+
+// Instance method to make this the active version in its scope
+promptTemplateSchema.methods.activate = async function () {
+  await this.constructor.updateMany(
+    {
+      name: this.name,
+      workspaceId: this.workspaceId,
+      isActive: true,
+      _id: { $ne: this._id },
+    },
+    { $set: { isActive: false } }
+  );
+
+  this.isActive = true;
+  this.activatedAt = new Date();
+  return this.save();
+};
+
+// Instance method to summarize the version for content records
+promptTemplateSchema.methods.toReference = function () {
+  return {
+    name: this.name,
+    version: this.version,
+    scope: this.scope,
+    templateId: this._id,
+  };
+};
+
+module.exports = mongoose.model("PromptTemplate", promptTemplateSchema);
@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { generateTokens } = require("../utils/jwt");
+
+// Why a refresh token stopped being usable
+const REVOCATION_REASONS = [
+  "rotated", // Exchanged for a new token; using it again is reuse
+  "logout",
+  "revoked_by_user",
+  "reuse_detected",
+  "password_changed",
+  "mfa_changed",
+];
+
+// Refresh token schema. Each login starts a token family (a session); every
+// refresh rotates to a new token in the same family.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    // JWT ID (jti) of the refresh token
+    tokenId: {
+      type: String,
+      required: [true, "Token ID is required"],
+      unique: true,
+    },
+    // Session identifier shared by all rotations of a login
+    familyId: {
+      type: String,
+      required: [true, "Token family is required"],
+      index: true,
+    },
+    sessionStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    ipAddress: {
+      type: String,
+      trim: true,
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Device name cannot exceed 100 characters"],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: REVOCATION_REASONS,
+    },
+    replacedBy: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Ensure virtual fields are serialized
+refreshTokenSchema.set("toJSON", {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+// Static method to issue an access and refresh token pair and persist the
+// refresh token. Without session.familyId a new session is started;
+// session.replaces links the rotated token to its successor.
+refreshTokenSchema.statics.issue = async function (user, session = {}) {
+  const tokenId = crypto.randomUUID();
+  const familyId = session.familyId || crypto.randomUUID();
+
+  const tokens = generateTokens(user, { sessionId: familyId, tokenId });
+  const { exp } = jwt.decode(tokens.refreshToken);
+
+  await this.create({
+    userId: user._id,
+    tokenId,
+    familyId,
+    sessionStartedAt: session.sessionStartedAt || new Date(),
+    userAgent: session.userAgent?.slice(0, 500),
+    ipAddress: session.ipAddress,
+    deviceName: session.deviceName,
+    expiresAt: new Date(exp * 1000),
+  });
+
+  if (session.replaces) {
+    await this.updateOne(
+      { tokenId: session.replaces },
+      { $set: { replacedBy: tokenId } }
+    );
+  }
+
+  return { ...tokens, sessionId: familyId };
+};
+
+// Static method to claim a refresh token for rotation. Returns the claimed
+// token, or the stored token with claimed false when it was already
+// revoked, or null when it is unknown.
+refreshTokenSchema.statics.claim = async function (tokenId) {
+  const claimed = await this.findOneAndUpdate(
+    { tokenId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "rotated" } },
+    { new: true }
+  );
+  if (claimed) return { token: claimed, claimed: true };
+
+  const token = await this.findOne({ tokenId });
+  return token ? { token, claimed: false } : null;
+};
+
+// Static method to revoke every token of a session. Rotated tokens take the
+// new reason so the whole family reads as ended.
+refreshTokenSchema.statics.revokeFamily = function (familyId, reason) {
+  return this.updateMany(
+    { familyId, revokedReason: { $in: [null, "rotated"] } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+refreshTokenSchema.statics.revokeUserSessions = function (
+  userId,
+  reason,
+  exceptFamilyId
+) {
+  const query = { userId, revokedReason: { $in: [null, "rotated"] } };
+  if (exceptFamilyId) {
+    query.familyId = { $ne: exceptFamilyId };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+// Static method to check that a session has not been ended
+refreshTokenSchema.statics.isSessionActive = async function (familyId) {
+  return !!(await this.exists({
+    familyId,
+    revokedReason: { $in: [null, "rotated"] },
+    expiresAt: { $gt: new Date() },
+  }));
+};
+
+// Static method to list a user's active sessions, most recently used first
+refreshTokenSchema.statics.findActiveSessions = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+};
+
+// Instance method to describe the session this token belongs to
+refreshTokenSchema.methods.toSession = function (currentSessionId) {
+  return {
+    id: this.familyId,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    startedAt: this.sessionStartedAt,
+    lastRefreshedAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    current: this.familyId === currentSessionId,
+  };
+};
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// Generations counted against a user's monthly quota: those recorded in the
+// usage ledger plus those reserved by requests still generating. Requests
+// reserve before generating with a guarded $inc, so parallel requests
+// can't together exceed the quota.
+const usageCounterSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    // Start of the billing period the counter covers
+    periodStart: {
+      type: Date,
+      required: [true, "Period start is required"],
+    },
+    generations: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One counter per user and billing period
+usageCounterSchema.index({ userId: 1, periodStart: 1 }, { unique: true });
+
+// Static method to create a user's counter for a period, starting from the
+// generations already recorded. Safe to call from parallel requests.
+usageCounterSchema.statics.ensure = async function (
+  userId,
+  periodStart,
+  getRecorded
+) {
+  if (await this.exists({ userId, periodStart })) return;
+
+  const generations = await getRecorded();
+  try {
+    await this.updateOne(
+      { userId, periodStart },
+      { $setOnInsert: { generations } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A parallel request created it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Static method to reserve generations. Returns the updated counter, or
+// null when the reservation would take it past the limit (null limit
+// means unlimited).
+usageCounterSchema.statics.reserve = function (
+  userId,
+  periodStart,
+  count,
+  limit
+) {
+  return this.findOneAndUpdate(
+    {
+      userId,
+      periodStart,
+      ...(limit !== null && { generations: { $lte: limit - count } }),
+    },
+    { $inc: { generations: count } },
+    { new: true }
+  );
+};
+
+// Static method to give back reserved generations that weren't generated
+usageCounterSchema.statics.release = function (userId, periodStart, count) {
+  return this.updateOne(
+    { userId, periodStart },
+    { $inc: { generations: -count } }
+  );
+};
+
+module.exports = mongoose.model("UsageCounter", usageCounterSchema);
@@ -0,0 +1,206 @@
+const mongoose = require("mongoose");
+const { AI_PROVIDERS, AI_TASKS } = require("../config/ai");
+const { USAGE_METRICS } = require("../config/subscriptions");
+
+// Group keys for each cost report grouping (COST_REPORT_GROUPS)
+const COST_GROUPS = {
+  campaign: "$campaignId",
+  user: "$userId",
+  day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+  model: "$model",
+  step: "$step",
+};
+
+// Usage ledger schema. Records are append-only, apart from linking AI
+// requests to the content they produced; quotas and reports are computed
+// by summing them over a period.
+const usageRecordSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+    },
+    contentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Content",
+    },
+    // Shared by the AI requests that produced one content item, so they can
+    // be linked to it once it's saved
+    generationId: {
+      type: String,
+    },
+    metric: {
+      type: String,
+      enum: Object.keys(USAGE_METRICS),
+      required: [true, "Usage metric is required"],
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [0, "Quantity cannot be negative"],
+    },
+    contentType: {
+      type: String,
+      enum: ["email", "social_post", "ad_copy", "blog_post"],
+    },
+    // Task an AI request was routed by, and the generation step within it
+    // (e.g. blog_post / blog_plan)
+    task: {
+      type: String,
+      enum: AI_TASKS,
+    },
+    step: {
+      type: String,
+    },
+    provider: {
+      type: String,
+      enum: AI_PROVIDERS,
+    },
+    // Model that answered, and the task's configured provider and model
+    // when a fallback answered instead
+    model: {
+      type: String,
+    },
+    requestedProvider: {
+      type: String,
+      enum: AI_PROVIDERS,
+    },
+    requestedModel: {
+      type: String,
+    },
+    fallback: {
+      type: Boolean,
+      default: false,
+    },
+    tokens: {
+      prompt: { type: Number, default: 0 },
+      completion: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+    latencyMs: {
+      type: Number,
+    },
+    // Estimated cost in USD; null when the model has no known price
+    cost: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for quota checks and usage reports
+usageRecordSchema.index({ userId: 1, metric: 1, createdAt: -1 });
+usageRecordSchema.index({ workspaceId: 1, createdAt: -1 });
+usageRecordSchema.index({ campaignId: 1, createdAt: -1 });
+usageRecordSchema.index({ generationId: 1 }, { sparse: true });
+
+// Static method to add up a metric for a user since a point in time
+usageRecordSchema.statics.sumQuantity = async function (userId, metric, since) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        metric,
+        createdAt: { $gte: since },
+      },
+    },
+    { $group: { _id: null, quantity: { $sum: "$quantity" } } },
+  ]);
+
+  return result?.quantity || 0;
+};
+
+// Static method to total a user's usage since a point in time, per metric
+// and content type
+usageRecordSchema.statics.summarize = function (userId, since) {
+  return this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        createdAt: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: { metric: "$metric", contentType: "$contentType" },
+        quantity: { $sum: "$quantity" },
+        tokens: { $sum: "$tokens.total" },
+        cost: { $sum: "$cost" },
+      },
+    },
+    { $sort: { "_id.metric": 1, "_id.contentType": 1 } },
+  ]);
+};
+
+// Static method to link the AI requests of a generation to its content
+usageRecordSchema.statics.linkContent = function (generationId, contentId) {
+  return this.updateMany(
+    { generationId, contentId: null },
+    { $set: { contentId } }
+  );
+};
+
+// Static method to total AI request tokens, cost and latency matching a
+// filter, grouped by campaign, user, day, model or step; most expensive
+// first (days in date order)
+usageRecordSchema.statics.aggregateCosts = function (filter, groupBy) {
+  return this.aggregate([
+    { $match: { ...filter, metric: "ai_request" } },
+    {
+      $group: {
+        _id: COST_GROUPS[groupBy],
+        requests: { $sum: "$quantity" },
+        promptTokens: { $sum: "$tokens.prompt" },
+        completionTokens: { $sum: "$tokens.completion" },
+        totalTokens: { $sum: "$tokens.total" },
+        cost: { $sum: "$cost" },
+        // Requests whose model has no known price
+        unpricedRequests: {
+          $sum: { $cond: [{ $eq: ["$cost", null] }, 1, 0] },
+        },
+        averageLatencyMs: { $avg: "$latencyMs" },
+      },
+    },
+    { $sort: groupBy === "day" ? { _id: 1 } : { cost: -1, totalTokens: -1 } },
+  ]);
+};
+
+// Static method to find the model that last answered each AI task in a
+// workspace since a point in time
+usageRecordSchema.statics.findLatestModels = function (workspaceId, since) {
+  return this.aggregate([
+    {
+      $match: {
+        workspaceId: new mongoose.Types.ObjectId(workspaceId),
+        metric: "ai_request",
+        createdAt: { $gte: since },
+      },
+    },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: "$task",
+        provider: { $first: "$provider" },
+        model: { $first: "$model" },
+        requestedProvider: { $first: "$requestedProvider" },
+        requestedModel: { $first: "$requestedModel" },
+        fallback: { $first: "$fallback" },
+        usedAt: { $first: "$createdAt" },
+      },
+    },
+  ]);
+};
+
+module.exports = mongoose.model("UsageRecord", usageRecordSchema);
@@ -1,5 +1,22 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { NOTIFICATION_TYPES } = require("../config/notifications");
+const { mfaConfig } = require("../config/mfa");
+const { SUBSCRIPTION_TIERS } = require("../config/subscriptions");
+const { encrypt, decrypt } = require("../utils/encryption");
+const { generateSecret, verifyCode } = require("../utils/totp");
+
+/**
+ * Hash a recovery code, ignoring case and the separator
+ * @param {String} code - Recovery code
+ * @returns {String} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ""))
+    .digest("hex");
 
 const userSchema = new mongoose.Schema(
   {
@@ -43,16 +60,58 @@ const userSchema = new mongoose.Schema(
     },
     subscriptionTier: {
       type: String,
-      enum: ["free", "basic", "pro", "enterprise"],
+      enum: SUBSCRIPTION_TIERS,
       default: "free",
     },
     isActive: {
       type: Boolean,
       default: true,
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
     lastLogin: {
       type: Date,
     },
+    // TOTP two-factor authentication. Secrets are encrypted at rest and
+    // recovery codes are stored as hashes.
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: { type: String },
+      // Secret awaiting confirmation with a first code
+      pendingSecret: { type: String },
+      enabledAt: { type: Date },
+      // Time step of the last accepted code, to reject replays
+      lastUsedStep: { type: Number },
+      recoveryCodes: [
+        {
+          _id: false,
+          codeHash: { type: String, required: true },
+          usedAt: { type: Date },
+        },
+      ],
+    },
+    // Workspace the user is working in; see Workspace.resolveCurrent
+    currentWorkspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+    },
+    // Notification types the user turned on or off; unset types are on
+    notificationPreferences: {
+      type: Map,
+      of: Boolean,
+      default: {},
+    },
   },
   {
     timestamps: true, // This creates createdAt and updatedAt automatically
@@ -74,6 +133,7 @@ userSchema.set("toJSON", {
   virtuals: true,
   transform: function (doc, ret) {
     delete ret.passwordHash;
+    delete ret.mfa;
     delete ret.__v;
     return ret;
   },
@@ -99,6 +159,141 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
+// Instance method to check if the user wants a notification type
+userSchema.methods.wantsNotification = function (type) {
+  return this.notificationPreferences?.get(type) !== false;
+};
+
+// Instance method to list every notification type with its on/off state
+userSchema.methods.getNotificationPreferences = function () {
+  return Object.entries(NOTIFICATION_TYPES).map(([type, description]) => ({
+    type,
+    description,
+    enabled: this.wantsNotification(type),
+  }));
+};
+
+// Instance method to mark the user's current email address as verified
+userSchema.methods.markEmailVerified = function () {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+};
+
+// Instance method to start two-factor enrollment; returns the new secret
+userSchema.methods.startMfaEnrollment = function () {
+  const secret = generateSecret();
+  this.mfa.pendingSecret = encrypt(secret);
+  return secret;
+};
+
+// Instance method to check a TOTP code against the active secret, or the
+// pending one during enrollment. The code's time step is claimed in the
+// database straight away, so an accepted code can't be used again, even by
+// a parallel request.
+userSchema.methods.verifyMfaCode = async function (
+  code,
+  { pending = false } = {}
+) {
+  const stored = pending ? this.mfa.pendingSecret : this.mfa.secret;
+  if (!stored) return false;
+
+  const step = verifyCode(decrypt(stored), code, this.mfa.lastUsedStep ?? -1);
+  if (step === null) return false;
+
+  const { matchedCount } = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { "mfa.lastUsedStep": null },
+        { "mfa.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { $set: { "mfa.lastUsedStep": step } }
+  );
+  if (matchedCount === 0) return false;
+
+  // Already stored; a later save mustn't write back an older step
+  this.mfa.lastUsedStep = step;
+  this.unmarkModified("mfa.lastUsedStep");
+  return true;
+};
+
+// Instance method to spend a recovery code. The code is marked used in the
+// database straight away, so it only works once, even in parallel.
+userSchema.methods.useRecoveryCode = async function (code) {
+  const codeHash = hashRecoveryCode(code);
+  const index = this.mfa.recoveryCodes.findIndex(
+    (entry) => !entry.usedAt && entry.codeHash === codeHash
+  );
+  if (index === -1) return false;
+
+  const usedAt = new Date();
+  const { matchedCount } = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      "mfa.recoveryCodes": { $elemMatch: { codeHash, usedAt: null } },
+    },
+    { $set: { "mfa.recoveryCodes.$.usedAt": usedAt } }
+  );
+  if (matchedCount === 0) return false;
+
+  this.mfa.recoveryCodes[index].usedAt = usedAt;
+  this.unmarkModified(`mfa.recoveryCodes.${index}.usedAt`);
+  return true;
+};
+
+// Instance method to check a second factor: a TOTP code or a recovery code
+userSchema.methods.verifySecondFactor = async function ({
+  code,
+  recoveryCode,
+}) {
+  if (code) return this.verifyMfaCode(code);
+  if (recoveryCode) return this.useRecoveryCode(recoveryCode);
+  return false;
+};
+
+// Instance method to replace the recovery codes; returns the new codes,
+// which are only ever shown once
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: mfaConfig.recoveryCodeCount }, () =>
+    crypto
+      .randomBytes(5)
+      .toString("hex")
+      .replace(/^(.{5})/, "$1-")
+  );
+  this.mfa.recoveryCodes = codes.map((code) => ({
+    codeHash: hashRecoveryCode(code),
+  }));
+  return codes;
+};
+
+// Instance method to turn on two-factor with the pending secret
+userSchema.methods.enableMfa = function () {
+  this.mfa.secret = this.mfa.pendingSecret;
+  this.mfa.pendingSecret = undefined;
+  this.mfa.enabled = true;
+  this.mfa.enabledAt = new Date();
+  return this.generateRecoveryCodes();
+};
+
+// Instance method to turn off two-factor and forget its secrets
+userSchema.methods.disableMfa = function () {
+  this.mfa = { enabled: false, recoveryCodes: [] };
+};
+
+// Instance method to summarize two-factor state for the user; required
+// tells whether one of their workspaces enforces it
+userSchema.methods.getMfaStatus = function (required = false) {
+  return {
+    enabled: this.mfa.enabled,
+    enabledAt: this.mfa.enabledAt,
+    required,
+    recoveryCodesRemaining: this.mfa.recoveryCodes.filter(
+      (entry) => !entry.usedAt
+    ).length,
+  };
+};
+
 // Instance method to update last login
 userSchema.methods.updateLastLogin = function () {
   this.lastLogin = new Date();
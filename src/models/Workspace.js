@@ -0,0 +1,279 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { AI_PROVIDERS } = require("../config/ai");
+const {
+  WORKSPACE_ROLES,
+  WORKSPACE_MANAGER_ROLES,
+  WORKSPACE_EDITOR_ROLES,
+  WORKSPACE_INVITATION_EXPIRY,
+} = require("../config/workspaces");
+const { generateActionToken, verifyActionToken } = require("../utils/jwt");
+
+// Workspace schema. A workspace is a team that shares personas, campaigns
+// and their content; every user has at least one.
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Workspace name is required"],
+      trim: true,
+      maxlength: [100, "Workspace name cannot exceed 100 characters"],
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner ID is required"],
+    },
+    members: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: [true, "Member user ID is required"],
+        },
+        role: {
+          type: String,
+          enum: WORKSPACE_ROLES,
+          default: "editor",
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Pending invitations; accepted ones become members
+    invitations: [
+      {
+        email: {
+          type: String,
+          required: [true, "Invitation email is required"],
+          lowercase: true,
+          trim: true,
+        },
+        role: {
+          type: String,
+          enum: WORKSPACE_ROLES.filter((role) => role !== "owner"),
+          default: "editor",
+        },
+        // JWT ID (jti) of the emailed invitation token
+        tokenId: {
+          type: String,
+          required: true,
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        expiresAt: {
+          type: Date,
+          required: true,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    settings: {
+      // Members must use two-factor authentication while in the workspace
+      mfaRequired: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Workspace AI provider and per-content-type model overrides
+    aiSettings: {
+      provider: {
+        type: String,
+        enum: AI_PROVIDERS,
+      },
+      // Other providers whose fallback models may be used when the
+      // workspace's provider fails. Prompts stay with the workspace's
+      // provider unless it opts in.
+      fallbackProviders: [
+        {
+          type: String,
+          enum: AI_PROVIDERS,
+        },
+      ],
+      models: {
+        email: { type: String, trim: true },
+        social_post: { type: String, trim: true },
+        ad_copy: { type: String, trim: true },
+        blog_post: { type: String, trim: true },
+        scoring: { type: String, trim: true },
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for finding a user's workspaces and redeeming invitations
+workspaceSchema.index({ "members.userId": 1 });
+workspaceSchema.index({ "invitations.tokenId": 1 });
+
+// Ensure virtual fields are serialized
+workspaceSchema.set("toJSON", {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    ret.invitations?.forEach((invitation) => delete invitation.tokenId);
+    return ret;
+  },
+});
+
+// Static method to create a user's personal workspace
+workspaceSchema.statics.createPersonal = function (user) {
+  return this.create({
+    name: user.companyName || `${user.firstName}'s workspace`,
+    ownerId: user._id,
+    members: [{ userId: user._id, role: "owner" }],
+  });
+};
+
+// Static method to list the workspaces a user belongs to, oldest first
+workspaceSchema.statics.findForUser = function (userId) {
+  return this.find({ "members.userId": userId }).sort({ createdAt: 1 });
+};
+
+// Static method to resolve the workspace a user is working in. Falls back
+// to another of their workspaces (or a new personal one) when the current
+// one was deleted or they were removed from it.
+workspaceSchema.statics.resolveCurrent = async function (user) {
+  let workspace =
+    user.currentWorkspaceId &&
+    (await this.findOne({
+      _id: user.currentWorkspaceId,
+      "members.userId": user._id,
+    }));
+
+  if (!workspace) {
+    workspace =
+      (await this.findOne({ "members.userId": user._id }).sort({
+        createdAt: 1,
+      })) || (await this.createPersonal(user));
+
+    user.currentWorkspaceId = workspace._id;
+    await mongoose
+      .model("User")
+      .updateOne({ _id: user._id }, { currentWorkspaceId: workspace._id });
+  }
+
+  return workspace;
+};
+
+// Static method to check if any of a user's workspaces requires two-factor
+workspaceSchema.statics.requiresMfa = async function (userId) {
+  return !!(await this.exists({
+    "members.userId": userId,
+    "settings.mfaRequired": true,
+  }));
+};
+
+// Static method to check if a user must set up two-factor before using the
+// app. Any workspace they belong to counts, not just the current one, so
+// switching workspace doesn't get around the requirement.
+workspaceSchema.statics.mustEnrollMfa = async function (user) {
+  return !user.mfa.enabled && (await this.requiresMfa(user._id));
+};
+
+// Static method to find the workspace and pending invitation for an
+// invitation token. Returns null for invalid, expired or revoked tokens.
+workspaceSchema.statics.findByInvitationToken = async function (token) {
+  let decoded;
+  try {
+    decoded = verifyActionToken(token, "workspace_invitation");
+  } catch (error) {
+    return null;
+  }
+
+  const workspace = await this.findOne({
+    _id: decoded.sub,
+    "invitations.tokenId": decoded.jti,
+  });
+  const invitation = workspace?.invitations.find(
+    (entry) => entry.tokenId === decoded.jti
+  );
+
+  return invitation ? { workspace, invitation } : null;
+};
+
+// Instance method to find a member entry for a user
+workspaceSchema.methods.findMember = function (userId) {
+  return this.members.find(
+    (m) => (m.userId._id || m.userId).toString() === userId.toString()
+  );
+};
+
+// Instance method to get the user's role, or null if they aren't a member
+workspaceSchema.methods.getMemberRole = function (userId) {
+  return this.findMember(userId)?.role || null;
+};
+
+// Instance method to check if user can manage members and settings
+workspaceSchema.methods.canManageMembers = function (userId) {
+  return WORKSPACE_MANAGER_ROLES.includes(this.getMemberRole(userId));
+};
+
+// Instance method to check if user can create and edit campaigns and personas
+workspaceSchema.methods.canEditContent = function (userId) {
+  return WORKSPACE_EDITOR_ROLES.includes(this.getMemberRole(userId));
+};
+
+// Instance method to add a member, or change the role of an existing one
+workspaceSchema.methods.addMember = function (userId, role, invitedBy) {
+  const member = this.findMember(userId);
+  if (member) {
+    member.role = role;
+  } else {
+    this.members.push({ userId, role, invitedBy });
+  }
+};
+
+// Instance method to invite an email address. Replaces any pending
+// invitation for the address; returns the signed invitation token.
+workspaceSchema.methods.invite = function (email, role, invitedBy) {
+  const tokenId = crypto.randomUUID();
+  const token = generateActionToken(
+    { sub: this._id.toString(), jti: tokenId },
+    "workspace_invitation",
+    WORKSPACE_INVITATION_EXPIRY.expiresIn
+  );
+  const { exp } = jwt.decode(token);
+
+  this.invitations = this.invitations.filter(
+    (invitation) => invitation.email !== email.toLowerCase()
+  );
+  this.invitations.push({
+    email,
+    role,
+    tokenId,
+    invitedBy,
+    expiresAt: new Date(exp * 1000),
+  });
+
+  return { token, expiresIn: WORKSPACE_INVITATION_EXPIRY.description };
+};
+
+// Instance method to summarize the workspace for one of its members
+workspaceSchema.methods.toSummary = function (userId, currentWorkspaceId) {
+  return {
+    id: this._id,
+    name: this.name,
+    role: this.getMemberRole(userId),
+    memberCount: this.members.length,
+    mfaRequired: this.settings.mfaRequired,
+    current: !!currentWorkspaceId && this._id.equals(currentWorkspaceId),
+  };
+};
+
+module.exports = mongoose.model("Workspace", workspaceSchema);
@@ -0,0 +1,118 @@
+const express = require("express");
+const {
+  getABTests,
+  getABTest,
+  createABTest,
+  updateABTest,
+  deleteABTest,
+  startABTest,
+  stopABTest,
+  completeABTest,
+  linkVariantContent,
+  recordABTestResults,
+} = require("../controllers/abTestController");
+const { body } = require("express-validator");
+const {
+  handleValidationErrors,
+  validateObjectId,
+  validateABTest,
+  validateABTestUpdate,
+  validateABTestParams,
+  validateABTestResults,
+} = require("../middleware/validation");
+
+// Mounted under /api/campaigns/:id/ab-tests; authentication is applied by
+// the campaign router
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/campaigns/:id/ab-tests
+ * @desc    Get all A/B tests for a campaign
+ * @access  Private
+ * @query   status - Filter by test status
+ */
+router.get("/", validateObjectId, getABTests);
+
+/**
+ * @route   POST /api/campaigns/:id/ab-tests
+ * @desc    Create an A/B test
+ * @access  Private
+ * @body    { testName, testType, variantA, variantB, endDate? }
+ */
+router.post("/", validateObjectId, validateABTest, createABTest);
+
+/**
+ * @route   GET /api/campaigns/:id/ab-tests/:testId
+ * @desc    Get a single A/B test
+ * @access  Private
+ */
+router.get("/:testId", validateABTestParams, getABTest);
+
+/**
+ * @route   PUT /api/campaigns/:id/ab-tests/:testId
+ * @desc    Update a draft A/B test
+ * @access  Private
+ */
+router.put(
+  "/:testId",
+  validateABTestParams,
+  validateABTestUpdate,
+  updateABTest
+);
+
+/**
+ * @route   DELETE /api/campaigns/:id/ab-tests/:testId
+ * @desc    Delete an A/B test that is not running
+ * @access  Private
+ */
+router.delete("/:testId", validateABTestParams, deleteABTest);
+
+/**
+ * @route   PUT /api/campaigns/:id/ab-tests/:testId/start
+ * @desc    Start a draft A/B test
+ * @access  Private
+ */
+router.put("/:testId/start", validateABTestParams, startABTest);
+
+/**
+ * @route   PUT /api/campaigns/:id/ab-tests/:testId/stop
+ * @desc    Stop an A/B test without declaring a result
+ * @access  Private
+ */
+router.put("/:testId/stop", validateABTestParams, stopABTest);
+
+/**
+ * @route   PUT /api/campaigns/:id/ab-tests/:testId/complete
+ * @desc    Complete a running A/B test
+ * @access  Private
+ */
+router.put("/:testId/complete", validateABTestParams, completeABTest);
+
+/**
+ * @route   PUT /api/campaigns/:id/ab-tests/:testId/variants/:variant
+ * @desc    Link a variant (variant_a or variant_b) to campaign content
+ * @access  Private
+ * @body    { contentId }
+ */
+router.put(
+  "/:testId/variants/:variant",
+  validateABTestParams,
+  body("contentId").isMongoId().withMessage("Valid content ID is required"),
+  handleValidationErrors,
+  linkVariantContent
+);
+
+/**
+ * @route   POST /api/campaigns/:id/ab-tests/:testId/results
+ * @desc    Record participants and conversions for a variant
+ * @access  Private
+ * @body    { variant, participants?, conversions? }
+ */
+router.post(
+  "/:testId/results",
+  validateABTestParams,
+  validateABTestResults,
+  recordABTestResults
+);
+
+module.exports = router;
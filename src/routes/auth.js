@@ -2,17 +2,43 @@ const express = require("express");
 const {
   register,
   login,
+  verifyMfaLogin,
   getProfile,
   updateProfile,
   refreshToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  requestPasswordReset,
+  confirmPasswordReset,
+  sendVerification,
+  verifyEmail,
 } = require("../controllers/authController");
+const {
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+} = require("../controllers/mfaController");
 const {
   validateUserRegistration,
   validateUserLogin,
+  validateRefreshToken,
+  validateSessionId,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateMfaLogin,
+  validateMfaCode,
+  validateMfaDisable,
   validateProfileUpdate,
 } = require("../middleware/validation");
-const { authenticateToken } = require("../middleware/auth");
+const {
+  authenticateToken,
+  authenticateForMfaEnrollment,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
@@ -30,26 +56,152 @@ router.post("/register", validateUserRegistration, register);
  */
 router.post("/login", validateUserLogin, login);
 
+/**
+ * @route   POST /api/auth/login/mfa
+ * @desc    Complete a two-factor login with the MFA token from /login
+ * @access  Public
+ * @body    { mfaToken, code? | recoveryCode?, deviceName? }
+ */
+router.post("/login/mfa", validateMfaLogin, verifyMfaLogin);
+
 /**
  * @route   POST /api/auth/refresh-token
- * @desc    Refresh access token
+ * @desc    Rotate the refresh token and get a new access token
  * @access  Public
+ * @body    { refreshToken }
  */
-router.post("/refresh-token", refreshToken);
+router.post("/refresh-token", validateRefreshToken, refreshToken);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user and revoke the current session
+ * @access  Private
+ */
+router.post("/logout", authenticateForMfaEnrollment, logout);
+
+/**
+ * @route   POST /api/auth/password-reset/request
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ * @body    { email }
+ */
+router.post(
+  "/password-reset/request",
+  validatePasswordResetRequest,
+  requestPasswordReset
+);
+
+/**
+ * @route   POST /api/auth/password-reset/confirm
+ * @desc    Set a new password with a reset token and sign out all sessions
+ * @access  Public
+ * @body    { token, password }
+ */
+router.post(
+  "/password-reset/confirm",
+  validatePasswordReset,
+  confirmPasswordReset
+);
+
+/**
+ * @route   POST /api/auth/email-verification/send
+ * @desc    Email a new verification link to the current user
+ * @access  Private
+ */
+router.post("/email-verification/send", authenticateToken, sendVerification);
+
+/**
+ * @route   POST /api/auth/email-verification/verify
+ * @desc    Verify the user's email address
+ * @access  Public
+ * @body    { token }
+ */
+router.post(
+  "/email-verification/verify",
+  validateEmailVerification,
+  verifyEmail
+);
+
+/**
+ * @route   GET /api/auth/mfa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get("/mfa", authenticateForMfaEnrollment, getMfaStatus);
+
+/**
+ * @route   POST /api/auth/mfa/setup
+ * @desc    Start two-factor enrollment; returns the secret and otpauth URI
+ * @access  Private
+ */
+router.post("/mfa/setup", authenticateForMfaEnrollment, setupMfa);
+
+/**
+ * @route   POST /api/auth/mfa/enable
+ * @desc    Confirm enrollment with a code; returns recovery codes once
+ * @access  Private
+ * @body    { code }
+ */
+router.post(
+  "/mfa/enable",
+  authenticateForMfaEnrollment,
+  validateMfaCode,
+  enableMfa
+);
+
+/**
+ * @route   POST /api/auth/mfa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Private
+ * @body    { password, code? | recoveryCode? }
+ */
+router.post("/mfa/disable", authenticateToken, validateMfaDisable, disableMfa);
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private
+ * @body    { code }
+ */
+router.post(
+  "/mfa/recovery-codes",
+  authenticateToken,
+  validateMfaCode,
+  regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (logins) of the user
+ * @access  Private
+ */
+router.get("/sessions", authenticateToken, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke all sessions except the current one
+ * @access  Private
+ */
+router.delete("/sessions", authenticateToken, revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke a session
  * @access  Private
  */
-router.post("/logout", authenticateToken, logout);
+router.delete(
+  "/sessions/:sessionId",
+  authenticateToken,
+  validateSessionId,
+  revokeSession
+);
 
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
  * @access  Private
  */
-router.get("/profile", authenticateToken, getProfile);
+router.get("/profile", authenticateForMfaEnrollment, getProfile);
 
 /**
  * @route   PUT /api/auth/profile
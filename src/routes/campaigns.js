@@ -16,6 +16,9 @@ const {
   validateObjectId,
 } = require("../middleware/validation");
 const { authenticateToken } = require("../middleware/auth");
+const { checkPlanLimit } = require("../middleware/usage");
+const abTestRoutes = require("./abTests");
+const collaboratorRoutes = require("./collaborators");
 
 const router = express.Router();
 
@@ -38,7 +41,7 @@ router.get("/dashboard", getDashboardCampaigns);
 
 /**
  * @route   GET /api/campaigns
- * @desc    Get all campaigns for the authenticated user
+ * @desc    Get all campaigns the user owns or collaborates on
  * @access  Private
  * @query   page - Page number (default: 1)
  * @query   limit - Items per page (default: 10)
@@ -47,6 +50,7 @@ router.get("/dashboard", getDashboardCampaigns);
  * @query   search - Search in name, description, keywords
  * @query   sortBy - Sort field (default: createdAt)
  * @query   sortOrder - Sort order (asc/desc, default: desc)
+ * @query   scope - owned, shared, workspace or all (default: all)
  */
 router.get("/", getCampaigns);
 
@@ -55,7 +59,7 @@ router.get("/", getCampaigns);
  * @desc    Create a new campaign
  * @access  Private
  */
-router.post("/", validateCampaign, createCampaign);
+router.post("/", validateCampaign, checkPlanLimit("campaigns"), createCampaign);
 
 /**
  * @route   GET /api/campaigns/:id
@@ -97,4 +101,16 @@ router.post(
   addContentToCampaign
 );
 
+/**
+ * A/B tests for a campaign
+ * @route   /api/campaigns/:id/ab-tests
+ */
+router.use("/:id/ab-tests", abTestRoutes);
+
+/**
+ * Collaborators of a campaign
+ * @route   /api/campaigns/:id/collaborators
+ */
+router.use("/:id/collaborators", collaboratorRoutes);
+
 module.exports = router;
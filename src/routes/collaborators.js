@@ -0,0 +1,54 @@
+const express = require("express");
+const {
+  getCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+} = require("../controllers/collaboratorController");
+const {
+  validateObjectId,
+  validateCollaborator,
+  validateCollaboratorRole,
+  validateCollaboratorParams,
+} = require("../middleware/validation");
+
+// Mounted under /api/campaigns/:id/collaborators; authentication is applied
+// by the campaign router
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/campaigns/:id/collaborators
+ * @desc    Get the owner and collaborators of a campaign
+ * @access  Private
+ */
+router.get("/", validateObjectId, getCollaborators);
+
+/**
+ * @route   POST /api/campaigns/:id/collaborators
+ * @desc    Add a registered user as a collaborator
+ * @access  Private (owner or admin)
+ * @body    { email, role? }
+ */
+router.post("/", validateObjectId, validateCollaborator, addCollaborator);
+
+/**
+ * @route   PUT /api/campaigns/:id/collaborators/:userId
+ * @desc    Change a collaborator's role
+ * @access  Private (owner or admin)
+ * @body    { role }
+ */
+router.put(
+  "/:userId",
+  validateCollaboratorParams,
+  validateCollaboratorRole,
+  updateCollaborator
+);
+
+/**
+ * @route   DELETE /api/campaigns/:id/collaborators/:userId
+ * @desc    Remove a collaborator, or leave a campaign
+ * @access  Private (owner, admin or the collaborator)
+ */
+router.delete("/:userId", validateCollaboratorParams, removeCollaborator);
+
+module.exports = router;
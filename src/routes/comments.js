@@ -0,0 +1,88 @@
+const express = require("express");
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  unresolveComment,
+} = require("../controllers/commentController");
+const { query } = require("express-validator");
+const { COMMENT_ANCHOR_FIELDS } = require("../config/content");
+const {
+  handleValidationErrors,
+  validateObjectId,
+  validateComment,
+  validateCommentUpdate,
+  validateCommentParams,
+} = require("../middleware/validation");
+
+// Mounted under /api/content/:id/comments; authentication is applied by
+// the content router
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/content/:id/comments
+ * @desc    Get comment threads on a content item with their replies
+ * @access  Private
+ * @query   resolved?, field?, page?, limit?
+ */
+router.get(
+  "/",
+  validateObjectId,
+  query("resolved")
+    .optional()
+    .isBoolean()
+    .withMessage("Resolved must be true or false"),
+  query("field")
+    .optional()
+    .isIn(COMMENT_ANCHOR_FIELDS)
+    .withMessage("Invalid anchor field"),
+  handleValidationErrors,
+  getComments
+);
+
+/**
+ * @route   POST /api/content/:id/comments
+ * @desc    Start a comment thread or reply to one. Mention collaborators
+ *          with @[Name](userId).
+ * @access  Private
+ * @body    { body, parentId?, anchor?: { field, start, end } }
+ */
+router.post("/", validateObjectId, validateComment, createComment);
+
+/**
+ * @route   PUT /api/content/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private
+ * @body    { body }
+ */
+router.put(
+  "/:commentId",
+  validateCommentParams,
+  validateCommentUpdate,
+  updateComment
+);
+
+/**
+ * @route   DELETE /api/content/:id/comments/:commentId
+ * @desc    Delete a comment (and its replies when it starts a thread)
+ * @access  Private
+ */
+router.delete("/:commentId", validateCommentParams, deleteComment);
+
+/**
+ * @route   PUT /api/content/:id/comments/:commentId/resolve
+ * @desc    Resolve a comment thread
+ * @access  Private
+ */
+router.put("/:commentId/resolve", validateCommentParams, resolveComment);
+
+/**
+ * @route   PUT /api/content/:id/comments/:commentId/unresolve
+ * @desc    Reopen a resolved comment thread
+ * @access  Private
+ */
+router.put("/:commentId/unresolve", validateCommentParams, unresolveComment);
+
+module.exports = router;
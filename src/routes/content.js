@@ -3,19 +3,73 @@ const {
   generateEmailContent,
   generateSocialContent,
   generateAdCopy,
+  generateBlogPost,
   generateContentVariations,
   batchGenerateContent,
+  getGenerationJobStatus,
   getAIStatus,
+  getAISettings,
+  updateAISettings,
 } = require("../controllers/contentController");
-const { body } = require("express-validator");
-const { handleValidationErrors } = require("../middleware/validation");
-const { authenticateToken } = require("../middleware/auth");
+const {
+  getContentItems,
+  getContentItem,
+  updateContentItem,
+  deleteContentItem,
+  getContentRevisions,
+  getContentRevision,
+  restoreContentRevision,
+} = require("../controllers/contentItemController");
+const {
+  submitForReview,
+  assignReviewers,
+  approveContent,
+  requestChanges,
+  withdrawContent,
+  scheduleContent,
+  unscheduleContent,
+  publishContent,
+} = require("../controllers/contentWorkflowController");
+const { AI_PROVIDERS, AI_TASKS } = require("../config/ai");
+const { AD_PLATFORM_SPECS } = require("../config/content");
+const { body, param, query } = require("express-validator");
+const {
+  handleValidationErrors,
+  validateObjectId,
+  validateContentUpdate,
+  validateRevisionParams,
+  validateReviewSubmission,
+  validateReviewers,
+  validateReviewDecision,
+  validateChangesRequest,
+  validateSchedule,
+} = require("../middleware/validation");
+const {
+  authenticateToken,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
+const { checkGenerationQuota } = require("../middleware/usage");
+const { getBatchSteps } = require("../utils/batchSteps");
+const { enableSSE } = require("../utils/contentStream");
+const commentRoutes = require("./comments");
 
 const router = express.Router();
 
 // Apply authentication middleware to all content routes
 router.use(authenticateToken);
 
+// Quota checks for generation routes, by how many items a request generates
+const generationQuota = checkGenerationQuota();
+const variationsQuota = checkGenerationQuota({
+  count: (req) => Number(req.body.variations) || 2,
+  perRequestLimit: "variationsPerRequest",
+});
+const batchQuota = checkGenerationQuota({
+  count: (req) =>
+    getBatchSteps(req.body.contentTypes, req.body.platforms).length,
+  perRequestLimit: "batchSize",
+});
+
 /**
  * Content generation validation rules
  */
@@ -30,6 +84,12 @@ const validateContentGeneration = [
     .isLength({ max: 1000 })
     .withMessage("Custom instructions cannot exceed 1000 characters"),
 
+  body("useCache")
+    .optional()
+    .isBoolean()
+    .withMessage("Use cache must be a boolean")
+    .toBoolean(),
+
   handleValidationErrors,
 ];
 
@@ -45,13 +105,26 @@ const validateSocialGeneration = [
   handleValidationErrors,
 ];
 
+/**
+ * Ad copy validation rules
+ */
+const validateAdCopyGeneration = [
+  ...validateContentGeneration,
+  body("platform")
+    .optional()
+    .isIn(Object.keys(AD_PLATFORM_SPECS))
+    .withMessage("Invalid ad platform specified"),
+
+  handleValidationErrors,
+];
+
 /**
  * Content variations validation rules
  */
 const validateVariationsGeneration = [
   ...validateContentGeneration,
   body("contentType")
-    .isIn(["email", "social_post", "ad_copy"])
+    .isIn(["email", "social_post", "ad_copy", "blog_post"])
     .withMessage("Valid content type is required"),
 
   body("variations")
@@ -79,7 +152,7 @@ const validateBatchGeneration = [
     .isArray({ min: 1 })
     .withMessage("At least one content type is required")
     .custom((types) => {
-      const validTypes = ["email", "social_post", "ad_copy"];
+      const validTypes = ["email", "social_post", "ad_copy", "blog_post"];
       for (const type of types) {
         if (!validTypes.includes(type)) {
           throw new Error(`Invalid content type: ${type}`);
@@ -115,6 +188,55 @@ const validateBatchGeneration = [
     .isLength({ max: 1000 })
     .withMessage("Custom instructions cannot exceed 1000 characters"),
 
+  body("useCache")
+    .optional()
+    .isBoolean()
+    .withMessage("Use cache must be a boolean")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * AI settings validation rules
+ */
+const validateAISettings = [
+  body("provider")
+    .optional()
+    .isIn(AI_PROVIDERS)
+    .withMessage(`Provider must be one of: ${AI_PROVIDERS.join(", ")}`),
+
+  body("models")
+    .optional()
+    .isObject()
+    .withMessage("Models must be an object keyed by content type")
+    .custom((models) => {
+      for (const task of Object.keys(models)) {
+        if (!AI_TASKS.includes(task)) {
+          throw new Error(`Invalid content type: ${task}`);
+        }
+      }
+      return true;
+    }),
+
+  body("models.*")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Model names cannot exceed 100 characters"),
+
+  body("fallbackProviders")
+    .optional()
+    .isArray()
+    .withMessage("Fallback providers must be an array"),
+
+  body("fallbackProviders.*")
+    .isIn(AI_PROVIDERS)
+    .withMessage(
+      `Fallback providers must be one of: ${AI_PROVIDERS.join(", ")}`
+    ),
+
   handleValidationErrors,
 ];
 
@@ -125,52 +247,356 @@ const validateBatchGeneration = [
  */
 router.get("/ai-status", getAIStatus);
 
+/**
+ * @route   GET /api/content/ai-settings
+ * @desc    Get the workspace AI provider and model settings
+ * @access  Private
+ */
+router.get("/ai-settings", getAISettings);
+
+/**
+ * @route   PUT /api/content/ai-settings
+ * @desc    Update the workspace AI provider and per-content-type models
+ * @access  Private (workspace owner/admin)
+ * @body    { provider?, models?: { email?, social_post?, ad_copy?, blog_post?, scoring? }, fallbackProviders? }
+ */
+router.put("/ai-settings", validateAISettings, updateAISettings);
+
 /**
  * @route   POST /api/content/generate-email
  * @desc    Generate email content for a campaign
- * @access  Private
- * @body    { campaignId, personaId, customInstructions? }
+ * @access  Private (verified email)
+ * @body    { campaignId, personaId, customInstructions?, useCache? }
  */
-router.post("/generate-email", validateContentGeneration, generateEmailContent);
+router.post(
+  "/generate-email",
+  requireVerifiedEmail,
+  validateContentGeneration,
+  generationQuota,
+  generateEmailContent
+);
+
+/**
+ * @route   POST /api/content/generate-email/stream
+ * @desc    Generate email content, streaming tokens as Server-Sent Events
+ * @access  Private (verified email)
+ * @body    { campaignId, personaId, customInstructions?, useCache? }
+ */
+router.post(
+  "/generate-email/stream",
+  requireVerifiedEmail,
+  validateContentGeneration,
+  generationQuota,
+  enableSSE,
+  generateEmailContent
+);
 
 /**
  * @route   POST /api/content/generate-social
  * @desc    Generate social media content for a campaign
- * @access  Private
- * @body    { campaignId, personaId, platform, customInstructions? }
+ * @access  Private (verified email)
+ * @body    { campaignId, personaId, platform, customInstructions?, useCache? }
  */
 router.post(
   "/generate-social",
+  requireVerifiedEmail,
   validateSocialGeneration,
+  generationQuota,
+  generateSocialContent
+);
+
+/**
+ * @route   POST /api/content/generate-social/stream
+ * @desc    Generate social media content, streaming tokens as Server-Sent Events
+ * @access  Private (verified email)
+ * @body    { campaignId, personaId, platform, customInstructions?, useCache? }
+ */
+router.post(
+  "/generate-social/stream",
+  requireVerifiedEmail,
+  validateSocialGeneration,
+  generationQuota,
+  enableSSE,
   generateSocialContent
 );
 
 /**
  * @route   POST /api/content/generate-ad-copy
- * @desc    Generate ad copy for a campaign
- * @access  Private
- * @body    { campaignId, personaId, platform?, customInstructions? }
+ * @desc    Generate structured ad copy (headlines, descriptions, CTA) within
+ *          the ad platform's limits
+ * @access  Private (verified email)
+ * @body    { campaignId, personaId, platform?, customInstructions?, useCache? }
+ */
+router.post(
+  "/generate-ad-copy",
+  requireVerifiedEmail,
+  validateAdCopyGeneration,
+  generationQuota,
+  generateAdCopy
+);
+
+/**
+ * @route   POST /api/content/generate-ad-copy/stream
+ * @desc    Generate ad copy, streaming tokens as Server-Sent Events. A
+ *          reset event precedes each revision of copy that broke the
+ *          platform's limits; the complete event carries the final copy.
+ * @access  Private (verified email)
+ * @body    { campaignId, personaId, platform?, customInstructions?, useCache? }
  */
-router.post("/generate-ad-copy", validateContentGeneration, generateAdCopy);
+router.post(
+  "/generate-ad-copy/stream",
+  requireVerifiedEmail,
+  validateAdCopyGeneration,
+  generationQuota,
+  enableSSE,
+  generateAdCopy
+);
+
+/**
+ * @route   POST /api/content/generate-blog
+ * @desc    Generate a long-form, SEO-optimized blog post for a campaign
+ * @access  Private (verified email)
+ * @body    { campaignId, personaId, customInstructions?, useCache? }
+ */
+router.post(
+  "/generate-blog",
+  requireVerifiedEmail,
+  validateContentGeneration,
+  generationQuota,
+  generateBlogPost
+);
+
+/**
+ * @route   POST /api/content/generate-blog/stream
+ * @desc    Generate a blog post, streaming tokens as Server-Sent Events
+ * @access  Private (verified email)
+ * @body    { campaignId, personaId, customInstructions?, useCache? }
+ */
+router.post(
+  "/generate-blog/stream",
+  requireVerifiedEmail,
+  validateContentGeneration,
+  generationQuota,
+  enableSSE,
+  generateBlogPost
+);
 
 /**
  * @route   POST /api/content/generate-variations
- * @desc    Generate multiple content variations for A/B testing
- * @access  Private
- * @body    { campaignId, personaId, contentType, variations?, platform? }
+ * @desc    Queue generation of multiple content variations for A/B testing
+ * @access  Private (verified email)
+ * @body    { campaignId, personaId, contentType, variations?, platform?, useCache? }
  */
 router.post(
   "/generate-variations",
+  requireVerifiedEmail,
   validateVariationsGeneration,
+  variationsQuota,
   generateContentVariations
 );
 
 /**
  * @route   POST /api/content/batch-generate
- * @desc    Batch generate content for multiple platforms
+ * @desc    Queue batch content generation for multiple platforms
+ * @access  Private (verified email)
+ * @body    { campaignId, personaId, contentTypes[], platforms[], customInstructions?, useCache? }
+ */
+router.post(
+  "/batch-generate",
+  requireVerifiedEmail,
+  validateBatchGeneration,
+  batchQuota,
+  batchGenerateContent
+);
+
+/**
+ * @route   GET /api/content/jobs/:jobId
+ * @desc    Get the status and result of a background generation job
+ * @access  Private
+ */
+router.get(
+  "/jobs/:jobId",
+  param("jobId").trim().notEmpty().withMessage("Job ID is required"),
+  handleValidationErrors,
+  getGenerationJobStatus
+);
+
+/**
+ * @route   GET /api/content
+ * @desc    List content across accessible campaigns
+ * @access  Private
+ * @query   campaignId?, contentType?, platform?, status?, page?, limit?, sortBy?, sortOrder?
+ */
+router.get(
+  "/",
+  query("campaignId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid campaign ID format"),
+  handleValidationErrors,
+  getContentItems
+);
+
+/**
+ * @route   GET /api/content/:id
+ * @desc    Get a single content item
+ * @access  Private
+ */
+router.get("/:id", validateObjectId, getContentItem);
+
+/**
+ * @route   PUT /api/content/:id
+ * @desc    Edit a content item, recording a new revision
  * @access  Private
- * @body    { campaignId, personaId, contentTypes[], platforms[], customInstructions? }
+ * @body    { subjectLine?, contentBody?, hashtags?, visualUrl?, blog?, adCopy?, note? }
+ */
+router.put("/:id", validateObjectId, validateContentUpdate, updateContentItem);
+
+/**
+ * @route   DELETE /api/content/:id
+ * @desc    Delete a content item with its revision history and comments
+ * @access  Private
+ */
+router.delete("/:id", validateObjectId, deleteContentItem);
+
+/**
+ * @route   GET /api/content/:id/revisions
+ * @desc    List the revision history of a content item
+ * @access  Private
+ */
+router.get("/:id/revisions", validateObjectId, getContentRevisions);
+
+/**
+ * @route   GET /api/content/:id/revisions/:version
+ * @desc    Get a single revision with its content snapshot
+ * @access  Private
+ */
+router.get(
+  "/:id/revisions/:version",
+  validateRevisionParams,
+  getContentRevision
+);
+
+/**
+ * @route   POST /api/content/:id/revisions/:version/restore
+ * @desc    Restore a content item to an earlier revision
+ * @access  Private
+ * @body    { note? }
+ */
+router.post(
+  "/:id/revisions/:version/restore",
+  validateRevisionParams,
+  restoreContentRevision
+);
+
+/**
+ * @route   POST /api/content/:id/submit
+ * @desc    Submit content for review
+ * @access  Private
+ * @body    { reviewerIds?, comment? }
+ */
+router.post(
+  "/:id/submit",
+  validateObjectId,
+  validateReviewSubmission,
+  submitForReview
+);
+
+/**
+ * @route   PUT /api/content/:id/reviewers
+ * @desc    Replace the reviewers assigned to content
+ * @access  Private
+ * @body    { reviewerIds }
+ */
+router.put(
+  "/:id/reviewers",
+  validateObjectId,
+  validateReviewers,
+  assignReviewers
+);
+
+/**
+ * @route   POST /api/content/:id/approve
+ * @desc    Approve content under review
+ * @access  Private
+ * @body    { comment? }
+ */
+router.post(
+  "/:id/approve",
+  validateObjectId,
+  validateReviewDecision,
+  approveContent
+);
+
+/**
+ * @route   POST /api/content/:id/request-changes
+ * @desc    Request changes on content under review
+ * @access  Private
+ * @body    { comment }
+ */
+router.post(
+  "/:id/request-changes",
+  validateObjectId,
+  validateChangesRequest,
+  requestChanges
+);
+
+/**
+ * @route   POST /api/content/:id/withdraw
+ * @desc    Move content back to draft
+ * @access  Private
+ * @body    { comment? }
+ */
+router.post(
+  "/:id/withdraw",
+  validateObjectId,
+  validateReviewDecision,
+  withdrawContent
+);
+
+/**
+ * @route   POST /api/content/:id/schedule
+ * @desc    Schedule approved content for publishing
+ * @access  Private
+ * @body    { scheduledAt, comment? }
+ */
+router.post(
+  "/:id/schedule",
+  validateObjectId,
+  validateSchedule,
+  scheduleContent
+);
+
+/**
+ * @route   POST /api/content/:id/unschedule
+ * @desc    Cancel a publishing schedule
+ * @access  Private
+ * @body    { comment? }
+ */
+router.post(
+  "/:id/unschedule",
+  validateObjectId,
+  validateReviewDecision,
+  unscheduleContent
+);
+
+/**
+ * @route   POST /api/content/:id/publish
+ * @desc    Publish approved content
+ * @access  Private
+ * @body    { comment? }
+ */
+router.post(
+  "/:id/publish",
+  validateObjectId,
+  validateReviewDecision,
+  publishContent
+);
+
+/**
+ * Review comments on a content item
+ * @route   /api/content/:id/comments
  */
-router.post("/batch-generate", validateBatchGeneration, batchGenerateContent);
+router.use("/:id/comments", commentRoutes);
 
 module.exports = router;
@@ -7,6 +7,10 @@ const authRoutes = require("./auth");
 const personaRoutes = require("./personas");
 const campaignRoutes = require("./campaigns");
 const contentRoutes = require("./content");
+const notificationRoutes = require("./notifications");
+const workspaceRoutes = require("./workspaces");
+const usageRoutes = require("./usage");
+const promptTemplateRoutes = require("./promptTemplates");
 
 // API health check endpoint
 router.get("/health", (req, res) => {
@@ -29,10 +33,38 @@ router.get("/", (req, res) => {
       auth: {
         register: "POST /api/auth/register",
         login: "POST /api/auth/login",
+        loginMfa: "POST /api/auth/login/mfa",
         logout: "POST /api/auth/logout",
         profile: "GET /api/auth/profile",
         updateProfile: "PUT /api/auth/profile",
         refreshToken: "POST /api/auth/refresh-token",
+        sessions: "GET /api/auth/sessions",
+        revokeSession: "DELETE /api/auth/sessions/:sessionId",
+        revokeOtherSessions: "DELETE /api/auth/sessions",
+        requestPasswordReset: "POST /api/auth/password-reset/request",
+        confirmPasswordReset: "POST /api/auth/password-reset/confirm",
+        sendVerification: "POST /api/auth/email-verification/send",
+        verifyEmail: "POST /api/auth/email-verification/verify",
+        mfaStatus: "GET /api/auth/mfa",
+        mfaSetup: "POST /api/auth/mfa/setup",
+        mfaEnable: "POST /api/auth/mfa/enable",
+        mfaDisable: "POST /api/auth/mfa/disable",
+        mfaRecoveryCodes: "POST /api/auth/mfa/recovery-codes",
+      },
+      workspaces: {
+        getAll: "GET /api/workspaces",
+        getOne: "GET /api/workspaces/:id",
+        create: "POST /api/workspaces",
+        update: "PUT /api/workspaces/:id",
+        delete: "DELETE /api/workspaces/:id",
+        switch: "POST /api/workspaces/:id/switch",
+        updateMember: "PUT /api/workspaces/:id/members/:userId",
+        removeMember: "DELETE /api/workspaces/:id/members/:userId",
+        invitations: "GET /api/workspaces/:id/invitations",
+        invite: "POST /api/workspaces/:id/invitations",
+        revokeInvitation:
+          "DELETE /api/workspaces/:id/invitations/:invitationId",
+        acceptInvitation: "POST /api/workspaces/invitations/accept",
       },
       personas: {
         getAll: "GET /api/personas",
@@ -53,13 +85,83 @@ router.get("/", (req, res) => {
         dashboard: "GET /api/campaigns/dashboard",
         addContent: "POST /api/campaigns/:id/content",
       },
+      collaborators: {
+        getAll: "GET /api/campaigns/:id/collaborators",
+        add: "POST /api/campaigns/:id/collaborators",
+        update: "PUT /api/campaigns/:id/collaborators/:userId",
+        remove: "DELETE /api/campaigns/:id/collaborators/:userId",
+      },
+      abTests: {
+        getAll: "GET /api/campaigns/:id/ab-tests",
+        getOne: "GET /api/campaigns/:id/ab-tests/:testId",
+        create: "POST /api/campaigns/:id/ab-tests",
+        update: "PUT /api/campaigns/:id/ab-tests/:testId",
+        delete: "DELETE /api/campaigns/:id/ab-tests/:testId",
+        start: "PUT /api/campaigns/:id/ab-tests/:testId/start",
+        stop: "PUT /api/campaigns/:id/ab-tests/:testId/stop",
+        complete: "PUT /api/campaigns/:id/ab-tests/:testId/complete",
+        linkVariant:
+          "PUT /api/campaigns/:id/ab-tests/:testId/variants/:variant",
+        recordResults: "POST /api/campaigns/:id/ab-tests/:testId/results",
+      },
       content: {
         aiStatus: "GET /api/content/ai-status",
+        aiSettings: "GET /api/content/ai-settings",
+        updateAISettings: "PUT /api/content/ai-settings",
         generateEmail: "POST /api/content/generate-email",
         generateSocial: "POST /api/content/generate-social",
         generateAdCopy: "POST /api/content/generate-ad-copy",
+        streamEmail: "POST /api/content/generate-email/stream",
+        streamSocial: "POST /api/content/generate-social/stream",
+        streamAdCopy: "POST /api/content/generate-ad-copy/stream",
+        generateBlog: "POST /api/content/generate-blog",
+        streamBlog: "POST /api/content/generate-blog/stream",
         generateVariations: "POST /api/content/generate-variations",
         batchGenerate: "POST /api/content/batch-generate",
+        jobStatus: "GET /api/content/jobs/:jobId",
+        list: "GET /api/content",
+        get: "GET /api/content/:id",
+        update: "PUT /api/content/:id",
+        delete: "DELETE /api/content/:id",
+        revisions: "GET /api/content/:id/revisions",
+        revision: "GET /api/content/:id/revisions/:version",
+        restoreRevision: "POST /api/content/:id/revisions/:version/restore",
+        submitForReview: "POST /api/content/:id/submit",
+        assignReviewers: "PUT /api/content/:id/reviewers",
+        approve: "POST /api/content/:id/approve",
+        requestChanges: "POST /api/content/:id/request-changes",
+        withdraw: "POST /api/content/:id/withdraw",
+        schedule: "POST /api/content/:id/schedule",
+        unschedule: "POST /api/content/:id/unschedule",
+        publish: "POST /api/content/:id/publish",
+        comments: "GET /api/content/:id/comments",
+        addComment: "POST /api/content/:id/comments",
+        updateComment: "PUT /api/content/:id/comments/:commentId",
+        deleteComment: "DELETE /api/content/:id/comments/:commentId",
+        resolveComment: "PUT /api/content/:id/comments/:commentId/resolve",
+        unresolveComment: "PUT /api/content/:id/comments/:commentId/unresolve",
+      },
+      usage: {
+        summary: "GET /api/usage",
+        costs: "GET /api/usage/costs",
+        expensiveRequests: "GET /api/usage/costs/requests",
+      },
+      promptTemplates: {
+        getAll: "GET /api/prompt-templates",
+        getOne: "GET /api/prompt-templates/:name",
+        createVersion: "POST /api/prompt-templates/:name/versions",
+        activate: "POST /api/prompt-templates/:name/versions/:version/activate",
+        clearOverride: "DELETE /api/prompt-templates/:name/override",
+        preview: "POST /api/prompt-templates/:name/preview",
+      },
+      notifications: {
+        list: "GET /api/notifications",
+        unreadCount: "GET /api/notifications/unread-count",
+        markRead: "PUT /api/notifications/:id/read",
+        markUnread: "PUT /api/notifications/:id/unread",
+        acknowledge: "POST /api/notifications/acknowledge",
+        preferences: "GET /api/notifications/preferences",
+        updatePreferences: "PUT /api/notifications/preferences",
       },
     },
   });
@@ -67,8 +169,12 @@ router.get("/", (req, res) => {
 
 // Mount route modules
 router.use("/auth", authRoutes);
+router.use("/workspaces", workspaceRoutes);
 router.use("/personas", personaRoutes);
 router.use("/campaigns", campaignRoutes);
 router.use("/content", contentRoutes);
+router.use("/notifications", notificationRoutes);
+router.use("/usage", usageRoutes);
+router.use("/prompt-templates", promptTemplateRoutes);
 
 module.exports = router;
@@ -0,0 +1,94 @@
+const express = require("express");
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markNotificationUnread,
+  acknowledgeNotifications,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} = require("../controllers/notificationController");
+const { query } = require("express-validator");
+const { NOTIFICATION_TYPES } = require("../config/notifications");
+const {
+  handleValidationErrors,
+  validateObjectId,
+  validateNotificationAck,
+  validateNotificationPreferences,
+} = require("../middleware/validation");
+const { authenticateToken } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Apply authentication middleware to all notification routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the user's notifications, newest first
+ * @access  Private
+ * @query   unread?, type?, page?, limit?
+ */
+router.get(
+  "/",
+  query("unread")
+    .optional()
+    .isBoolean()
+    .withMessage("Unread must be true or false"),
+  query("type")
+    .optional()
+    .isIn(Object.keys(NOTIFICATION_TYPES))
+    .withMessage("Invalid notification type"),
+  handleValidationErrors,
+  getNotifications
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private
+ */
+router.get("/unread-count", getUnreadCount);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get notification preferences for every notification type
+ * @access  Private
+ */
+router.get("/preferences", getNotificationPreferences);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Turn notification types on or off
+ * @access  Private
+ * @body    { preferences: { [type]: Boolean } }
+ */
+router.put(
+  "/preferences",
+  validateNotificationPreferences,
+  updateNotificationPreferences
+);
+
+/**
+ * @route   POST /api/notifications/acknowledge
+ * @desc    Mark the given notifications, or all of them, as read
+ * @access  Private
+ * @body    { notificationIds? }
+ */
+router.post("/acknowledge", validateNotificationAck, acknowledgeNotifications);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put("/:id/read", validateObjectId, markNotificationRead);
+
+/**
+ * @route   PUT /api/notifications/:id/unread
+ * @desc    Mark a notification as unread
+ * @access  Private
+ */
+router.put("/:id/unread", validateObjectId, markNotificationUnread);
+
+module.exports = router;
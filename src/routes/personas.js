@@ -12,6 +12,7 @@ const {
   validateObjectId,
 } = require("../middleware/validation");
 const { authenticateToken } = require("../middleware/auth");
+const { checkPlanLimit } = require("../middleware/usage");
 
 const router = express.Router();
 
@@ -39,7 +40,12 @@ router.get("/", getPersonas);
  * @desc    Create a new persona
  * @access  Private
  */
-router.post("/", validatePersona, createPersona);
+router.post(
+  "/",
+  validatePersona,
+  checkPlanLimit("customPersonas"),
+  createPersona
+);
 
 /**
  * @route   GET /api/personas/:id
@@ -0,0 +1,86 @@
+const express = require("express");
+const {
+  getPromptTemplates,
+  getPromptTemplate,
+  createPromptTemplateVersion,
+  activatePromptTemplateVersion,
+  clearPromptTemplateOverride,
+  previewPromptTemplate,
+} = require("../controllers/promptTemplateController");
+const {
+  validatePromptTemplateName,
+  validatePromptTemplateVersion,
+  validatePromptTemplateActivation,
+  validatePromptTemplatePreview,
+} = require("../middleware/validation");
+const { authenticateToken } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Apply authentication middleware to all prompt template routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/prompt-templates
+ * @desc    Get the prompt templates, their variables and the version the
+ *          current workspace uses
+ * @access  Private
+ */
+router.get("/", getPromptTemplates);
+
+/**
+ * @route   GET /api/prompt-templates/:name
+ * @desc    Get a prompt template with its built-in prompt and the global
+ *          and workspace version history
+ * @access  Private
+ */
+router.get("/:name", validatePromptTemplateName, getPromptTemplate);
+
+/**
+ * @route   POST /api/prompt-templates/:name/versions
+ * @desc    Save a new template version, as a workspace override or globally
+ * @access  Private (workspace owner/admin; admin for global)
+ * @body    { body, notes?, scope?: "workspace"|"global", activate? }
+ */
+router.post(
+  "/:name/versions",
+  validatePromptTemplateVersion,
+  createPromptTemplateVersion
+);
+
+/**
+ * @route   POST /api/prompt-templates/:name/versions/:version/activate
+ * @desc    Activate a template version in its scope
+ * @access  Private (workspace owner/admin; admin for global)
+ * @body    { scope?: "workspace"|"global" }
+ */
+router.post(
+  "/:name/versions/:version/activate",
+  validatePromptTemplateActivation,
+  activatePromptTemplateVersion
+);
+
+/**
+ * @route   DELETE /api/prompt-templates/:name/override
+ * @desc    Stop overriding the template in the current workspace
+ * @access  Private (workspace owner/admin)
+ */
+router.delete(
+  "/:name/override",
+  validatePromptTemplateName,
+  clearPromptTemplateOverride
+);
+
+/**
+ * @route   POST /api/prompt-templates/:name/preview
+ * @desc    Render a template against a persona and campaign
+ * @access  Private
+ * @body    { campaignId, personaId?, versionId?, body?, platform?, variables? }
+ */
+router.post(
+  "/:name/preview",
+  validatePromptTemplatePreview,
+  previewPromptTemplate
+);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require("express");
+const {
+  getUsage,
+  getCostReport,
+  getExpensiveRequests,
+} = require("../controllers/usageController");
+const { query } = require("express-validator");
+const { COST_REPORT_GROUPS } = require("../config/subscriptions");
+const { handleValidationErrors } = require("../middleware/validation");
+const { authenticateToken } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Apply authentication middleware to all usage routes
+router.use(authenticateToken);
+
+// Shared filters for cost reports
+const validateCostFilters = [
+  query("from")
+    .optional()
+    .isISO8601()
+    .withMessage("From must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("To must be an ISO 8601 date"),
+  query("campaignId").optional().isMongoId().withMessage("Invalid campaign ID"),
+];
+
+/**
+ * @route   GET /api/usage
+ * @desc    Get usage and plan limits for the current billing period
+ * @access  Private
+ */
+router.get("/", getUsage);
+
+/**
+ * @route   GET /api/usage/costs
+ * @desc    Get AI tokens and estimated spend in the current workspace,
+ *          grouped by campaign, user, day, model or step. Members who
+ *          can't manage the workspace only see their own spend.
+ * @access  Private
+ * @query   groupBy?, from?, to?, campaignId?
+ */
+router.get(
+  "/costs",
+  validateCostFilters,
+  query("groupBy")
+    .optional()
+    .isIn(COST_REPORT_GROUPS)
+    .withMessage(`Group by must be one of: ${COST_REPORT_GROUPS.join(", ")}`),
+  handleValidationErrors,
+  getCostReport
+);
+
+/**
+ * @route   GET /api/usage/costs/requests
+ * @desc    Get the most expensive individual AI requests in the current
+ *          workspace
+ * @access  Private
+ * @query   from?, to?, campaignId?, limit?
+ */
+router.get(
+  "/costs/requests",
+  validateCostFilters,
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  handleValidationErrors,
+  getExpensiveRequests
+);
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require("express");
+const {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  switchWorkspace,
+  updateMember,
+  removeMember,
+  getInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+} = require("../controllers/workspaceController");
+const {
+  validateObjectId,
+  validateWorkspace,
+  validateWorkspaceUpdate,
+  validateWorkspaceMember,
+  validateWorkspaceMemberParams,
+  validateWorkspaceInvitation,
+  validateWorkspaceInvitationParams,
+  validateInvitationAcceptance,
+} = require("../middleware/validation");
+const {
+  authenticateToken,
+  authenticateForMfaEnrollment,
+} = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/workspaces
+ * @desc    Get the workspaces the user belongs to
+ * @access  Private
+ */
+router.get("/", authenticateForMfaEnrollment, getWorkspaces);
+
+/**
+ * @route   POST /api/workspaces
+ * @desc    Create a workspace owned by the user
+ * @access  Private
+ * @body    { name }
+ */
+router.post("/", authenticateToken, validateWorkspace, createWorkspace);
+
+/**
+ * @route   POST /api/workspaces/invitations/accept
+ * @desc    Join a workspace with an emailed invitation
+ * @access  Private
+ * @body    { token }
+ */
+router.post(
+  "/invitations/accept",
+  authenticateToken,
+  validateInvitationAcceptance,
+  acceptInvitation
+);
+
+/**
+ * @route   GET /api/workspaces/:id
+ * @desc    Get a workspace with its members
+ * @access  Private (member)
+ */
+router.get("/:id", authenticateToken, validateObjectId, getWorkspace);
+
+/**
+ * @route   PUT /api/workspaces/:id
+ * @desc    Rename a workspace or change its settings
+ * @access  Private (owner or admin)
+ * @body    { name?, settings?: { mfaRequired? } }
+ */
+router.put("/:id", authenticateToken, validateWorkspaceUpdate, updateWorkspace);
+
+/**
+ * @route   DELETE /api/workspaces/:id
+ * @desc    Delete a workspace without campaigns or personas
+ * @access  Private (owner)
+ */
+router.delete("/:id", authenticateToken, validateObjectId, deleteWorkspace);
+
+/**
+ * @route   POST /api/workspaces/:id/switch
+ * @desc    Make a workspace the user's current workspace
+ * @access  Private (member)
+ */
+router.post(
+  "/:id/switch",
+  authenticateForMfaEnrollment,
+  validateObjectId,
+  switchWorkspace
+);
+
+/**
+ * @route   PUT /api/workspaces/:id/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (owner or admin)
+ * @body    { role }
+ */
+router.put(
+  "/:id/members/:userId",
+  authenticateToken,
+  validateWorkspaceMember,
+  updateMember
+);
+
+/**
+ * @route   DELETE /api/workspaces/:id/members/:userId
+ * @desc    Remove a member, or leave the workspace
+ * @access  Private (owner, admin or the member)
+ */
+router.delete(
+  "/:id/members/:userId",
+  authenticateForMfaEnrollment,
+  validateWorkspaceMemberParams,
+  removeMember
+);
+
+/**
+ * @route   GET /api/workspaces/:id/invitations
+ * @desc    Get pending invitations
+ * @access  Private (owner or admin)
+ */
+router.get(
+  "/:id/invitations",
+  authenticateToken,
+  validateObjectId,
+  getInvitations
+);
+
+/**
+ * @route   POST /api/workspaces/:id/invitations
+ * @desc    Invite someone by email
+ * @access  Private (owner or admin)
+ * @body    { email, role? }
+ */
+router.post(
+  "/:id/invitations",
+  authenticateToken,
+  validateWorkspaceInvitation,
+  inviteMember
+);
+
+/**
+ * @route   DELETE /api/workspaces/:id/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (owner or admin)
+ */
+router.delete(
+  "/:id/invitations/:invitationId",
+  authenticateToken,
+  validateWorkspaceInvitationParams,
+  revokeInvitation
+);
+
+module.exports = router;
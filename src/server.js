@@ -8,14 +8,25 @@ const http = require("http");
 
 // Import configurations and middleware
 const connectDB = require("./config/database");
+const { validateMailConfig } = require("./config/mail");
 const { errorHandler, notFound } = require("./middleware/errorHandler");
 
 // Import background services
 const socketService = require("./services/socketService");
+const queueService = require("./services/queueService");
+const responseCache = require("./services/responseCache");
 
 // Import routes
 const routes = require("./routes");
 
+// Refuse to start with mail that would leak account links
+try {
+  validateMailConfig();
+} catch (error) {
+  console.error("❌ Mail configuration error:", error.message);
+  process.exit(1);
+}
+
 // Initialize Express app and HTTP server for Socket.IO
 const app = express();
 const server = http.createServer(app);
@@ -31,6 +42,12 @@ const initializeBackgroundServices = async () => {
     // Initialize Socket.IO
     socketService.initialize(server);
 
+    // Initialize background job queues (Bull or in-process fallback)
+    await queueService.initialize();
+
+    // Initialize the AI response cache (Redis or in-memory fallback)
+    await responseCache.initialize();
+
     console.log("✅ Background services initialization completed");
   } catch (error) {
     console.error(
@@ -153,6 +170,12 @@ const gracefulShutdown = async () => {
     // Close Socket.IO connections
     socketService.close();
 
+    // Close background job queues
+    await queueService.cleanup();
+
+    // Disconnect the AI response cache
+    await responseCache.cleanup();
+
     // Close HTTP server
     server.close(() => {
       console.log("✅ Process terminated");
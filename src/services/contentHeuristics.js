@@ -0,0 +1,382 @@
+const {
+  PLATFORM_CHARACTER_LIMITS,
+  SUBJECT_LINE_LIMITS,
+  HASHTAG_RANGES,
+  getAdPlatformSpec,
+} = require("../config/content");
+
+// Relative weight of each check in the overall heuristic score
+const CHECK_WEIGHTS = {
+  readability: 20,
+  subjectLine: 15,
+  spamWords: 10,
+  platformLength: 15,
+  callToAction: 15,
+  hashtags: 10,
+  keywordCoverage: 10,
+  painPoints: 15,
+};
+
+// Phrases that commonly trip email spam filters
+const SPAM_TRIGGER_WORDS = [
+  "100% free",
+  "act now",
+  "buy now",
+  "cash bonus",
+  "click here",
+  "earn money",
+  "free gift",
+  "guarantee",
+  "limited time",
+  "no cost",
+  "once in a lifetime",
+  "order now",
+  "risk-free",
+  "special promotion",
+  "urgent",
+  "winner",
+];
+
+// Phrases that signal a call-to-action
+const CTA_PATTERN =
+  /\b(sign up|get started|learn more|read more|find out|click|register|download|try|book|join|shop|contact|subscribe|start|buy|request|call|visit|discover|explore|claim|reply|share|comment)\b/i;
+
+// Longer "words" are treated as junk (run-together text, pasted tokens)
+// rather than vocabulary
+const MAX_WORD_LENGTH = 30;
+
+// Words ignored when matching pain points against the copy
+const STOP_WORDS = new Set([
+  "and",
+  "are",
+  "but",
+  "for",
+  "from",
+  "have",
+  "into",
+  "lack",
+  "more",
+  "much",
+  "not",
+  "that",
+  "the",
+  "their",
+  "them",
+  "they",
+  "this",
+  "too",
+  "with",
+]);
+
+/**
+ * Estimate the number of syllables in a word
+ * @param {String} word - Word to measure
+ * @returns {Number} Syllable count (at least 1)
+ */
+const countSyllables = (word) => {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (cleaned.length <= 3) return 1;
+
+  const groups = cleaned
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "")
+    .replace(/^y/, "")
+    .match(/[aeiouy]{1,2}/g);
+
+  return groups ? groups.length : 1;
+};
+
+/**
+ * Compute Flesch reading ease and Flesch-Kincaid grade level
+ * @param {String} text - Text to measure
+ * @returns {Object} { wordCount, sentenceCount, readingEase, readingGrade }
+ */
+const getReadability = (text) => {
+  const words = text.match(/[A-Za-z][A-Za-z'-]*/g) || [];
+  const sentenceCount = Math.max(
+    1,
+    (text.match(/[^.!?\n]+[.!?]+|[^.!?\n]+$/gm) || []).filter((sentence) =>
+      /[A-Za-z]/.test(sentence)
+    ).length
+  );
+
+  if (words.length === 0) {
+    return { wordCount: 0, sentenceCount: 0, readingEase: 0, readingGrade: 0 };
+  }
+
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const wordsPerSentence = words.length / sentenceCount;
+  const syllablesPerWord = syllables / words.length;
+
+  return {
+    wordCount: words.length,
+    sentenceCount,
+    readingEase:
+      Math.round(
+        (206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord) * 10
+      ) / 10,
+    readingGrade:
+      Math.round(
+        Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59) *
+          10
+      ) / 10,
+  };
+};
+
+/**
+ * Extract a "Label: value" line from ad copy
+ * @param {String} text - Ad copy
+ * @param {String} label - Field label
+ * @returns {String|null} Field value
+ */
+const extractAdField = (text, label) => {
+  const match = text.match(new RegExp(`^\\**${label}\\**:\\s*(.+)$`, "im"));
+  return match ? match[1].replace(/\*+/g, "").trim() : null;
+};
+
+/**
+ * Clamp a value to a 0-100 score
+ * @param {Number} value - Raw score
+ * @returns {Number} Rounded score between 0 and 100
+ */
+const clampScore = (value) => Math.round(Math.max(0, Math.min(100, value)));
+
+const checkReadability = ({ contentType }, text, { metrics }) => {
+  if (metrics.wordCount === 0) {
+    return { score: 0, details: "No readable text" };
+  }
+
+  // Long-form content can be a little more demanding
+  const targetGrade = contentType === "blog_post" ? 10 : 8;
+  const excess = Math.max(0, metrics.readingGrade - targetGrade);
+
+  // Text made of absurdly long words is unreadable whatever its grade
+  const words = text.match(/[A-Za-z]+/g);
+  const letters = words.reduce((sum, word) => sum + word.length, 0);
+  const junk = words
+    .filter((word) => word.length > MAX_WORD_LENGTH)
+    .reduce((sum, word) => sum + word.length, 0);
+  const junkShare = junk / letters;
+
+  const details = `Grade level ${metrics.readingGrade} (target ${targetGrade} or below)`;
+
+  return {
+    score: clampScore((100 - excess * 10) * (1 - junkShare)),
+    details:
+      junk > 0
+        ? `${details}; ${Math.round(
+            junkShare * 100
+          )}% of the text is in words over ${MAX_WORD_LENGTH} letters`
+        : details,
+  };
+};
+
+const checkSubjectLine = ({ contentType, subjectLine }) => {
+  if (contentType !== "email") return null;
+
+  const length = (subjectLine || "").length;
+  const { min, max } = SUBJECT_LINE_LIMITS;
+  let score = 100;
+  if (length === 0) score = 0;
+  else if (length > max) score = 100 - (length - max) * 5;
+  else if (length < min) score = 100 - (min - length) * 5;
+
+  return {
+    score: clampScore(score),
+    details: `${length} characters (recommended ${min}-${max})`,
+  };
+};
+
+const checkSpamWords = ({ contentType, subjectLine }, text) => {
+  if (contentType !== "email") return null;
+
+  const haystack = `${subjectLine || ""}\n${text}`.toLowerCase();
+  const found = SPAM_TRIGGER_WORDS.filter((word) => haystack.includes(word));
+  const shouting = /!{2,}/.test(haystack) ? ["repeated exclamation marks"] : [];
+  const issues = [...found, ...shouting];
+
+  return {
+    score: clampScore(100 - issues.length * 25),
+    details:
+      issues.length > 0
+        ? `Spam triggers found: ${issues.join(", ")}`
+        : "No spam trigger words found",
+  };
+};
+
+const checkPlatformLength = (
+  { contentType, platform, adCopy },
+  text,
+  { metrics }
+) => {
+  // Empty copy fits any limit but isn't publishable
+  if (metrics.wordCount === 0 && !adCopy?.headlines?.length) {
+    return { score: 0, details: "No content to publish" };
+  }
+
+  if (contentType === "ad_copy") {
+    const { limits } = getAdPlatformSpec(platform);
+    // Structured ad copy when present, otherwise the labelled text
+    const fields = adCopy?.headlines?.length
+      ? [
+          ...adCopy.headlines.map((value) => ["headline", value]),
+          ...(adCopy.descriptions || []).map((value) => ["description", value]),
+          ["cta", adCopy.cta],
+        ]
+      : [
+          ["headline", extractAdField(text, "Headline")],
+          ["description", extractAdField(text, "Description")],
+          ["cta", extractAdField(text, "Call[- ]to[- ]action")],
+        ];
+    const present = fields.filter(([, value]) => value);
+    if (present.length === 0) return null;
+
+    const over = present.filter(
+      ([field, value]) => value.length > limits[field]
+    );
+    return {
+      score: clampScore(100 - (over.length / present.length) * 100),
+      details:
+        over.length > 0
+          ? `Over the limit: ${over
+              .map(
+                ([field, value]) =>
+                  `${field} (${value.length}/${limits[field]})`
+              )
+              .join(", ")}`
+          : "All ad fields are within platform limits",
+    };
+  }
+
+  const limit = PLATFORM_CHARACTER_LIMITS[platform];
+  if (!limit) return null;
+
+  const overshoot = text.length - limit;
+  return {
+    score: overshoot > 0 ? clampScore(50 - (overshoot / limit) * 100) : 100,
+    details: `${text.length}/${limit} characters for ${platform}`,
+  };
+};
+
+const checkCallToAction = (draft, text) => {
+  const found = CTA_PATTERN.test(text);
+
+  return {
+    score: found ? 100 : 0,
+    details: found ? "Call-to-action found" : "No call-to-action found",
+  };
+};
+
+const checkHashtags = ({ contentType, platform, hashtags }, text) => {
+  if (contentType !== "social_post") return null;
+
+  const count = new Set([
+    ...(hashtags || []).map((tag) => tag.toLowerCase()),
+    ...(text.match(/#[\w]+/g) || []).map((tag) => tag.toLowerCase()),
+  ]).size;
+  const [min, max] = HASHTAG_RANGES[platform] || HASHTAG_RANGES.default;
+  const distance = count < min ? min - count : Math.max(0, count - max);
+
+  return {
+    score: clampScore(100 - distance * 20),
+    details: `${count} hashtags (recommended ${min}-${max} for ${platform})`,
+  };
+};
+
+const checkKeywordCoverage = (draft, text, { campaign }) => {
+  const keywords = (campaign?.keywords || "")
+    .split(",")
+    .map((keyword) => keyword.trim().toLowerCase())
+    .filter(Boolean);
+  if (keywords.length === 0) return null;
+
+  const haystack = `${draft.subjectLine || ""}\n${text}`.toLowerCase();
+  const missing = keywords.filter((keyword) => !haystack.includes(keyword));
+
+  return {
+    score: clampScore(
+      ((keywords.length - missing.length) / keywords.length) * 100
+    ),
+    details:
+      missing.length > 0
+        ? `Missing keywords: ${missing.join(", ")}`
+        : "All campaign keywords covered",
+  };
+};
+
+const checkPainPoints = (draft, text, { persona }) => {
+  const painPoints = (persona?.painPoints || []).filter(Boolean);
+  if (painPoints.length === 0) return null;
+
+  const haystack = `${draft.subjectLine || ""}\n${text}`.toLowerCase();
+  // A pain point counts as mentioned when most of its key words appear
+  const mentioned = painPoints.filter((painPoint) => {
+    const words = (painPoint.toLowerCase().match(/[a-z]{3,}/g) || []).filter(
+      (word) => !STOP_WORDS.has(word)
+    );
+    if (words.length === 0) return false;
+    const hits = words.filter((word) => haystack.includes(word)).length;
+    return hits / words.length >= 0.5;
+  });
+
+  // Addressing one or two pain points well is enough for a single piece
+  const target = Math.min(2, painPoints.length);
+
+  return {
+    score: clampScore((mentioned.length / target) * 100),
+    details:
+      mentioned.length > 0
+        ? `Mentions: ${mentioned.join(", ")}`
+        : "No persona pain points mentioned",
+  };
+};
+
+// Each check returns { score, details }, or null when it does not apply
+const CHECKS = {
+  readability: checkReadability,
+  subjectLine: checkSubjectLine,
+  spamWords: checkSpamWords,
+  platformLength: checkPlatformLength,
+  callToAction: checkCallToAction,
+  hashtags: checkHashtags,
+  keywordCoverage: checkKeywordCoverage,
+  painPoints: checkPainPoints,
+};
+
+/**
+ * Score content with deterministic, model-free heuristics. Checks that do
+ * not apply to the content (e.g. subject line for social posts) are
+ * skipped and do not count towards the overall score.
+ * @param {Object} draft - Content ({ contentType, platform, subjectLine,
+ *   contentBody, hashtags, adCopy })
+ * @param {Object} context - Scoring context ({ persona, campaign })
+ * @returns {Object} { overallScore, checks, metrics }
+ */
+const scoreContentHeuristics = (draft, context = {}) => {
+  const text = draft.contentBody || "";
+  const metrics = getReadability(text);
+
+  const checks = [];
+  for (const [check, run] of Object.entries(CHECKS)) {
+    const result = run(draft, text, { ...context, metrics });
+    if (result) {
+      checks.push({ check, weight: CHECK_WEIGHTS[check], ...result });
+    }
+  }
+
+  const totalWeight = checks.reduce((sum, { weight }) => sum + weight, 0);
+
+  return {
+    overallScore: clampScore(
+      checks.reduce((sum, { score, weight }) => sum + score * weight, 0) /
+        totalWeight
+    ),
+    checks,
+    metrics,
+  };
+};
+
+module.exports = {
+  scoreContentHeuristics,
+  getReadability,
+  countSyllables,
+};
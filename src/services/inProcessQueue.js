@@ -0,0 +1,215 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// Finished jobs kept in memory for status lookups
+const MAX_FINISHED_JOBS = 200;
+
+// Longest delay setTimeout supports; longer delays are split into steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Minimal in-process job queue used when Redis is not configured.
+ *
+ * Implements the subset of the Bull queue API used by the queue manager
+ * (add, process, getJob, getJobCounts, close), including delayed jobs and
+ * retries with fixed or exponential backoff, and emits the same "progress",
+ * "completed" and "failed" events. Jobs do not survive a restart.
+ */
+class InProcessQueue extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.jobs = new Map();
+    this.waiting = [];
+    this.timers = new Map();
+    this.processors = {};
+    this.concurrency = 1;
+    this.active = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Register a processor for a named job type
+   * @param {String} jobName - Job name
+   * @param {Number} concurrency - Maximum jobs processed at once
+   * @param {Function} handler - async (job) => result
+   */
+  process(jobName, concurrency, handler) {
+    this.processors[jobName] = handler;
+    this.concurrency = Math.max(this.concurrency, concurrency);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {String} jobName - Job name
+   * @param {Object} data - Job data
+   * @param {Object} opts - Job options (jobId, delay in milliseconds,
+   *   attempts, backoff)
+   * @returns {Object} Job; an existing job when jobId is already queued
+   */
+  async add(jobName, data, opts = {}) {
+    if (this.closed) {
+      throw new Error(`Queue ${this.name} is closed`);
+    }
+
+    if (opts.jobId && this.jobs.has(String(opts.jobId))) {
+      return this.jobs.get(String(opts.jobId));
+    }
+
+    const job = this.createJob(jobName, data, opts);
+    this.jobs.set(job.id, job);
+
+    if (opts.delay > 0) {
+      job.state = "delayed";
+      this.delay(job, opts.delay);
+    } else {
+      this.waiting.push(job);
+      setImmediate(() => this.drain());
+    }
+    return job;
+  }
+
+  delay(job, remaining) {
+    const step = Math.min(remaining, MAX_TIMER_DELAY);
+    const timer = setTimeout(() => {
+      if (remaining > step) {
+        this.delay(job, remaining - step);
+        return;
+      }
+      this.timers.delete(job.id);
+      job.state = "waiting";
+      this.waiting.push(job);
+      this.drain();
+    }, step);
+    timer.unref();
+    this.timers.set(job.id, timer);
+  }
+
+  createJob(jobName, data, opts) {
+    const queue = this;
+    const job = {
+      id: String(opts.jobId || `local-${crypto.randomUUID()}`),
+      name: jobName,
+      data,
+      opts,
+      state: "waiting",
+      returnvalue: null,
+      failedReason: undefined,
+      attemptsMade: 0,
+      timestamp: Date.now(),
+      processedOn: undefined,
+      finishedOn: undefined,
+      _progress: 0,
+      progress(value) {
+        if (value === undefined) return this._progress;
+        this._progress = value;
+        queue.emit("progress", this, value);
+        return Promise.resolve();
+      },
+      async getState() {
+        return this.state;
+      },
+    };
+    return job;
+  }
+
+  async drain() {
+    while (
+      !this.closed &&
+      this.active < this.concurrency &&
+      this.waiting.length > 0
+    ) {
+      const job = this.waiting.shift();
+      this.active++;
+      this.run(job).finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job) {
+    const handler = this.processors[job.name];
+    job.state = "active";
+    job.processedOn = Date.now();
+    this.emit("active", job);
+
+    try {
+      if (!handler) {
+        throw new Error(`No processor registered for job "${job.name}"`);
+      }
+      job.returnvalue = await handler(job);
+      job.state = "completed";
+      job.finishedOn = Date.now();
+      this.emit("completed", job, job.returnvalue);
+    } catch (error) {
+      job.attemptsMade++;
+      job.failedReason = error.message;
+      if (!this.closed && job.attemptsMade < (job.opts.attempts || 1)) {
+        // Like Bull, a failed attempt with retries left waits out the
+        // backoff as a delayed job
+        job.state = "delayed";
+        this.delay(job, this.backoffDelay(job));
+      } else {
+        job.state = "failed";
+        job.finishedOn = Date.now();
+      }
+      this.emit("failed", job, error);
+    }
+
+    this.pruneFinished();
+  }
+
+  // Milliseconds to wait before retrying a job, from its backoff option
+  // (a number is a fixed delay)
+  backoffDelay(job) {
+    const { backoff } = job.opts;
+    if (!backoff) return 0;
+    if (typeof backoff === "number") return backoff;
+    if (backoff.type === "exponential") {
+      return (backoff.delay || 0) * 2 ** (job.attemptsMade - 1);
+    }
+    return backoff.delay || 0;
+  }
+
+  pruneFinished() {
+    const finished = [...this.jobs.values()].filter((job) =>
+      ["completed", "failed"].includes(job.state)
+    );
+    for (const job of finished.slice(
+      0,
+      Math.max(0, finished.length - MAX_FINISHED_JOBS)
+    )) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  async getJob(jobId) {
+    return this.jobs.get(String(jobId)) || null;
+  }
+
+  async getJobCounts() {
+    const counts = {
+      waiting: 0,
+      active: 0,
+      completed: 0,
+      failed: 0,
+      delayed: 0,
+      paused: 0,
+    };
+    for (const job of this.jobs.values()) {
+      counts[job.state]++;
+    }
+    return counts;
+  }
+
+  async close() {
+    this.closed = true;
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.waiting = [];
+    this.removeAllListeners();
+  }
+}
+
+module.exports = InProcessQueue;
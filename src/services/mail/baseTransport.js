@@ -0,0 +1,35 @@
+/**
+ * Base class for mail transports used by the mail service.
+ *
+ * Transports take a provider-neutral message so that the rest of the app
+ * never depends on how mail is delivered.
+ */
+class BaseTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check whether the transport has the configuration it needs
+   * @returns {Boolean} Configuration status
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - Message to send
+   * @param {String} message.from - Sender address
+   * @param {String} message.to - Recipient address
+   * @param {String} message.subject - Subject line
+   * @param {String} message.text - Plain text body
+   * @param {String} message.html - HTML body (optional)
+   * @returns {Object} Delivery result ({ messageId })
+   */
+  async send() {
+    throw new Error(`${this.name} transport does not implement send`);
+  }
+}
+
+module.exports = BaseTransport;
@@ -0,0 +1,29 @@
+const crypto = require("crypto");
+const BaseTransport = require("./baseTransport");
+
+/**
+ * Development transport that prints each message to the console
+ */
+class ConsoleTransport extends BaseTransport {
+  constructor() {
+    super("console");
+  }
+
+  async send(message) {
+    console.log(
+      [
+        "📧 ---------- Outgoing mail ----------",
+        `From:    ${message.from}`,
+        `To:      ${message.to}`,
+        `Subject: ${message.subject}`,
+        "",
+        message.text,
+        "--------------------------------------",
+      ].join("\n")
+    );
+
+    return { messageId: `<${crypto.randomUUID()}@console>` };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,37 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const BaseTransport = require("./baseTransport");
+
+/**
+ * Development transport that writes each message to an .eml file, which
+ * any mail client can open
+ */
+class FileTransport extends BaseTransport {
+  constructor(options = {}) {
+    super("file");
+    this.directory = path.resolve(options.directory || "tmp/mail");
+    // Renders the raw RFC 822 message without sending it anywhere
+    this.renderer = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+    });
+  }
+
+  async send(message) {
+    const info = await this.renderer.sendMail(message);
+    const filename = `${Date.now()}-${message.to.replace(
+      /[^\w.@-]/g,
+      "_"
+    )}.eml`;
+    const filePath = path.join(this.directory, filename);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(filePath, info.message);
+
+    console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+    return { messageId: info.messageId, path: filePath };
+  }
+}
+
+module.exports = FileTransport;
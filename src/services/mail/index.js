@@ -0,0 +1,46 @@
+const SmtpTransport = require("./smtpTransport");
+const FileTransport = require("./fileTransport");
+const ConsoleTransport = require("./consoleTransport");
+const {
+  MAIL_TRANSPORTS,
+  LOCAL_MAIL_TRANSPORTS,
+  mailConfig,
+} = require("../../config/mail");
+
+// Transport instances are shared across requests
+const transportInstances = {};
+
+/**
+ * Get (and lazily create) a mail transport by name
+ * @param {String} name - Transport name (smtp, file, console)
+ * @returns {BaseTransport} Transport instance
+ */
+const getTransport = (name = mailConfig.transport) => {
+  if (!MAIL_TRANSPORTS.includes(name)) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  // Never write reset and verification links to logs or disk in production
+  if (
+    process.env.NODE_ENV === "production" &&
+    LOCAL_MAIL_TRANSPORTS.includes(name)
+  ) {
+    throw new Error(`Mail transport "${name}" is not allowed in production`);
+  }
+
+  if (!transportInstances[name]) {
+    if (name === "smtp") {
+      transportInstances[name] = new SmtpTransport(mailConfig.smtp);
+    } else if (name === "file") {
+      transportInstances[name] = new FileTransport(mailConfig.file);
+    } else {
+      transportInstances[name] = new ConsoleTransport();
+    }
+  }
+
+  return transportInstances[name];
+};
+
+module.exports = {
+  getTransport,
+};
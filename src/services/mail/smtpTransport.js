@@ -0,0 +1,38 @@
+const nodemailer = require("nodemailer");
+const BaseTransport = require("./baseTransport");
+
+/**
+ * Transport that delivers mail through an SMTP server
+ */
+class SmtpTransport extends BaseTransport {
+  constructor(options = {}) {
+    super("smtp");
+    this.host = options.host;
+
+    if (this.host) {
+      this.transporter = nodemailer.createTransport({
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        ...(options.user && {
+          auth: { user: options.user, pass: options.pass },
+        }),
+      });
+    }
+  }
+
+  isConfigured() {
+    return !!this.host;
+  }
+
+  async send(message) {
+    if (!this.transporter) {
+      throw new Error("SMTP transport is not configured (SMTP_HOST missing)");
+    }
+
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
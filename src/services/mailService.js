@@ -0,0 +1,135 @@
+const { getTransport } = require("./mail");
+const { mailConfig } = require("../config/mail");
+
+/**
+ * Escape text for use inside an HTML email body
+ * @param {String} text - Untrusted text
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (text = "") =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+/**
+ * Build a link to a frontend page carrying a token
+ * @param {String} pathname - Frontend path
+ * @param {String} token - Token passed as the `token` query parameter
+ * @returns {String} Absolute URL
+ */
+const buildLink = (pathname, token) => {
+  const url = new URL(pathname, mailConfig.appUrl);
+  url.searchParams.set("token", token);
+  return url.toString();
+};
+
+/**
+ * Send a message through the configured transport
+ * @param {Object} message - { to, subject, text, html? }
+ * @returns {Object} Delivery result ({ messageId })
+ */
+const sendMail = async (message) => {
+  return getTransport().send({ from: mailConfig.from, ...message });
+};
+
+/**
+ * Send a message with a call-to-action link in both text and HTML form
+ * @param {Object} user - Recipient ({ email, firstName? })
+ * @param {Object} template - { subject, intro, action, link, outro }
+ * @returns {Object} Delivery result ({ messageId })
+ */
+const sendActionMail = (user, { subject, intro, action, link, outro }) => {
+  return sendMail({
+    to: user.email,
+    subject,
+    text: [
+      `Hi ${user.firstName || "there"},`,
+      intro,
+      `${action}: ${link}`,
+      outro,
+    ].join("\n\n"),
+    html: [
+      `<p>Hi ${escapeHtml(user.firstName || "there")},</p>`,
+      `<p>${escapeHtml(intro)}</p>`,
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>`,
+      `<p>${escapeHtml(outro)}</p>`,
+    ].join("\n"),
+  });
+};
+
+/**
+ * Send the link that confirms a user's email address
+ * @param {Object} user - User to verify
+ * @param {String} token - Email verification token
+ * @param {String} expiresIn - Human readable token lifetime
+ * @returns {Object} Delivery result ({ messageId })
+ */
+const sendVerificationEmail = (user, token, expiresIn) => {
+  return sendActionMail(user, {
+    subject: "Confirm your email address",
+    intro: "Please confirm your email address to start generating content.",
+    action: "Confirm email address",
+    link: buildLink("/verify-email", token),
+    outro: `This link expires in ${expiresIn}. If you didn't create an account, you can ignore this email.`,
+  });
+};
+
+/**
+ * Send the link that lets a user choose a new password
+ * @param {Object} user - User resetting their password
+ * @param {String} token - Password reset token
+ * @param {String} expiresIn - Human readable token lifetime
+ * @returns {Object} Delivery result ({ messageId })
+ */
+const sendPasswordResetEmail = (user, token, expiresIn) => {
+  return sendActionMail(user, {
+    subject: "Reset your password",
+    intro: "We received a request to reset the password for your account.",
+    action: "Choose a new password",
+    link: buildLink("/reset-password", token),
+    outro: `This link expires in ${expiresIn} and can be used once. If you didn't ask to reset your password, you can ignore this email.`,
+  });
+};
+
+/**
+ * Send the link that lets someone join a workspace
+ * @param {String} email - Invited address
+ * @param {Object} workspace - Workspace being joined
+ * @param {Object} inviter - User who sent the invitation
+ * @param {String} token - Invitation token
+ * @param {String} expiresIn - Human readable token lifetime
+ * @returns {Object} Delivery result ({ messageId })
+ */
+const sendWorkspaceInvitation = (
+  email,
+  workspace,
+  inviter,
+  token,
+  expiresIn
+) => {
+  return sendActionMail(
+    { email },
+    {
+      subject: `Join ${workspace.name}`,
+      intro: `${inviter.firstName} ${inviter.lastName} invited you to the "${workspace.name}" workspace to share personas and campaigns.`,
+      action: "Accept invitation",
+      link: buildLink("/accept-invitation", token),
+      outro: `This invitation expires in ${expiresIn}. Sign up or log in with this email address to accept it.`,
+    }
+  );
+};
+
+module.exports = {
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendWorkspaceInvitation,
+};
@@ -0,0 +1,272 @@
+const Campaign = require("../../models/Campaign");
+const Persona = require("../../models/Persona");
+const User = require("../../models/User");
+const Workspace = require("../../models/Workspace");
+const AIContentGenerator = require("../aiService");
+const socketService = require("../socketService");
+const usageService = require("../usageService");
+const { getBatchSteps } = require("../../utils/batchSteps");
+
+const aiService = new AIContentGenerator();
+
+/**
+ * Load the campaign, persona, requesting user and the workspace whose AI
+ * settings apply to a job. Jobs queued before workspaces existed fall back
+ * to the campaign's workspace.
+ * @param {Object} data - Job data ({ campaignId, personaId, userId, workspaceId? })
+ * @returns {Object} { campaign, persona, user, workspace }
+ */
+const loadJobContext = async ({
+  campaignId,
+  personaId,
+  userId,
+  workspaceId,
+}) => {
+  const [campaign, persona, user] = await Promise.all([
+    Campaign.findById(campaignId),
+    Persona.findById(personaId),
+    User.findById(userId).select("-passwordHash"),
+  ]);
+
+  if (!campaign) throw new Error("Campaign not found");
+  if (!persona) throw new Error("Persona not found");
+  if (!user) throw new Error("User not found");
+
+  const workspace = await Workspace.findById(
+    workspaceId || campaign.workspaceId
+  );
+
+  return { campaign, persona, user, workspace };
+};
+
+/**
+ * Usage ledger context for a job's generations
+ * @param {Object} context - Job context ({ campaign, user, workspace })
+ * @returns {Object} { userId, workspaceId, campaignId }
+ */
+const getUsageContext = ({ campaign, user, workspace }) => ({
+  userId: user._id,
+  workspaceId: workspace?._id,
+  campaignId: campaign._id,
+});
+
+/**
+ * Run a generation job, keeping Campaign.generationJob and the campaign
+ * Socket.IO room in sync with its progress.
+ * @param {Object} job - Queue job
+ * @param {Function} work - async (context, reportProgress) => result
+ * @returns {Object} Job result
+ */
+const runGenerationJob = async (job, work) => {
+  const { campaignId, userId } = job.data;
+  const jobId = String(job.id);
+
+  await Campaign.updateGenerationJob(campaignId, {
+    jobId,
+    status: "processing",
+    progress: 0,
+    startedAt: new Date(),
+  });
+  socketService.emitToCampaign(campaignId, "campaign:generation:started", {
+    jobId,
+    campaignId,
+    jobType: job.name,
+  });
+
+  const reportProgress = async (progress) => {
+    await job.progress(progress);
+    await Campaign.updateGenerationJob(campaignId, { progress });
+    socketService.emitToCampaign(campaignId, "campaign:generation:progress", {
+      jobId,
+      campaignId,
+      progress,
+    });
+  };
+
+  // Quota reserved for the job (jobs queued before reservations have none)
+  const { generationReservation } = job.data;
+  let generated = 0;
+
+  try {
+    const context = await loadJobContext(job.data);
+    const result = await work(context, reportProgress);
+    generated = result.generatedContent.length;
+
+    await Campaign.updateGenerationJob(campaignId, {
+      status: "completed",
+      progress: 100,
+      completedAt: new Date(),
+    });
+    socketService.emitToCampaign(campaignId, "campaign:generation:completed", {
+      jobId,
+      campaignId,
+      ...result,
+    });
+    socketService.sendNotification(userId, {
+      type: "generation_completed",
+      message: `Content generation finished: ${result.generatedContent.length} pieces created`,
+      campaignId,
+      jobId,
+    });
+
+    return result;
+  } catch (error) {
+    await Campaign.updateGenerationJob(campaignId, {
+      status: "failed",
+      error: error.message,
+      completedAt: new Date(),
+    });
+    socketService.emitToCampaign(campaignId, "campaign:generation:failed", {
+      jobId,
+      campaignId,
+      error: error.message,
+    });
+    socketService.sendNotification(userId, {
+      type: "generation_failed",
+      message: `Content generation failed: ${error.message}`,
+      campaignId,
+      jobId,
+    });
+
+    throw error;
+  } finally {
+    if (generationReservation) {
+      await usageService.releaseGenerations(
+        generationReservation,
+        generationReservation.count - generated
+      );
+    }
+  }
+};
+
+/**
+ * Generate content for several content types and platforms
+ * @param {Object} job - Queue job
+ * @returns {Object} { generatedContent, errors }
+ */
+const batchGenerate = (job) =>
+  runGenerationJob(job, async (context, reportProgress) => {
+    const { campaign, persona, user, workspace } = context;
+    const { contentTypes, platforms, customInstructions, useCache } = job.data;
+    const usage = getUsageContext(context);
+    const options = {
+      aiSettings: workspace?.aiSettings,
+      tier: user.subscriptionTier,
+      workspaceId: workspace?._id,
+      usage,
+      useCache,
+    };
+
+    // Add custom instructions to campaign context if provided
+    if (customInstructions) {
+      campaign.generationSettings = campaign.generationSettings || {};
+      campaign.generationSettings.customInstructions = customInstructions;
+    }
+
+    // Expand content types into individual generation steps
+    const steps = getBatchSteps(contentTypes, platforms);
+
+    const generatedContent = [];
+    const errors = [];
+
+    for (const [index, { contentType, platform }] of steps.entries()) {
+      try {
+        let content;
+        if (contentType === "email") {
+          content = await aiService.generateEmailContent(
+            persona,
+            campaign,
+            options
+          );
+        } else if (contentType === "social_post") {
+          content = await aiService.generateSocialContent(
+            persona,
+            campaign,
+            platform,
+            options
+          );
+        } else if (contentType === "ad_copy") {
+          content = await aiService.generateAdCopy(
+            persona,
+            campaign,
+            undefined,
+            options
+          );
+        } else {
+          content = await aiService.generateBlogPost(
+            persona,
+            campaign,
+            options
+          );
+        }
+
+        const saved = await campaign.addContent(
+          { ...content, personaId: persona._id },
+          user._id
+        );
+        usageService.recordGeneration(usage, saved);
+        generatedContent.push(saved.toObject());
+      } catch (error) {
+        console.error(`Error generating ${contentType}:`, error);
+        errors.push(`Failed to generate ${contentType}: ${error.message}`);
+      }
+
+      await reportProgress(Math.round(((index + 1) / steps.length) * 100));
+    }
+
+    return { generatedContent, errors };
+  });
+
+/**
+ * Generate A/B testing variations of a single content type
+ * @param {Object} job - Queue job
+ * @returns {Object} { generatedContent, errors }
+ */
+const generateVariations = (job) =>
+  runGenerationJob(job, async (context, reportProgress) => {
+    const { campaign, persona, user, workspace } = context;
+    const { contentType, variations, platform, useCache } = job.data;
+    const usage = getUsageContext(context);
+
+    // Set platform for social posts if needed
+    if (contentType === "social_post") {
+      campaign.generationSettings = campaign.generationSettings || {};
+      campaign.generationSettings.platforms = platform
+        ? [platform]
+        : ["linkedin"];
+    }
+
+    const contentVariations = await aiService.generateContentVariations(
+      persona,
+      campaign,
+      contentType,
+      variations,
+      {
+        aiSettings: workspace?.aiSettings,
+        tier: user.subscriptionTier,
+        workspaceId: workspace?._id,
+        usage,
+        useCache,
+      }
+    );
+    await reportProgress(80);
+
+    // Add all variations to campaign
+    const generatedContent = [];
+    for (const content of contentVariations) {
+      const saved = await campaign.addContent(
+        { ...content, personaId: persona._id },
+        user._id
+      );
+      usageService.recordGeneration(usage, saved);
+      generatedContent.push(saved.toObject());
+    }
+
+    return { generatedContent, errors: [] };
+  });
+
+// Processors keyed by job name
+module.exports = {
+  "batch-generate": batchGenerate,
+  "generate-variations": generateVariations,
+};
@@ -0,0 +1,60 @@
+const Content = require("../../models/Content");
+const socketService = require("../socketService");
+
+/**
+ * Publish content whose scheduled time has come. Content that was
+ * unscheduled, rescheduled or edited since the job was queued is skipped.
+ * @param {Object} job - Queue job ({ contentId, campaignId, scheduledAt })
+ * @returns {Object} { published, reason? }
+ */
+const publishScheduledContent = async (job) => {
+  const { contentId, campaignId, scheduledAt } = job.data;
+  const content = await Content.findById(contentId);
+
+  if (!content) {
+    return { published: false, reason: "Content not found" };
+  }
+
+  if (
+    content.status !== "scheduled" ||
+    content.scheduledAt?.getTime() !== new Date(scheduledAt).getTime()
+  ) {
+    return { published: false, reason: "Content is no longer scheduled" };
+  }
+
+  // Unless it was unscheduled or rescheduled while this job ran
+  const schedule = { status: "scheduled", scheduledAt: content.scheduledAt };
+  content.transitionTo("published", null, "Published on schedule");
+  if (!(await content.saveIfUnchanged(schedule))) {
+    return { published: false, reason: "Content is no longer scheduled" };
+  }
+
+  socketService.emitToCampaign(campaignId, "campaign:content:status", {
+    contentId,
+    campaignId,
+    status: content.status,
+  });
+
+  const recipients = new Set(
+    [content.submittedBy, content.createdBy]
+      .filter(Boolean)
+      .map((userId) => userId.toString())
+  );
+  for (const userId of recipients) {
+    socketService.sendNotification(userId, {
+      type: "content_published",
+      message: `Scheduled ${content.contentType.replace(
+        "_",
+        " "
+      )} content was published`,
+      campaignId,
+      contentId,
+    });
+  }
+
+  return { published: true, publishedAt: content.publishedAt };
+};
+
+module.exports = {
+  publishScheduledContent,
+};
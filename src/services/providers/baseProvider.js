@@ -0,0 +1,79 @@
+const CircuitBreaker = require("./circuitBreaker");
+const { aiConfig } = require("../../config/ai");
+
+/**
+ * Base class for LLM providers used by the content generator.
+ *
+ * Providers take a provider-neutral request and return a normalized
+ * completion so that the generator never depends on a vendor SDK. Each
+ * provider keeps a circuit breaker per model, shared by all calls to it, so
+ * one failing model doesn't block fallbacks on the same provider.
+ */
+class BaseProvider {
+  constructor(name) {
+    this.name = name;
+    this.circuits = new Map();
+  }
+
+  /**
+   * Get (and lazily create) the circuit breaker for a model
+   * @param {String} model - Model name
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  getCircuit(model) {
+    if (!this.circuits.has(model)) {
+      this.circuits.set(
+        model,
+        new CircuitBreaker(aiConfig.resilience.circuitBreaker)
+      );
+    }
+
+    return this.circuits.get(model);
+  }
+
+  /**
+   * Check whether the provider has the configuration it needs
+   * @returns {Boolean} Configuration status
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Create a chat completion
+   * @param {Object} request - Completion request
+   * @param {String} request.model - Model name
+   * @param {Array} request.messages - Chat messages ({ role, content })
+   * @param {Number} request.maxTokens - Maximum tokens to generate
+   * @param {Number} request.temperature - Sampling temperature
+   * @param {Number} request.topP - Nucleus sampling cutoff (optional)
+   * @param {Number} request.presencePenalty - Presence penalty (optional)
+   * @param {String} request.task - Generation task (email, social_post, ...)
+   * @param {Object} request.responseFormat - JSON schema the completion
+   *   must follow ({ name, schema }), for providers that support it
+   *   (optional)
+   * @param {AbortSignal} request.signal - Aborts the call on timeout
+   *   (optional)
+   * @returns {Object} Completion ({ content, model, usage })
+   */
+  async createChatCompletion() {
+    throw new Error(
+      `${this.name} provider does not implement chat completions`
+    );
+  }
+
+  /**
+   * Create a chat completion, reporting generated text as it arrives.
+   * Providers without native streaming emit the whole completion at once.
+   * @param {Object} request - Completion request (see createChatCompletion)
+   * @param {Function} onToken - Called with each chunk of generated text
+   * @returns {Object} Completion ({ content, model, usage })
+   */
+  async streamChatCompletion(request, onToken) {
+    const completion = await this.createChatCompletion(request);
+    onToken(completion.content);
+    return completion;
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,103 @@
+/**
+ * Circuit breaker for an AI provider model.
+ *
+ * After failureThreshold consecutive failures the circuit opens and calls
+ * are rejected without reaching the provider. Once resetTimeoutMs has
+ * passed it half-opens and lets a single trial call through: success closes
+ * the circuit, failure opens it again.
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = "closed"; // 'closed', 'open' or 'half_open'
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Check whether a call may go to the provider, claiming the trial call
+   * when the circuit is half-open
+   * @returns {Boolean} True if the call may proceed
+   */
+  canRequest() {
+    if (
+      this.state === "open" &&
+      Date.now() - this.openedAt >= this.resetTimeoutMs
+    ) {
+      this.state = "half_open";
+      this.trialInFlight = false;
+    }
+
+    if (this.state === "open") return false;
+    if (this.state === "half_open") {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Count a failed call, opening the circuit at the threshold or when the
+   * half-open trial fails
+   * @param {Error} error - Failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailure = {
+      code: error.code,
+      message: error.message,
+      at: new Date(),
+    };
+
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) {
+      this.state = "open";
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Seconds until an open circuit lets a trial call through
+   * @returns {Number} Seconds (0 when not open)
+   */
+  getRetryAfter() {
+    if (this.state !== "open") return 0;
+    return Math.max(
+      Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000),
+      0
+    );
+  }
+
+  /**
+   * Get the breaker state for status reporting
+   * @returns {Object} { state, failures, openedAt, retryAfter, lastFailure }
+   */
+  getState() {
+    // Report an expired open circuit as half-open without claiming the trial
+    const state =
+      this.state === "open" && this.getRetryAfter() === 0
+        ? "half_open"
+        : this.state;
+
+    return {
+      state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAfter: state === "open" ? this.getRetryAfter() : 0,
+      lastFailure: this.lastFailure,
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
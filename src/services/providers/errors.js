@@ -0,0 +1,186 @@
+/**
+ * Typed errors for AI provider calls.
+ *
+ * Providers throw vendor-specific errors; normalizeProviderError maps them
+ * to these so retries, the circuit breaker and controllers can act on the
+ * kind of failure. Each error carries the HTTP status and code the API
+ * responds with.
+ */
+
+class AIProviderError extends Error {
+  /**
+   * @param {String} message - Client-facing message
+   * @param {Object} details - Error details
+   * @param {String} details.code - Error code for API responses
+   * @param {Number} details.statusCode - HTTP status for API responses
+   * @param {Boolean} details.retryable - Whether retrying may succeed
+   * @param {Boolean} details.tripsCircuit - Whether the failure counts
+   *   against the provider's circuit breaker
+   * @param {Number} details.retryAfter - Seconds to wait before retrying
+   * @param {String} details.provider - Provider name
+   */
+  constructor(
+    message,
+    {
+      code = "AI_PROVIDER_ERROR",
+      statusCode = 502,
+      retryable = false,
+      tripsCircuit = true,
+      retryAfter = null,
+      provider,
+    } = {}
+  ) {
+    super(message);
+    this.name = "AIProviderError";
+    this.code = code;
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+    this.tripsCircuit = tripsCircuit;
+    this.retryAfter = retryAfter;
+    this.provider = provider;
+  }
+}
+
+class AIRateLimitError extends AIProviderError {
+  constructor(provider, retryAfter = null) {
+    super(
+      "The AI provider is rate limiting requests. Please try again shortly.",
+      {
+        code: "AI_RATE_LIMITED",
+        statusCode: 429,
+        retryable: true,
+        retryAfter,
+        provider,
+      }
+    );
+    this.name = "AIRateLimitError";
+  }
+}
+
+class AIQuotaExhaustedError extends AIProviderError {
+  constructor(provider) {
+    super(
+      "The AI provider account has exhausted its quota. Please contact your administrator.",
+      { code: "AI_QUOTA_EXHAUSTED", statusCode: 503, provider }
+    );
+    this.name = "AIQuotaExhaustedError";
+  }
+}
+
+class AIContentFilteredError extends AIProviderError {
+  constructor(provider) {
+    super(
+      "The AI provider's content filter blocked this request. Try adjusting the campaign details or custom instructions.",
+      {
+        code: "AI_CONTENT_FILTERED",
+        statusCode: 422,
+        // The provider answered; the request was the problem
+        tripsCircuit: false,
+        provider,
+      }
+    );
+    this.name = "AIContentFilteredError";
+  }
+}
+
+class AITimeoutError extends AIProviderError {
+  constructor(provider, timeoutMs) {
+    super(`The AI provider did not respond within ${timeoutMs / 1000}s.`, {
+      code: "AI_TIMEOUT",
+      statusCode: 504,
+      retryable: true,
+      provider,
+    });
+    this.name = "AITimeoutError";
+  }
+}
+
+class AIUnavailableError extends AIProviderError {
+  constructor(provider, retryAfter) {
+    super(
+      "The AI provider is temporarily unavailable after repeated failures. Please try again shortly.",
+      {
+        code: "AI_UNAVAILABLE",
+        statusCode: 503,
+        // Rejected without calling the provider
+        tripsCircuit: false,
+        retryAfter,
+        provider,
+      }
+    );
+    this.name = "AIUnavailableError";
+  }
+}
+
+// SDK errors for requests that never got a response
+const CONNECTION_ERRORS = ["APIConnectionError", "APIConnectionTimeoutError"];
+
+// Error codes the OpenAI API uses for filtered content
+const CONTENT_FILTER_CODES = ["content_filter", "content_policy_violation"];
+
+/**
+ * Read a Retry-After header from a provider error, in seconds
+ * @param {Object} headers - Response headers (Headers or plain object)
+ * @returns {Number|null} Seconds, or null when absent
+ */
+const getRetryAfter = (headers) => {
+  const value =
+    typeof headers?.get === "function"
+      ? headers.get("retry-after")
+      : headers?.["retry-after"];
+  const seconds = parseInt(value);
+
+  return Number.isFinite(seconds) ? seconds : null;
+};
+
+/**
+ * Map an error thrown by a provider SDK to a typed AI provider error.
+ * Errors that don't come from the provider (e.g. bugs) are returned as is.
+ * @param {Error} error - Error thrown by the provider
+ * @param {String} provider - Provider name
+ * @returns {Error} Typed error, or the original error
+ */
+const normalizeProviderError = (error, provider) => {
+  if (error instanceof AIProviderError) return error;
+
+  const { status } = error;
+  const code = error.code || error.error?.code;
+
+  if (status === 429) {
+    return code === "insufficient_quota"
+      ? new AIQuotaExhaustedError(provider)
+      : new AIRateLimitError(provider, getRetryAfter(error.headers));
+  }
+
+  if (CONTENT_FILTER_CODES.includes(code)) {
+    return new AIContentFilteredError(provider);
+  }
+
+  if (status >= 500 || CONNECTION_ERRORS.includes(error.name)) {
+    return new AIProviderError(
+      "The AI provider failed to respond. Please try again.",
+      { retryable: true, provider }
+    );
+  }
+
+  if (status) {
+    // Other API errors (bad key, unknown model, ...) won't fix themselves
+    // and say nothing about the provider's health
+    return new AIProviderError(
+      `The AI provider rejected the request: ${error.message}`,
+      { tripsCircuit: false, provider }
+    );
+  }
+
+  return error;
+};
+
+module.exports = {
+  AIProviderError,
+  AIRateLimitError,
+  AIQuotaExhaustedError,
+  AIContentFilteredError,
+  AITimeoutError,
+  AIUnavailableError,
+  normalizeProviderError,
+};
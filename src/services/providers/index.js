@@ -0,0 +1,100 @@
+const OpenAIProvider = require("./openaiProvider");
+const LocalProvider = require("./localProvider");
+const MockProvider = require("./mockProvider");
+const {
+  AI_PROVIDERS,
+  DEFAULT_MODELS,
+  aiConfig,
+  getFallbackChain,
+} = require("../../config/ai");
+
+// Provider instances are shared across requests
+const providerInstances = {};
+
+/**
+ * Get (and lazily create) a provider by name
+ * @param {String} name - Provider name (openai, local, mock)
+ * @returns {BaseProvider} Provider instance
+ */
+const getProvider = (name = aiConfig.defaultProvider) => {
+  if (!AI_PROVIDERS.includes(name)) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  if (!providerInstances[name]) {
+    if (name === "openai") {
+      providerInstances[name] = new OpenAIProvider(aiConfig.openai);
+    } else if (name === "local") {
+      providerInstances[name] = new LocalProvider(aiConfig.local);
+    } else {
+      providerInstances[name] = new MockProvider();
+    }
+  }
+
+  return providerInstances[name];
+};
+
+/**
+ * Resolve the provider and model for a task from workspace settings
+ * @param {String} task - Generation task (email, social_post, ad_copy, scoring)
+ * @param {Object} aiSettings - Workspace AI settings ({ provider, models })
+ * @returns {Object} { provider, model }
+ */
+const resolveProvider = (task, aiSettings) => {
+  const providerName = aiSettings?.provider || aiConfig.defaultProvider;
+  const provider = getProvider(providerName);
+  const model =
+    aiSettings?.models?.[task] || DEFAULT_MODELS[providerName][task];
+
+  return { provider, model };
+};
+
+/**
+ * Resolve the models to try for a task, in order: the model from workspace
+ * settings, then the fallback chain for the subscription tier. Prompts only
+ * go to another provider when the workspace lists it in fallbackProviders,
+ * so a workspace on a local model never falls back to a hosted one
+ * unasked. Fallbacks on unknown or unconfigured providers and repeated
+ * models are skipped.
+ * @param {String} task - Generation task (email, social_post, ad_copy, scoring)
+ * @param {Object} aiSettings - Workspace AI settings ({ provider, models,
+ *   fallbackProviders })
+ * @param {String} tier - Subscription tier (optional)
+ * @returns {Array} [{ provider, model }], primary first
+ */
+const resolveModelChain = (task, aiSettings, tier) => {
+  const chain = [resolveProvider(task, aiSettings)];
+  const allowedProviders = [
+    chain[0].provider.name,
+    ...(aiSettings?.fallbackProviders || []),
+  ];
+
+  for (const entry of getFallbackChain(task, tier)) {
+    const [providerName, ...modelParts] = String(entry).split(":");
+    if (
+      !AI_PROVIDERS.includes(providerName) ||
+      !allowedProviders.includes(providerName)
+    ) {
+      continue;
+    }
+
+    const provider = getProvider(providerName);
+    // Model names may contain colons (e.g. llama3:8b)
+    const model = modelParts.join(":") || DEFAULT_MODELS[providerName][task];
+    const isRepeat = chain.some(
+      (step) => step.provider === provider && step.model === model
+    );
+
+    if (provider.isConfigured() && !isRepeat) {
+      chain.push({ provider, model });
+    }
+  }
+
+  return chain;
+};
+
+module.exports = {
+  getProvider,
+  resolveProvider,
+  resolveModelChain,
+};
@@ -0,0 +1,21 @@
+const OpenAIProvider = require("./openaiProvider");
+
+/**
+ * Provider for OpenAI-compatible local servers such as Ollama or llama.cpp
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super(options, "local");
+  }
+
+  isConfigured() {
+    return !!this.baseURL;
+  }
+
+  // Ollama and llama.cpp constrain output to a JSON schema for any model
+  supportsJsonSchema() {
+    return true;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+const BaseProvider = require("./baseProvider");
+
+/**
+ * Deterministic offline provider for development and CI.
+ *
+ * The same request always produces the same completion, and no network
+ * access or API key is needed.
+ */
+class MockProvider extends BaseProvider {
+  constructor() {
+    super("mock");
+  }
+
+  async createChatCompletion({ model, messages, task }) {
+    const prompt = messages.map((message) => message.content).join("\n");
+    const seed = parseInt(
+      crypto.createHash("sha256").update(prompt).digest("hex").slice(0, 8),
+      16
+    );
+    const content = this.buildCompletion(task, prompt, seed);
+
+    return {
+      content,
+      model: model || "mock-1",
+      usage: {
+        promptTokens: this.countTokens(prompt),
+        completionTokens: this.countTokens(content),
+        totalTokens: this.countTokens(prompt) + this.countTokens(content),
+      },
+    };
+  }
+
+  async streamChatCompletion(request, onToken) {
+    const completion = await this.createChatCompletion(request);
+
+    // Emit word by word (keeping whitespace) to mimic token streaming
+    for (const token of completion.content.match(/\S+\s*/g) || []) {
+      onToken(token);
+    }
+
+    return completion;
+  }
+
+  /**
+   * Build a canned completion for a generation task
+   * @param {String} task - Generation task
+   * @param {String} prompt - Full prompt text
+   * @param {Number} seed - Deterministic seed derived from the prompt
+   * @returns {String} Completion text
+   */
+  buildCompletion(task, prompt, seed) {
+    const campaign = this.extractField(prompt, "Campaign") || "our campaign";
+    const persona = this.extractField(prompt, "Target Persona") || "you";
+    const painPoint =
+      (this.extractField(prompt, "Pain Points") || "").split(",")[0].trim() ||
+      "everyday challenges";
+    const platform = this.extractField(prompt, "Platform") || "general";
+    const openers = ["Discover", "Unlock", "Meet", "Try"];
+    const opener = openers[seed % openers.length];
+
+    switch (task) {
+      case "email_subject":
+        return `${opener} a better way to beat ${painPoint}`.slice(0, 50);
+      case "email_body":
+        return [
+          `Hi ${persona},`,
+          "",
+          `We know ${painPoint} can slow you down. ${campaign} was built to help you move past it with less effort and more confidence.`,
+          "",
+          "Here is what you can expect:",
+          "- A simple setup that fits into your day",
+          "- Results you can measure from the first week",
+          "- Support from a team that understands your goals",
+          "",
+          `${opener} what ${campaign} can do for you today. Click below to get started.`,
+          "",
+          "Best regards,",
+          "The Marketing Team",
+        ].join("\n");
+      case "social_post":
+        return [
+          `${opener} how ${campaign} helps with ${painPoint}.`,
+          "",
+          `Built for people like ${persona} on ${platform}. Learn more and share your thoughts below!`,
+          "",
+          "#Marketing #Growth #Innovation",
+        ].join("\n");
+      case "ad_copy":
+        return JSON.stringify({
+          headlines: [
+            `${opener} ${campaign}`,
+            `Beat ${painPoint}`,
+            `Built for ${persona}`,
+          ].map((headline) => headline.slice(0, 30)),
+          descriptions: [
+            `Say goodbye to ${painPoint}. Start today.`,
+            `${campaign} helps you get results from the first week.`,
+          ].map((description) => description.slice(0, 90)),
+          cta: "Get Started",
+        });
+      case "blog_outline": {
+        const keywords = (this.extractField(prompt, "Keywords") || "")
+          .split(",")
+          .map((keyword) => keyword.trim())
+          .filter(Boolean);
+        return JSON.stringify({
+          title: `${opener} ${campaign}: A Practical Guide`,
+          metaDescription: `Learn how ${campaign} helps ${persona} overcome ${painPoint} with practical, proven steps.`,
+          outline: [
+            `The real cost of ${painPoint}`,
+            `How ${campaign} changes the picture`,
+            "Getting started in three steps",
+            "Next steps",
+          ],
+          seoKeywords: [...keywords, campaign.toLowerCase()],
+        });
+      }
+      case "blog_body": {
+        const outline = prompt.split("Outline:\n")[1] || "";
+        const headings = outline
+          .split("\n\n")[0]
+          .split("\n")
+          .filter((line) => line.startsWith("- "))
+          .map((line) => line.slice(2));
+        return [
+          `${persona} faces ${painPoint} every day. This guide explains what you can do about it.`,
+          ...headings.map(
+            (heading) =>
+              `\n## ${heading}\n\n${campaign} gives you a clear path forward. Focus on small, measurable improvements and build from there.`
+          ),
+          `\n${opener} ${campaign} today and see the difference for yourself.`,
+        ].join("\n");
+      }
+      case "scoring": {
+        // Criteria are listed as "- <name> (weight N%): <question>"
+        const criteria = [...prompt.matchAll(/^- (\w+) \(weight/gm)].map(
+          (match) => match[1]
+        );
+        return JSON.stringify({
+          criteria: Object.fromEntries(
+            criteria.map((criterion, index) => [
+              criterion,
+              {
+                score: 70 + ((seed >>> index) % 25),
+                rationale: `The ${criterion} of this copy is solid for ${persona}.`,
+              },
+            ])
+          ),
+          summary: `Well targeted copy that speaks to ${painPoint}.`,
+          suggestions: [
+            "Make the call-to-action more specific",
+            `Mention ${painPoint} earlier`,
+          ],
+        });
+      }
+      default:
+        return `${opener} ${campaign}.`;
+    }
+  }
+
+  /**
+   * Extract a "Label: value" line from a prompt
+   * @param {String} prompt - Prompt text
+   * @param {String} label - Field label
+   * @returns {String|null} Field value
+   */
+  extractField(prompt, label) {
+    const match = prompt.match(new RegExp(`^${label}: (.+)$`, "m"));
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * Rough token estimate (about four characters per token)
+   * @param {String} text - Text to measure
+   * @returns {Number} Estimated token count
+   */
+  countTokens(text) {
+    return Math.ceil((text || "").length / 4);
+  }
+}
+
+module.exports = MockProvider;
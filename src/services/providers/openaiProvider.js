@@ -0,0 +1,140 @@
+const OpenAI = require("openai");
+const BaseProvider = require("./baseProvider");
+const { AIContentFilteredError } = require("./errors");
+const { JSON_SCHEMA_MODELS } = require("../../config/ai");
+
+/**
+ * Provider backed by the OpenAI chat completions API
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(options = {}, name = "openai") {
+    super(name);
+    this.apiKey = options.apiKey;
+    this.baseURL = options.baseURL;
+    this.client = null;
+    // Only the hosted API is known to report usage on streamed responses
+    this.streamUsage = name === "openai";
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Lazily create the SDK client so a missing key does not break startup
+   * @returns {OpenAI} OpenAI client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        ...(this.baseURL && { baseURL: this.baseURL }),
+        // Retries and timeouts are handled by the content generator
+        maxRetries: 0,
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Check whether a model accepts a JSON schema response format
+   * @param {String} model - Model name
+   * @returns {Boolean} True if supported
+   */
+  supportsJsonSchema(model) {
+    return JSON_SCHEMA_MODELS.some((prefix) => model.startsWith(prefix));
+  }
+
+  /**
+   * Map a provider-neutral request to chat completion parameters
+   * @param {Object} request - Completion request
+   * @returns {Object} Chat completion parameters
+   */
+  buildParams({
+    model,
+    messages,
+    maxTokens,
+    temperature,
+    topP,
+    presencePenalty,
+    responseFormat,
+  }) {
+    return {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(topP !== undefined && { top_p: topP }),
+      ...(presencePenalty && { presence_penalty: presencePenalty }),
+      ...(responseFormat &&
+        this.supportsJsonSchema(model) && {
+          response_format: {
+            type: "json_schema",
+            json_schema: { ...responseFormat, strict: true },
+          },
+        }),
+    };
+  }
+
+  async createChatCompletion(request) {
+    const response = await this.getClient().chat.completions.create(
+      this.buildParams(request),
+      { signal: request.signal }
+    );
+
+    if (response.choices[0]?.finish_reason === "content_filter") {
+      throw new AIContentFilteredError(this.name);
+    }
+
+    return {
+      content: (response.choices[0]?.message?.content || "").trim(),
+      model: response.model || request.model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0,
+        totalTokens: response.usage?.total_tokens || 0,
+      },
+    };
+  }
+
+  async streamChatCompletion(request, onToken) {
+    const { model } = request;
+    const stream = await this.getClient().chat.completions.create(
+      {
+        ...this.buildParams(request),
+        stream: true,
+        ...(this.streamUsage && { stream_options: { include_usage: true } }),
+      },
+      { signal: request.signal }
+    );
+
+    let content = "";
+    let responseModel = model;
+    let usage = null;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+      if (chunk.model) responseModel = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.choices[0]?.finish_reason === "content_filter") {
+        throw new AIContentFilteredError(this.name);
+      }
+    }
+
+    return {
+      content: content.trim(),
+      model: responseModel,
+      usage: {
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        totalTokens: usage?.total_tokens || 0,
+      },
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
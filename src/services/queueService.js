@@ -0,0 +1,270 @@
+const Bull = require('bull');
+const InProcessQueue = require('./inProcessQueue');
+const { getRedisConfig } = require('../config/redis');
+
+// Queue names keyed by the identifiers used across the API
+const QUEUE_NAMES = {
+  contentGeneration: 'content-generation',
+  contentPublishing: 'content-publishing'
+};
+
+// How long to wait for Redis before falling back to in-process queues
+const REDIS_READY_TIMEOUT = 5000;
+
+class QueueManager {
+  constructor() {
+    this.queues = {};
+    this.driver = null; // 'bull' or 'in-process'
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return true;
+
+    const redisConfig = getRedisConfig();
+
+    if (redisConfig) {
+      try {
+        await this.createBullQueues(redisConfig);
+        this.driver = 'bull';
+        console.log('✅ Queue service connected to Redis (Bull)');
+      } catch (error) {
+        console.error('❌ Redis queue initialization failed:', error.message);
+        this.abandonQueues();
+      }
+    }
+
+    if (!this.driver) {
+      for (const [key, name] of Object.entries(QUEUE_NAMES)) {
+        this.queues[key] = new InProcessQueue(name);
+      }
+      this.driver = 'in-process';
+      console.log('⚠️  Redis not available - using in-process job queue');
+    }
+
+    this.setupQueueListeners();
+    this.registerProcessors();
+    this.isInitialized = true;
+
+    // In-process delayed jobs are lost on restart; queue them again
+    if (this.driver === 'in-process') {
+      this.requeueScheduledContent().catch((error) => {
+        console.error('❌ Failed to requeue scheduled content:', error.message);
+      });
+    }
+
+    return true;
+  }
+
+  async createBullQueues(redisConfig) {
+    for (const [key, name] of Object.entries(QUEUE_NAMES)) {
+      this.queues[key] =
+        typeof redisConfig === 'string'
+          ? new Bull(name, redisConfig)
+          : new Bull(name, { redis: redisConfig });
+    }
+
+    // Bull retries the connection forever; give up after a timeout instead
+    await Promise.all(
+      Object.values(this.queues).map((queue) =>
+        Promise.race([
+          queue.client.ping(),
+          new Promise((resolve, reject) =>
+            setTimeout(
+              () => reject(new Error('Timed out connecting to Redis')),
+              REDIS_READY_TIMEOUT
+            ).unref()
+          )
+        ])
+      )
+    );
+  }
+
+  setupQueueListeners() {
+    for (const [key, queue] of Object.entries(this.queues)) {
+      queue.on('completed', (job) => {
+        console.log(`✅ Job ${job.id} (${job.name}) completed in ${key} queue`);
+      });
+
+      queue.on('failed', (job, error) => {
+        console.error(`❌ Job ${job.id} (${job.name}) failed in ${key} queue:`, error.message);
+      });
+    }
+  }
+
+  registerProcessors() {
+    // Required lazily so loading the queue manager does not pull in models and AI services
+    const contentGenerationProcessor = require('./processors/contentGenerationProcessor');
+    const concurrency = parseInt(process.env.QUEUE_CONCURRENCY) || 1;
+
+    for (const [jobType, handler] of Object.entries(contentGenerationProcessor)) {
+      this.queues.contentGeneration.process(jobType, concurrency, handler);
+    }
+
+    const contentPublishingProcessor = require('./processors/contentPublishingProcessor');
+    for (const [jobType, handler] of Object.entries(contentPublishingProcessor)) {
+      this.queues.contentPublishing.process(jobType, 1, handler);
+    }
+  }
+
+  getQueue(queueName = 'contentGeneration') {
+    const key =
+      Object.keys(QUEUE_NAMES).find(
+        (name) => name === queueName || QUEUE_NAMES[name] === queueName
+      ) || null;
+
+    if (!key || !this.queues[key]) {
+      throw new Error(`Unknown queue: ${queueName}`);
+    }
+
+    return this.queues[key];
+  }
+
+  async addContentGenerationJob(jobType, data, options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const job = await this.getQueue('contentGeneration').add(jobType, data, {
+      attempts: 1, // Retrying would duplicate already generated content
+      removeOnComplete: 100,
+      removeOnFail: 100,
+      ...options
+    });
+
+    return {
+      id: String(job.id),
+      queueName: 'contentGeneration',
+      status: 'waiting'
+    };
+  }
+
+  // Publish content at its scheduled time. Jobs are keyed by content and
+  // time, so rescheduling leaves the old job to find nothing to publish.
+  async addScheduledPublishJob(content) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const scheduledAt = new Date(content.scheduledAt);
+    const job = await this.getQueue('contentPublishing').add(
+      'publishScheduledContent',
+      {
+        contentId: String(content._id),
+        campaignId: String(content.campaignId),
+        scheduledAt: scheduledAt.toISOString()
+      },
+      {
+        jobId: `publish-${content._id}-${scheduledAt.getTime()}`,
+        delay: Math.max(0, scheduledAt.getTime() - Date.now()),
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 60000 },
+        removeOnComplete: 100,
+        removeOnFail: 100
+      }
+    );
+
+    return {
+      id: String(job.id),
+      queueName: 'contentPublishing',
+      status: 'delayed'
+    };
+  }
+
+  async requeueScheduledContent() {
+    // Required lazily like the processors
+    const Content = require('../models/Content');
+    const scheduled = await Content.find({ status: 'scheduled' }).select(
+      'campaignId scheduledAt'
+    );
+
+    for (const content of scheduled) {
+      await this.addScheduledPublishJob(content);
+    }
+
+    if (scheduled.length > 0) {
+      console.log(`📅 Requeued ${scheduled.length} scheduled content items`);
+    }
+  }
+
+  async getJobStatus(queueName, jobId) {
+    const job = await this.getQueue(queueName).getJob(jobId);
+
+    if (!job) {
+      return null;
+    }
+
+    return {
+      id: String(job.id),
+      name: job.name,
+      status: await job.getState(),
+      progress: job.progress(),
+      result: job.returnvalue || null,
+      error: job.failedReason || null,
+      userId: job.data.userId,
+      campaignId: job.data.campaignId,
+      createdAt: job.timestamp ? new Date(job.timestamp) : null,
+      startedAt: job.processedOn ? new Date(job.processedOn) : null,
+      completedAt: job.finishedOn ? new Date(job.finishedOn) : null
+    };
+  }
+
+  async getQueueStats(queueName) {
+    return this.getQueue(queueName).getJobCounts();
+  }
+
+  // Drop queues that never connected; close() would wait for Redis forever
+  abandonQueues() {
+    for (const queue of Object.values(this.queues)) {
+      queue.clients.forEach((client) => client.disconnect());
+      queue.removeAllListeners();
+    }
+    this.queues = {};
+  }
+
+  async closeQueues() {
+    await Promise.all(
+      Object.values(this.queues).map((queue) =>
+        queue.close().catch((error) => {
+          console.error('❌ Error closing queue:', error.message);
+        })
+      )
+    );
+    this.queues = {};
+  }
+
+  async cleanup() {
+    if (!this.isInitialized) return;
+
+    console.log('🔌 Closing job queues...');
+    await this.closeQueues();
+    this.driver = null;
+    this.isInitialized = false;
+    console.log('✅ Job queues closed');
+  }
+
+  isHealthy() {
+    return this.isInitialized;
+  }
+
+  async getAllQueuesStatus() {
+    const status = {};
+
+    for (const key of Object.keys(QUEUE_NAMES)) {
+      if (!this.queues[key]) {
+        status[key] = { status: 'disabled', message: 'Queue service not initialized' };
+        continue;
+      }
+
+      status[key] = {
+        status: 'active',
+        driver: this.driver,
+        counts: await this.getQueueStats(key)
+      };
+    }
+
+    return status;
+  }
+}
+
+module.exports = new QueueManager();
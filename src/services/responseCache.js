@@ -0,0 +1,256 @@
+const crypto = require("crypto");
+const { createClient } = require("redis");
+const { aiConfig } = require("../config/ai");
+const { getRedisConfig } = require("../config/redis");
+
+// Prefix for cache keys in Redis
+const KEY_PREFIX = "ai-cache:";
+
+// How long to wait for Redis before falling back to the in-memory cache
+const REDIS_READY_TIMEOUT = 5000;
+
+/**
+ * In-memory least-recently-used store with per-entry expiry
+ */
+class MemoryStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Map keeps insertion order; re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Redis store; values are stored as JSON with a TTL
+ */
+class RedisStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(key) {
+    const value = await this.client.get(KEY_PREFIX + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(KEY_PREFIX + key, JSON.stringify(value), {
+      expiration: { type: "EX", value: ttlSeconds },
+    });
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+/**
+ * Cache for AI completions, keyed on everything that determines the
+ * output: provider, model, rendered messages and sampling parameters.
+ *
+ * Uses Redis when configured and an in-memory LRU otherwise. Identical
+ * requests made while one is already running wait for it instead of
+ * calling the provider again. Cache errors are logged and treated as a
+ * miss, so the cache never fails a generation.
+ */
+class ResponseCache {
+  constructor() {
+    this.config = aiConfig.cache;
+    this.store = new MemoryStore(this.config.maxEntries);
+    this.driver = "memory"; // 'memory' or 'redis'
+    this.inFlight = new Map();
+    this.stats = { hits: 0, misses: 0, coalesced: 0 };
+  }
+
+  /**
+   * Connect to Redis when configured; otherwise keep the in-memory store
+   */
+  async initialize() {
+    const redisConfig = getRedisConfig();
+    if (!this.config.enabled || !redisConfig) return;
+
+    const client = createClient(
+      typeof redisConfig === "string"
+        ? { url: redisConfig }
+        : {
+            socket: { host: redisConfig.host, port: redisConfig.port },
+            password: redisConfig.password,
+          }
+    );
+    // The client retries failed connections; only report errors once the
+    // cache is using Redis
+    client.on("error", (error) => {
+      if (this.driver === "redis") {
+        console.error("❌ AI cache Redis error:", error.message);
+      }
+    });
+
+    try {
+      await Promise.race([
+        client.connect(),
+        new Promise((resolve, reject) =>
+          setTimeout(
+            () => reject(new Error("Timed out connecting to Redis")),
+            REDIS_READY_TIMEOUT
+          ).unref()
+        ),
+      ]);
+
+      this.store = new RedisStore(client);
+      this.driver = "redis";
+      console.log("✅ AI response cache connected to Redis");
+    } catch (error) {
+      console.error("❌ AI cache Redis connection failed:", error.message);
+      console.log("⚠️  Using in-memory AI response cache");
+      client.destroy();
+    }
+  }
+
+  /**
+   * Build the cache key for a completion request
+   * @param {String} provider - Provider name
+   * @param {Object} request - Provider request ({ model, messages,
+   *   maxTokens, temperature, topP, presencePenalty })
+   * @param {*} variant - Distinguishes requests that should not share a
+   *   result, e.g. A/B variations of the same prompt (optional)
+   * @returns {String} Cache key
+   */
+  buildKey(
+    provider,
+    { model, messages, maxTokens, temperature, topP, presencePenalty },
+    variant
+  ) {
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify([
+          provider,
+          model,
+          messages,
+          maxTokens,
+          temperature,
+          topP,
+          presencePenalty,
+          variant ?? null,
+        ])
+      )
+      .digest("hex");
+  }
+
+  /**
+   * Return the cached completion for a key, or run the request and cache
+   * its result
+   * @param {String} key - Cache key from buildKey
+   * @param {Function} createCompletion - async () => completion
+   * @returns {Object} { completion, cache }, where cache is "hit",
+   *   "coalesced" (shared a running request) or "miss"
+   */
+  async wrap(key, createCompletion) {
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      return { completion: await this.inFlight.get(key), cache: "coalesced" };
+    }
+
+    const cached = await this.get(key);
+    if (cached) {
+      this.stats.hits++;
+      return { completion: cached, cache: "hit" };
+    }
+
+    // A matching request may have started while the cache was checked
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      return { completion: await this.inFlight.get(key), cache: "coalesced" };
+    }
+
+    this.stats.misses++;
+    const pending = createCompletion();
+    this.inFlight.set(key, pending);
+
+    try {
+      const completion = await pending;
+      await this.set(key, completion);
+      return { completion, cache: "miss" };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.error("AI cache read error:", error.message);
+      return null;
+    }
+  }
+
+  async set(key, completion) {
+    try {
+      await this.store.set(key, completion, this.config.ttlSeconds);
+    } catch (error) {
+      console.error("AI cache write error:", error.message);
+    }
+  }
+
+  /**
+   * Check whether completions should be cached
+   * @returns {Boolean} True if the cache is enabled
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Get the cache configuration and hit counts since startup
+   * @returns {Object} { enabled, driver, ttlSeconds, hits, misses, coalesced }
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      driver: this.driver,
+      ttlSeconds: this.config.ttlSeconds,
+      ...this.stats,
+    };
+  }
+
+  async cleanup() {
+    try {
+      await this.store.close();
+    } catch (error) {
+      console.error("❌ Error closing AI response cache:", error.message);
+    }
+  }
+}
+
+module.exports = new ResponseCache();
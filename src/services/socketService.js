@@ -1,6 +1,11 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Campaign = require('../models/Campaign');
+const Workspace = require('../models/Workspace');
+const Notification = require('../models/Notification');
+const RefreshToken = require('../models/RefreshToken');
+const { NOTIFICATION_BACKLOG_LIMIT } = require('../config/notifications');
 
 class SocketService {
   constructor() {
@@ -29,12 +34,23 @@ class SocketService {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Tokens without a session can't be revoked, so they aren't accepted
+        if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid))) {
+          throw new Error('Session has been revoked');
+        }
         const user = await User.findById(decoded.userId).select('-passwordHash');
         
         if (!user) {
           throw new Error('User not found');
         }
 
+        // Campaign rooms carry workspace content, so the two-factor
+        // requirement applies to sockets too
+        if (await Workspace.mustEnrollMfa(user)) {
+          throw new Error('Two-factor authentication is required');
+        }
+
         socket.userId = user._id.toString();
         socket.user = user;
         
@@ -72,6 +88,9 @@ class SocketService {
       timestamp: new Date().toISOString()
     });
 
+    // Deliver notifications created while the user was offline
+    this.deliverBacklog(socket);
+
     // Handle disconnect
     socket.on('disconnect', (reason) => {
       console.log(`🔌 User disconnected: ${socket.user.email} (Reason: ${reason})`);
@@ -80,12 +99,26 @@ class SocketService {
     });
 
     // Handle joining campaign room
-    socket.on('join:campaign', (data) => {
+    socket.on('join:campaign', async (data) => {
       const { campaignId } = data;
       if (campaignId) {
-        socket.join(`campaign:${campaignId}`);
-        console.log(`📋 User ${userId} joined campaign room: ${campaignId}`);
-        socket.emit('joined:campaign', { campaignId });
+        try {
+          // Owners, collaborators and workspace members may follow a campaign
+          const campaign = await Campaign.findById(campaignId).select('userId collaborators workspaceId');
+          const workspace = campaign && await Workspace.findById(campaign.workspaceId);
+          if (!campaign || !campaign.canBeViewedBy(userId, workspace)) {
+            throw new Error('Access denied to this campaign');
+          }
+
+          socket.join(`campaign:${campaignId}`);
+          console.log(`📋 User ${userId} joined campaign room: ${campaignId}`);
+          socket.emit('joined:campaign', { campaignId });
+        } catch (error) {
+          socket.emit('join:campaign:error', {
+            campaignId,
+            error: error.name === 'CastError' ? 'Campaign not found' : error.message
+          });
+        }
       }
     });
 
@@ -115,7 +148,11 @@ class SocketService {
       try {
         const queueService = require('./queueService');
         const jobStatus = await queueService.getJobStatus(queueName, jobId);
-        
+
+        if (!jobStatus || jobStatus.userId !== userId) {
+          throw new Error('Job not found');
+        }
+
         socket.emit('job:status:response', {
           jobId,
           queueName,
@@ -182,6 +219,17 @@ class SocketService {
     return this.emitToRoom(`campaign:${campaignId}`, event, data);
   }
 
+  // Stream high-frequency events (e.g. generation tokens) to a campaign room without per-event logging
+  streamToCampaign(campaignId, event, data) {
+    if (!this.io) return false;
+
+    this.io.to(`campaign:${campaignId}`).emit(event, {
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  }
+
   // Emit campaign updates to subscribers
   emitCampaignUpdate(campaignId, event, data) {
     return this.emitToRoom(`campaign:${campaignId}:updates`, event, data);
@@ -237,16 +285,52 @@ class SocketService {
     return false;
   }
 
-  // Send notification to user (with fallback to database if offline)
+  // Store a notification and push it to the user if connected. Offline users
+  // receive it on reconnect; muted notification types are dropped.
   async sendNotification(userId, notification) {
-    const sent = this.emitToUser(userId, 'notification', notification);
-    
-    if (!sent) {
-      // TODO: Store notification in database for offline users
-      console.log(`💾 Storing notification for offline user ${userId}`);
+    try {
+      const stored = await Notification.createForUser(userId, notification);
+      if (!stored) return false;
+
+      const sent = this.emitToUser(userId, 'notification', stored.toPayload());
+      if (sent) {
+        await Notification.markDelivered([stored._id]);
+      } else {
+        console.log(`💾 Stored notification for offline user ${userId}`);
+      }
+
+      return sent;
+    } catch (error) {
+      console.error(`❌ Failed to send notification to user ${userId}:`, error.message);
+      return false;
+    }
+  }
+
+  // Push undelivered notifications to a newly connected socket
+  async deliverBacklog(socket) {
+    try {
+      const backlog = await Notification.find({
+        userId: socket.userId,
+        deliveredAt: null
+      })
+        .sort({ createdAt: 1 })
+        .limit(NOTIFICATION_BACKLOG_LIMIT);
+
+      const unreadCount = await Notification.countUnread(socket.userId);
+
+      socket.emit('notifications:backlog', {
+        notifications: backlog.map((notification) => notification.toPayload()),
+        unreadCount,
+        timestamp: new Date().toISOString()
+      });
+
+      if (backlog.length > 0) {
+        await Notification.markDelivered(backlog.map((notification) => notification._id));
+        console.log(`📬 Delivered ${backlog.length} stored notifications to user ${socket.userId}`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to deliver notification backlog to user ${socket.userId}:`, error.message);
     }
-    
-    return sent;
   }
 
   // Cleanup on server shutdown
@@ -0,0 +1,393 @@
+const Campaign = require("../models/Campaign");
+const Persona = require("../models/Persona");
+const UsageCounter = require("../models/UsageCounter");
+const UsageRecord = require("../models/UsageRecord");
+const User = require("../models/User");
+const { MODEL_PRICES, UNMETERED_PROVIDERS } = require("../config/ai");
+const { TIER_LIMITS } = require("../config/subscriptions");
+
+// Most expensive requests returned by default
+const DEFAULT_REQUEST_LIMIT = 20;
+
+// How far back to look for the model that last answered each task
+const LATEST_MODELS_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the limits of a subscription tier
+ * @param {String} tier - Subscription tier
+ * @returns {Object} Tier limits (null means unlimited)
+ */
+const getTierLimits = (tier) => TIER_LIMITS[tier] || TIER_LIMITS.free;
+
+/**
+ * Get the billing period containing a date. Periods are calendar months
+ * in UTC.
+ * @param {Date} date - Date within the period (default: now)
+ * @returns {Object} { start, resetAt }
+ */
+const getBillingPeriod = (date = new Date()) => ({
+  start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+  resetAt: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)),
+});
+
+/**
+ * Round a USD amount for reporting
+ * @param {Number} cost - Cost in USD
+ * @returns {Number} Cost rounded to a millionth of a dollar
+ */
+const roundCost = (cost) => Math.round((cost || 0) * 1000000) / 1000000;
+
+/**
+ * Get a user's generation quota for the current billing period. Used
+ * counts generations recorded or reserved by requests still generating.
+ * @param {Object} user - User document
+ * @returns {Object} { limit, used, remaining, resetAt }
+ */
+const getGenerationQuota = async (user) => {
+  const { start, resetAt } = getBillingPeriod();
+  const limit = getTierLimits(user.subscriptionTier).generationsPerMonth;
+  const counter = await UsageCounter.findOne({
+    userId: user._id,
+    periodStart: start,
+  });
+  const used = counter
+    ? Math.max(counter.generations, 0)
+    : await UsageRecord.sumQuantity(user._id, "generation", start);
+
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(limit - used, 0),
+    resetAt,
+  };
+};
+
+/**
+ * Reserve generations against a user's monthly quota before generating.
+ * The reservation is atomic, so parallel requests (or a batch queued while
+ * single generations run) can't together exceed the quota. Generated items
+ * keep their share; release the rest with releaseGenerations.
+ * @param {Object} user - User document
+ * @param {Number} count - Content items about to be generated
+ * @returns {Object} { reservation, quota }, where reservation ({ userId,
+ *   periodStart, count }) is null when the quota would be exceeded
+ */
+const reserveGenerations = async (user, count) => {
+  const { start } = getBillingPeriod();
+  const limit = getTierLimits(user.subscriptionTier).generationsPerMonth;
+
+  await UsageCounter.ensure(user._id, start, () =>
+    UsageRecord.sumQuantity(user._id, "generation", start)
+  );
+  const counter = await UsageCounter.reserve(user._id, start, count, limit);
+
+  return {
+    reservation: counter && {
+      userId: user._id.toString(),
+      periodStart: start.toISOString(),
+      count,
+    },
+    quota: await getGenerationQuota(user),
+  };
+};
+
+/**
+ * Give back reserved generations that weren't generated. Like metering,
+ * releasing never fails the request; errors are logged.
+ * @param {Object} reservation - Reservation from reserveGenerations
+ * @param {Number} count - Generations to give back (default: all)
+ */
+const releaseGenerations = async (reservation, count = reservation.count) => {
+  if (!(count > 0)) return;
+
+  try {
+    await UsageCounter.release(
+      reservation.userId,
+      new Date(reservation.periodStart),
+      count
+    );
+  } catch (error) {
+    console.error("Release generation quota error:", error);
+  }
+};
+
+/**
+ * Count the resources a user owns that their tier limits
+ * @param {String} userId - User ID
+ * @returns {Object} { campaigns, customPersonas }
+ */
+const countOwnedResources = async (userId) => {
+  const [campaigns, customPersonas] = await Promise.all([
+    Campaign.countDocuments({ userId }),
+    Persona.countDocuments({ userId, isPredefined: { $ne: true } }),
+  ]);
+
+  return { campaigns, customPersonas };
+};
+
+/**
+ * Write a ledger entry. Metering must never fail the request it measures,
+ * so errors are logged and swallowed.
+ * @param {Object} entry - Usage record fields
+ * @returns {Object|null} Usage record
+ */
+const meter = async (entry) => {
+  try {
+    return await UsageRecord.create(entry);
+  } catch (error) {
+    console.error("Record usage error:", error);
+    return null;
+  }
+};
+
+/**
+ * Estimate the cost of a completion from the price table
+ * @param {String} provider - Provider name
+ * @param {String} model - Model the provider reported
+ * @param {Object} usage - Token usage ({ promptTokens, completionTokens })
+ * @returns {Number|null} Cost in USD, or null when the model has no price
+ */
+const estimateCost = (provider, model = "", usage = {}) => {
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter((key) => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!prefix) {
+    return UNMETERED_PROVIDERS.includes(provider) ? 0 : null;
+  }
+
+  const { input = 0, output = 0 } = MODEL_PRICES[prefix];
+  return (
+    ((usage.promptTokens || 0) * input +
+      (usage.completionTokens || 0) * output) /
+    1000000
+  );
+};
+
+/**
+ * Record a generated content item against the user's monthly quota and
+ * link the AI requests that produced it
+ * @param {Object} context - Usage context ({ userId, workspaceId?, campaignId? })
+ * @param {Object} content - Saved content document
+ * @returns {Object|null} Usage record
+ */
+const recordGeneration = async (context, content) => {
+  if (content.generationId) {
+    await UsageRecord.linkContent(content.generationId, content._id).catch(
+      (error) => console.error("Link usage to content error:", error)
+    );
+  }
+
+  return meter({
+    ...context,
+    metric: "generation",
+    contentType: content.contentType,
+    contentId: content._id,
+    generationId: content.generationId,
+  });
+};
+
+/**
+ * Record a call to an AI provider with its tokens, latency and estimated
+ * cost
+ * @param {Object} context - Usage context ({ userId, workspaceId?,
+ *   campaignId?, generationId? })
+ * @param {Object} request - { task, step, provider, requestedProvider,
+ *   requestedModel, fallback, latencyMs }, where task is the AI task the
+ *   model was chosen for and fallback is true when a fallback model
+ *   answered instead of requestedModel (on requestedProvider)
+ * @param {Object} completion - Provider completion ({ model, usage })
+ * @returns {Object|null} Usage record
+ */
+const recordAIRequest = (
+  context,
+  {
+    task,
+    step,
+    provider,
+    requestedProvider,
+    requestedModel,
+    fallback = false,
+    latencyMs,
+  },
+  { model, usage = {} }
+) =>
+  meter({
+    ...context,
+    metric: "ai_request",
+    // Scoring calls aren't tied to one content type
+    contentType: task === "scoring" ? undefined : task,
+    task,
+    step,
+    provider,
+    model,
+    requestedProvider,
+    requestedModel,
+    fallback,
+    tokens: {
+      prompt: usage.promptTokens || 0,
+      completion: usage.completionTokens || 0,
+      total: usage.totalTokens || 0,
+    },
+    latencyMs,
+    cost: estimateCost(provider, model, usage),
+  });
+
+/**
+ * Summarize a user's usage and limits for the current billing period
+ * @param {Object} user - User document
+ * @returns {Object} { tier, period, limits, usage, breakdown }
+ */
+const getUsageSummary = async (user) => {
+  const { start, resetAt } = getBillingPeriod();
+  const limits = getTierLimits(user.subscriptionTier);
+
+  const [totals, owned] = await Promise.all([
+    UsageRecord.summarize(user._id, start),
+    countOwnedResources(user._id),
+  ]);
+
+  const sum = (metric, field) =>
+    totals
+      .filter((entry) => entry._id.metric === metric)
+      .reduce((total, entry) => total + entry[field], 0);
+
+  const generations = sum("generation", "quantity");
+
+  return {
+    tier: user.subscriptionTier,
+    period: { start, resetAt },
+    limits,
+    usage: {
+      generations: {
+        used: generations,
+        limit: limits.generationsPerMonth,
+        remaining:
+          limits.generationsPerMonth === null
+            ? null
+            : Math.max(limits.generationsPerMonth - generations, 0),
+      },
+      aiRequests: sum("ai_request", "quantity"),
+      tokens: sum("ai_request", "tokens"),
+      estimatedCost: roundCost(sum("ai_request", "cost")),
+      campaigns: { used: owned.campaigns, limit: limits.campaigns },
+      customPersonas: {
+        used: owned.customPersonas,
+        limit: limits.customPersonas,
+      },
+    },
+    breakdown: totals.map(({ _id, quantity, tokens, cost }) => ({
+      metric: _id.metric,
+      contentType: _id.contentType || null,
+      quantity,
+      tokens,
+      estimatedCost: roundCost(cost),
+    })),
+  };
+};
+
+/**
+ * Look up display names for the campaigns or users in a cost report
+ * @param {String} groupBy - Report grouping
+ * @param {Array} ids - Grouped IDs
+ * @returns {Map|null} ID string to name, or null for other groupings
+ */
+const getGroupNames = async (groupBy, ids) => {
+  if (groupBy !== "campaign" && groupBy !== "user") return null;
+
+  const names = new Map();
+  const filter = { _id: { $in: ids.filter(Boolean) } };
+
+  if (groupBy === "campaign") {
+    const campaigns = await Campaign.find(filter).select("name");
+    campaigns.forEach((c) => names.set(c._id.toString(), c.name));
+  } else {
+    const users = await User.find(filter).select("firstName lastName email");
+    users.forEach((u) =>
+      names.set(u._id.toString(), `${u.fullName} <${u.email}>`)
+    );
+  }
+
+  return names;
+};
+
+/**
+ * Report AI spend grouped by campaign, user, day, model or step
+ * @param {Object} filter - Usage record filter (workspace, user, dates)
+ * @param {String} groupBy - campaign, user, day, model or step
+ * @returns {Object} { groupBy, totals, groups }
+ */
+const getCostReport = async (filter, groupBy) => {
+  const rows = await UsageRecord.aggregateCosts(filter, groupBy);
+  const names = await getGroupNames(
+    groupBy,
+    rows.map((row) => row._id)
+  );
+
+  const groups = rows.map(({ _id, cost, averageLatencyMs, ...row }) => ({
+    key: _id === null || _id === undefined ? null : String(_id),
+    ...(names && { name: names.get(String(_id)) || null }),
+    ...row,
+    estimatedCost: roundCost(cost),
+    averageLatencyMs:
+      averageLatencyMs === null ? null : Math.round(averageLatencyMs),
+  }));
+
+  const totals = groups.reduce(
+    (sum, group) => ({
+      requests: sum.requests + group.requests,
+      totalTokens: sum.totalTokens + group.totalTokens,
+      estimatedCost: roundCost(sum.estimatedCost + group.estimatedCost),
+      unpricedRequests: sum.unpricedRequests + group.unpricedRequests,
+    }),
+    { requests: 0, totalTokens: 0, estimatedCost: 0, unpricedRequests: 0 }
+  );
+
+  return { groupBy, totals, groups };
+};
+
+/**
+ * Get the most expensive individual AI requests matching a filter
+ * @param {Object} filter - Usage record filter (workspace, user, dates)
+ * @param {Number} limit - Maximum requests (default: 20)
+ * @returns {Array} Usage records, most expensive first
+ */
+const getExpensiveRequests = (filter, limit = DEFAULT_REQUEST_LIMIT) =>
+  UsageRecord.find({ ...filter, metric: "ai_request" })
+    .sort({ cost: -1, "tokens.total": -1 })
+    .limit(limit)
+    .populate("userId", "firstName lastName email")
+    .populate("campaignId", "name")
+    .select("-__v");
+
+/**
+ * Get the model that last answered each AI task in a workspace over the
+ * past week
+ * @param {String} workspaceId - Workspace ID
+ * @returns {Object} Map of task to { provider, model, requestedProvider,
+ *   requestedModel, fallback, usedAt }
+ */
+const getLatestModels = async (workspaceId) => {
+  const latest = await UsageRecord.findLatestModels(
+    workspaceId,
+    new Date(Date.now() - LATEST_MODELS_WINDOW_MS)
+  );
+
+  return Object.fromEntries(latest.map(({ _id, ...entry }) => [_id, entry]));
+};
+
+module.exports = {
+  getTierLimits,
+  getBillingPeriod,
+  getGenerationQuota,
+  reserveGenerations,
+  releaseGenerations,
+  countOwnedResources,
+  recordGeneration,
+  recordAIRequest,
+  estimateCost,
+  getUsageSummary,
+  getCostReport,
+  getExpensiveRequests,
+  getLatestModels,
+};
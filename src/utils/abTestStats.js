@@ -0,0 +1,276 @@
+/**
+ * Statistics for two-variant A/B tests on conversion rates
+ */
+
+// Default decision settings, overridable per test
+const DEFAULT_AB_TEST_SETTINGS = {
+  confidenceThreshold: 95, // Percent confidence required to declare a winner
+  minimumDetectableEffect: 10, // Relative lift (percent) the test should detect
+  power: 80, // Statistical power (percent) used for the sample size estimate
+  autoDeclareWinner: true,
+};
+
+// Above this many conversions the exact Bayesian sum is replaced by a
+// normal approximation, which is accurate at that size
+const EXACT_BAYES_LIMIT = 10000;
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {Number} x - Positive number
+ * @returns {Number} ln(Γ(x))
+ */
+const logGamma = (x) => {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  const shifted = x - 1;
+  let sum = 0.99999999999980993;
+  coefficients.forEach((coefficient, index) => {
+    sum += coefficient / (shifted + index + 1);
+  });
+  const t = shifted + coefficients.length - 0.5;
+
+  return (
+    0.5 * Math.log(2 * Math.PI) +
+    (shifted + 0.5) * Math.log(t) -
+    t +
+    Math.log(sum)
+  );
+};
+
+/**
+ * Natural log of the beta function
+ * @param {Number} a - First shape parameter
+ * @param {Number} b - Second shape parameter
+ * @returns {Number} ln(B(a, b))
+ */
+const logBeta = (a, b) => logGamma(a) + logGamma(b) - logGamma(a + b);
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {Number} z - Z score
+ * @returns {Number} P(Z <= z)
+ */
+const normalCdf = (z) => {
+  // Abramowitz and Stegun 7.1.26 approximation of erf
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-x * x);
+
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Inverse of the standard normal CDF (Acklam's approximation)
+ * @param {Number} p - Probability between 0 and 1 (exclusive)
+ * @returns {Number} Z score with P(Z <= z) = p
+ */
+const normalQuantile = (p) => {
+  const a = [
+    -39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269,
+    -30.66479806614716, 2.506628277459239,
+  ];
+  const b = [
+    -54.47609879822406, 161.5858368580409, -155.6989798598866,
+    66.80131188771972, -13.28068155288572,
+  ];
+  const c = [
+    -0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783,
+  ];
+  const d = [
+    0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+    3.754408661907416,
+  ];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (
+      (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+    );
+  }
+
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (
+    ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) *
+      q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+  );
+};
+
+/**
+ * Two-proportion z-test (two-sided) comparing variant B against variant A
+ * @param {Object} a - Variant A ({ participants, conversions })
+ * @param {Object} b - Variant B ({ participants, conversions })
+ * @returns {Object} { zScore, pValue, confidence } (confidence in percent)
+ */
+const twoProportionZTest = (a, b) => {
+  if (a.participants === 0 || b.participants === 0) {
+    return { zScore: 0, pValue: 1, confidence: 0 };
+  }
+
+  const rateA = a.conversions / a.participants;
+  const rateB = b.conversions / b.participants;
+  const pooled =
+    (a.conversions + b.conversions) / (a.participants + b.participants);
+  const standardError = Math.sqrt(
+    pooled * (1 - pooled) * (1 / a.participants + 1 / b.participants)
+  );
+
+  if (standardError === 0) {
+    return { zScore: 0, pValue: 1, confidence: 0 };
+  }
+
+  const zScore = (rateB - rateA) / standardError;
+  const pValue = Math.min(1, 2 * (1 - normalCdf(Math.abs(zScore))));
+
+  return { zScore, pValue, confidence: (1 - pValue) * 100 };
+};
+
+/**
+ * Bayesian probability that variant B's true conversion rate beats variant
+ * A's, using uniform Beta(1, 1) priors
+ * @param {Object} a - Variant A ({ participants, conversions })
+ * @param {Object} b - Variant B ({ participants, conversions })
+ * @returns {Number} P(rate B > rate A) between 0 and 1
+ */
+const probabilityBBeatsA = (a, b) => {
+  const alphaA = a.conversions + 1;
+  const betaA = a.participants - a.conversions + 1;
+  const alphaB = b.conversions + 1;
+  const betaB = b.participants - b.conversions + 1;
+
+  if (alphaB > EXACT_BAYES_LIMIT) {
+    const mean = (alpha, beta) => alpha / (alpha + beta);
+    const variance = (alpha, beta) =>
+      (alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1));
+    return normalCdf(
+      (mean(alphaB, betaB) - mean(alphaA, betaA)) /
+        Math.sqrt(variance(alphaA, betaA) + variance(alphaB, betaB))
+    );
+  }
+
+  // Closed form for two Beta posteriors (Evan Miller)
+  let total = 0;
+  for (let i = 0; i < alphaB; i++) {
+    total += Math.exp(
+      logBeta(alphaA + i, betaA + betaB) -
+        Math.log(betaB + i) -
+        logBeta(1 + i, betaB) -
+        logBeta(alphaA, betaA)
+    );
+  }
+
+  return Math.max(0, Math.min(1, total));
+};
+
+/**
+ * Estimate the participants needed per variant to detect a relative lift
+ * over the baseline conversion rate
+ * @param {Number} baselineRate - Baseline conversion rate (0-1)
+ * @param {Object} settings - { confidenceThreshold, minimumDetectableEffect, power }
+ * @returns {Number|null} Participants per variant, or null without a baseline
+ */
+const requiredSampleSize = (baselineRate, settings) => {
+  const { confidenceThreshold, minimumDetectableEffect, power } = settings;
+  const target = baselineRate * (1 + minimumDetectableEffect / 100);
+
+  if (baselineRate <= 0 || baselineRate >= 1 || target >= 1) {
+    return null;
+  }
+
+  const zAlpha = normalQuantile(1 - (1 - confidenceThreshold / 100) / 2);
+  const zBeta = normalQuantile(power / 100);
+  const average = (baselineRate + target) / 2;
+
+  return Math.ceil(
+    (zAlpha * Math.sqrt(2 * average * (1 - average)) +
+      zBeta *
+        Math.sqrt(baselineRate * (1 - baselineRate) + target * (1 - target))) **
+      2 /
+      (target - baselineRate) ** 2
+  );
+};
+
+/**
+ * Analyze A/B test metrics and decide whether a winner can be declared.
+ * A winner is declared once the z-test reaches the confidence threshold and
+ * both variants have the required sample size, so peeking at early results
+ * does not end a test prematurely.
+ * @param {Object} metrics - { variantA, variantB } with participants and conversions
+ * @param {Object} settings - Decision settings (see DEFAULT_AB_TEST_SETTINGS)
+ * @returns {Object} Analysis with confidence, significance, sample size and winner
+ */
+const analyzeABTest = (metrics, settings = {}) => {
+  const options = { ...DEFAULT_AB_TEST_SETTINGS };
+  for (const [key, value] of Object.entries(settings)) {
+    if (value !== undefined && value !== null) options[key] = value;
+  }
+  const a = metrics.variantA;
+  const b = metrics.variantB;
+
+  const { zScore, pValue, confidence } = twoProportionZTest(a, b);
+  const probabilityB = probabilityBBeatsA(a, b);
+
+  const rateA = a.participants > 0 ? a.conversions / a.participants : 0;
+  const rateB = b.participants > 0 ? b.conversions / b.participants : 0;
+  const sampleSize = requiredSampleSize(rateA, options);
+  const sampleSizeReached =
+    sampleSize !== null &&
+    a.participants >= sampleSize &&
+    b.participants >= sampleSize;
+
+  const significant =
+    rateA !== rateB && confidence >= options.confidenceThreshold;
+  const leader =
+    rateA === rateB ? null : rateB > rateA ? "variant_b" : "variant_a";
+
+  return {
+    zScore: Math.round(zScore * 10000) / 10000,
+    pValue: Math.round(pValue * 1000000) / 1000000,
+    confidence: Math.round(confidence * 100) / 100,
+    relativeLift:
+      rateA > 0 ? Math.round(((rateB - rateA) / rateA) * 10000) / 100 : null,
+    probabilityToBeat: {
+      variantA: Math.round((1 - probabilityB) * 10000) / 100,
+      variantB: Math.round(probabilityB * 10000) / 100,
+    },
+    requiredSampleSize: sampleSize,
+    sampleSizeReached,
+    significant,
+    leader,
+    // Winner to declare automatically, if any
+    winner: significant && sampleSizeReached ? leader : null,
+  };
+};
+
+module.exports = {
+  DEFAULT_AB_TEST_SETTINGS,
+  normalCdf,
+  normalQuantile,
+  twoProportionZTest,
+  probabilityBBeatsA,
+  requiredSampleSize,
+  analyzeABTest,
+};
@@ -0,0 +1,28 @@
+/**
+ * Expand a batch generation request into individual generation steps.
+ * Social posts are generated once per social platform; other content types
+ * once each.
+ * @param {Array} contentTypes - Content types to generate
+ * @param {Array} platforms - Requested platforms ("email" is not social)
+ * @returns {Array} Steps ({ contentType, platform? })
+ */
+const getBatchSteps = (contentTypes = [], platforms = []) => {
+  const socialPlatforms = platforms.filter((p) => p !== "email");
+  const steps = [];
+
+  for (const contentType of contentTypes) {
+    if (contentType === "social_post") {
+      for (const platform of socialPlatforms) {
+        steps.push({ contentType, platform });
+      }
+    } else {
+      steps.push({ contentType });
+    }
+  }
+
+  return steps;
+};
+
+module.exports = {
+  getBatchSteps,
+};
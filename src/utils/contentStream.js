@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const socketService = require("../services/socketService");
+
+/**
+ * Write a single Server-Sent Event
+ * @param {Object} res - Express response object
+ * @param {String} event - Event name
+ * @param {Object} data - Event payload
+ */
+const sendSSE = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Create a content stream that relays generated tokens to the campaign
+ * Socket.IO room and, for SSE requests, to the HTTP response.
+ *
+ * Events: content:stream:start, content:stream:token,
+ * content:stream:reset (discard the tokens streamed so far for a field),
+ * content:stream:complete and content:stream:error.
+ *
+ * @param {Object} req - Express request object (req.sse enables SSE)
+ * @param {Object} res - Express response object
+ * @param {Object} meta - Stream metadata ({ campaignId, contentType, platform })
+ * @returns {Object} Stream with onToken, reset, complete and fail handlers
+ */
+const createContentStream = (
+  req,
+  res,
+  { campaignId, contentType, platform }
+) => {
+  const streamId = crypto.randomUUID();
+  const base = { streamId, campaignId, contentType, platform };
+  const sse = !!req.sse;
+  let closed = false;
+
+  const emit = (event, data) => {
+    const payload = { ...base, ...data };
+    socketService.streamToCampaign(
+      campaignId,
+      `content:stream:${event}`,
+      payload
+    );
+    if (sse && !closed) {
+      sendSSE(res, event, payload);
+    }
+  };
+
+  if (sse) {
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.on("close", () => {
+      closed = true;
+    });
+  }
+
+  emit("start", {});
+
+  return {
+    streamId,
+
+    /**
+     * Relay a generated token
+     * @param {String} token - Generated text chunk
+     * @param {Object} info - Token info ({ field })
+     */
+    onToken: (token, { field } = {}) => {
+      emit("token", { field, token });
+    },
+
+    /**
+     * Tell clients to discard the tokens streamed so far, e.g. before the
+     * model revises a draft that was rejected
+     * @param {Object} info - Reset info ({ field })
+     */
+    reset: ({ field } = {}) => {
+      emit("reset", { field });
+    },
+
+    /**
+     * Finish the stream with the persisted content subdocument
+     * @param {Object} content - Persisted content subdocument
+     * @returns {Boolean} True when the HTTP response was handled as SSE
+     */
+    complete: (content) => {
+      emit("complete", { content });
+      if (sse && !closed) {
+        res.end();
+      }
+      return sse;
+    },
+
+    /**
+     * Finish the stream with an error
+     * @param {String} message - Client-facing error message
+     * @param {String} code - Error code (optional)
+     * @returns {Boolean} True when the HTTP response was handled as SSE
+     */
+    fail: (message, code) => {
+      emit("error", { message, ...(code && { code }) });
+      if (sse && !closed) {
+        res.end();
+      }
+      return sse;
+    },
+  };
+};
+
+/**
+ * Middleware that switches a generation route to Server-Sent Events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const enableSSE = (req, res, next) => {
+  req.sse = true;
+  next();
+};
+
+module.exports = {
+  sendSSE,
+  createContentStream,
+  enableSSE,
+};
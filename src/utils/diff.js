@@ -0,0 +1,94 @@
+/**
+ * Small diff helpers used to record content revisions
+ */
+
+// Above this many line comparisons the diff falls back to replacing the
+// whole text instead of computing a minimal edit script
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Compute a line-based diff between two texts
+ * @param {String} before - Previous text
+ * @param {String} after - New text
+ * @returns {Array} Changed lines ({ op: "add"|"remove", line, text }), where
+ *   line is the 1-based line number in the old text (remove) or the new
+ *   text (add)
+ */
+const diffLines = (before = "", after = "") => {
+  const a = before ? before.split("\n") : [];
+  const b = after ? after.split("\n") : [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((text, index) => ({ op: "remove", line: index + 1, text })),
+      ...b.map((text, index) => ({ op: "add", line: index + 1, text })),
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ op: "remove", line: i + 1, text: a[i] });
+      i++;
+    } else {
+      changes.push({ op: "add", line: j + 1, text: b[j] });
+      j++;
+    }
+  }
+  for (; i < a.length; i++) {
+    changes.push({ op: "remove", line: i + 1, text: a[i] });
+  }
+  for (; j < b.length; j++) {
+    changes.push({ op: "add", line: j + 1, text: b[j] });
+  }
+
+  return changes;
+};
+
+/**
+ * Compare selected fields of two plain objects
+ * @param {Object} before - Previous values
+ * @param {Object} after - New values
+ * @param {Array} fields - Field names to compare
+ * @param {Array} textFields - Fields that also get a line diff
+ * @returns {Array} Changes ({ field, before, after, lines? }) for fields
+ *   whose values differ
+ */
+const diffFields = (before = {}, after = {}, fields = [], textFields = []) =>
+  fields
+    .filter(
+      (field) =>
+        JSON.stringify(before[field] ?? null) !==
+        JSON.stringify(after[field] ?? null)
+    )
+    .map((field) => ({
+      field,
+      before: before[field] ?? null,
+      after: after[field] ?? null,
+      ...(textFields.includes(field) && {
+        lines: diffLines(before[field] || "", after[field] || ""),
+      }),
+    }));
+
+module.exports = {
+  diffLines,
+  diffFields,
+};
@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+
+/**
+ * Symmetric encryption for secrets stored in the database, such as TOTP
+ * secrets, which must be readable again and so can't be hashed
+ */
+
+const ALGORITHM = "aes-256-gcm";
+
+/**
+ * Derive the 256-bit key from the configured secret
+ * @returns {Buffer} Encryption key
+ */
+const getKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+/**
+ * Encrypt text
+ * @param {String} text - Plain text
+ * @returns {String} iv.tag.ciphertext, each base64 encoded
+ */
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(text, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+/**
+ * Decrypt text produced by encrypt
+ * @param {String} payload - iv.tag.ciphertext
+ * @returns {String} Plain text
+ */
+const decrypt = (payload) => {
+  const [iv, tag, ciphertext] = payload
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
@@ -40,22 +40,60 @@ const verifyRefreshToken = (token) => {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 };
 
+/**
+ * Secret for single-use account tokens (email verification, password reset)
+ * @returns {String} - Signing secret
+ */
+const getActionSecret = () =>
+  process.env.JWT_ACTION_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Generate a signed account action token. The purpose is the audience, so
+ * a token issued for one flow is rejected by every other.
+ * @param {Object} payload - Token payload
+ * @param {String} purpose - Token purpose (email_verification, password_reset)
+ * @param {String} expiresIn - Token lifetime (e.g. "1h")
+ * @returns {String} - JWT action token
+ */
+const generateActionToken = (payload, purpose, expiresIn) => {
+  return jwt.sign(payload, getActionSecret(), {
+    audience: purpose,
+    expiresIn,
+  });
+};
+
+/**
+ * Verify an account action token for a purpose
+ * @param {String} token - JWT action token
+ * @param {String} purpose - Expected token purpose
+ * @returns {Object} - Decoded token payload
+ */
+const verifyActionToken = (token, purpose) => {
+  return jwt.verify(token, getActionSecret(), { audience: purpose });
+};
+
 /**
  * Generate both access and refresh tokens
  * @param {Object} user - User object
+ * @param {Object} session - Session ID (token family) and refresh token ID
  * @returns {Object} - Object containing both tokens
  */
-const generateTokens = (user) => {
+const generateTokens = (user, { sessionId, tokenId }) => {
   const payload = {
     userId: user._id,
     email: user.email,
     role: user.role,
     subscriptionTier: user.subscriptionTier,
+    sid: sessionId,
   };
 
   return {
     accessToken: generateAccessToken(payload),
-    refreshToken: generateRefreshToken({ userId: user._id }),
+    refreshToken: generateRefreshToken({
+      userId: user._id,
+      sid: sessionId,
+      jti: tokenId,
+    }),
   };
 };
 
@@ -64,5 +102,7 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateActionToken,
+  verifyActionToken,
   generateTokens,
 };
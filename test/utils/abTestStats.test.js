@@ -0,0 +1,138 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_AB_TEST_SETTINGS,
+  normalCdf,
+  normalQuantile,
+  twoProportionZTest,
+  probabilityBBeatsA,
+  requiredSampleSize,
+  analyzeABTest,
+} = require("../../src/utils/abTestStats");
+
+const assertClose = (actual, expected, tolerance) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+
+describe("normalCdf and normalQuantile", () => {
+  it("match the standard normal table", () => {
+    assertClose(normalCdf(0), 0.5, 1e-7);
+    assertClose(normalCdf(1.96), 0.975, 1e-4);
+    assertClose(normalQuantile(0.975), 1.959964, 1e-5);
+    assertClose(normalQuantile(0.8), 0.841621, 1e-5);
+  });
+});
+
+describe("twoProportionZTest", () => {
+  it("matches a reference calculation", () => {
+    const result = twoProportionZTest(
+      { participants: 1000, conversions: 100 },
+      { participants: 1000, conversions: 130 }
+    );
+
+    assertClose(result.zScore, 2.1027, 1e-4);
+    assertClose(result.pValue, 0.0355, 1e-4);
+    assertClose(result.confidence, 96.45, 1e-2);
+  });
+
+  it("reports no confidence without participants or variance", () => {
+    const none = { zScore: 0, pValue: 1, confidence: 0 };
+
+    assert.deepEqual(
+      twoProportionZTest(
+        { participants: 0, conversions: 0 },
+        { participants: 10, conversions: 1 }
+      ),
+      none
+    );
+    assert.deepEqual(
+      twoProportionZTest(
+        { participants: 10, conversions: 0 },
+        { participants: 10, conversions: 0 }
+      ),
+      none
+    );
+  });
+});
+
+describe("probabilityBBeatsA", () => {
+  it("is even for identical results", () => {
+    const variant = { participants: 100, conversions: 10 };
+
+    assertClose(probabilityBBeatsA(variant, variant), 0.5, 1e-9);
+  });
+
+  it("matches a reference calculation", () => {
+    assertClose(
+      probabilityBBeatsA(
+        { participants: 1000, conversions: 100 },
+        { participants: 1000, conversions: 130 }
+      ),
+      0.9822,
+      1e-3
+    );
+  });
+
+  it("uses the normal approximation for large samples", () => {
+    assertClose(
+      probabilityBBeatsA(
+        { participants: 200000, conversions: 20000 },
+        { participants: 200000, conversions: 20300 }
+      ),
+      0.9425,
+      1e-3
+    );
+  });
+});
+
+describe("requiredSampleSize", () => {
+  it("estimates participants per variant with the default settings", () => {
+    assert.equal(requiredSampleSize(0.1, DEFAULT_AB_TEST_SETTINGS), 14751);
+  });
+
+  it("returns null without a usable baseline", () => {
+    assert.equal(requiredSampleSize(0, DEFAULT_AB_TEST_SETTINGS), null);
+    assert.equal(requiredSampleSize(1, DEFAULT_AB_TEST_SETTINGS), null);
+    assert.equal(requiredSampleSize(0.95, DEFAULT_AB_TEST_SETTINGS), null);
+  });
+});
+
+describe("analyzeABTest", () => {
+  it("declares a winner once significant and the sample size is reached", () => {
+    const analysis = analyzeABTest({
+      variantA: { participants: 20000, conversions: 2000 },
+      variantB: { participants: 20000, conversions: 2300 },
+    });
+
+    assert.equal(analysis.significant, true);
+    assert.equal(analysis.sampleSizeReached, true);
+    assert.equal(analysis.relativeLift, 15);
+    assert.equal(analysis.winner, "variant_b");
+  });
+
+  it("does not declare a winner before the sample size is reached", () => {
+    const analysis = analyzeABTest({
+      variantA: { participants: 1000, conversions: 100 },
+      variantB: { participants: 1000, conversions: 130 },
+    });
+
+    assert.equal(analysis.significant, true);
+    assert.equal(analysis.sampleSizeReached, false);
+    assert.equal(analysis.leader, "variant_b");
+    assert.equal(analysis.winner, null);
+  });
+
+  it("ignores unset settings", () => {
+    const analysis = analyzeABTest(
+      {
+        variantA: { participants: 1000, conversions: 100 },
+        variantB: { participants: 1000, conversions: 130 },
+      },
+      { confidenceThreshold: null, minimumDetectableEffect: undefined }
+    );
+
+    assert.equal(analysis.requiredSampleSize, 14751);
+  });
+});
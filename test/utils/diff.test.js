@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { diffLines, diffFields } = require("../../src/utils/diff");
+
+describe("diffLines", () => {
+  it("returns no changes for identical text", () => {
+    assert.deepEqual(diffLines("a\nb", "a\nb"), []);
+  });
+
+  it("reports changed lines with their line numbers", () => {
+    assert.deepEqual(diffLines("a\nb\nc", "a\nB\nc\nd"), [
+      { op: "remove", line: 2, text: "b" },
+      { op: "add", line: 2, text: "B" },
+      { op: "add", line: 4, text: "d" },
+    ]);
+  });
+
+  it("treats missing text as empty", () => {
+    assert.deepEqual(diffLines(undefined, "a"), [
+      { op: "add", line: 1, text: "a" },
+    ]);
+    assert.deepEqual(diffLines("a", ""), [
+      { op: "remove", line: 1, text: "a" },
+    ]);
+  });
+
+  it("replaces the whole text when the diff would be too large", () => {
+    const before = Array.from({ length: 1001 }, (_, i) => `old ${i}`);
+    const after = Array.from({ length: 1001 }, (_, i) => `new ${i}`);
+    const changes = diffLines(before.join("\n"), after.join("\n"));
+
+    assert.equal(changes.length, 2002);
+    assert.deepEqual(changes[0], { op: "remove", line: 1, text: "old 0" });
+    assert.deepEqual(changes[1001], { op: "add", line: 1, text: "new 0" });
+  });
+});
+
+describe("diffFields", () => {
+  it("lists only the selected fields that changed", () => {
+    assert.deepEqual(
+      diffFields(
+        { title: "Old", tags: ["a"], status: "draft" },
+        { title: "New", tags: ["a"], status: "review" },
+        ["title", "tags"]
+      ),
+      [{ field: "title", before: "Old", after: "New" }]
+    );
+  });
+
+  it("treats missing and null values as equal", () => {
+    assert.deepEqual(diffFields({ notes: null }, {}, ["notes"]), []);
+  });
+
+  it("adds a line diff for text fields", () => {
+    assert.deepEqual(
+      diffFields({ body: "a\nb" }, { body: "a\nc" }, ["body"], ["body"]),
+      [
+        {
+          field: "body",
+          before: "a\nb",
+          after: "a\nc",
+          lines: [
+            { op: "remove", line: 2, text: "b" },
+            { op: "add", line: 2, text: "c" },
+          ],
+        },
+      ]
+    );
+  });
+});
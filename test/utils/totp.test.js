@@ -0,0 +1,90 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateSecret,
+  buildOtpauthUri,
+  generateCode,
+  verifyCode,
+} = require("../../src/utils/totp");
+
+// RFC 6238 SHA-1 test secret ("12345678901234567890") in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// RFC 6238 appendix B vectors (seconds since the epoch and the 8-digit
+// code), truncated to the 6 digits authenticator apps use
+const RFC_VECTORS = [
+  [59, "94287082"],
+  [1111111109, "07081804"],
+  [1111111111, "14050471"],
+  [1234567890, "89005924"],
+  [2000000000, "69279037"],
+  [20000000000, "65353130"],
+];
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe("generateCode", () => {
+  it("matches the RFC 6238 test vectors", () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+      assert.equal(generateCode(RFC_SECRET, stepAt(seconds)), code.slice(-6));
+    }
+  });
+
+  it("accepts lowercase and spaced secrets", () => {
+    assert.equal(
+      generateCode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq", stepAt(59)),
+      "287082"
+    );
+  });
+});
+
+describe("verifyCode", () => {
+  const now = 1111111111;
+
+  it("accepts codes within one step of the current time", (t) => {
+    t.mock.method(Date, "now", () => now * 1000);
+
+    for (const step of [stepAt(now) - 1, stepAt(now), stepAt(now) + 1]) {
+      assert.equal(
+        verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step)),
+        step
+      );
+    }
+    assert.equal(
+      verifyCode(RFC_SECRET, generateCode(RFC_SECRET, stepAt(now) - 2)),
+      null
+    );
+  });
+
+  it("rejects a code from a step already used", (t) => {
+    t.mock.method(Date, "now", () => now * 1000);
+    const code = generateCode(RFC_SECRET, stepAt(now));
+
+    assert.equal(verifyCode(RFC_SECRET, code, stepAt(now)), null);
+    assert.equal(verifyCode(RFC_SECRET, code, stepAt(now) - 1), stepAt(now));
+  });
+
+  it("ignores spaces and rejects malformed codes", (t) => {
+    t.mock.method(Date, "now", () => now * 1000);
+
+    assert.equal(verifyCode(RFC_SECRET, "050 471"), stepAt(now));
+    assert.equal(verifyCode(RFC_SECRET, "05047"), null);
+    assert.equal(verifyCode(RFC_SECRET, "05047a"), null);
+  });
+});
+
+describe("generateSecret", () => {
+  it("returns a 160-bit base32 secret", () => {
+    assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+  });
+});
+
+describe("buildOtpauthUri", () => {
+  it("encodes the account and settings", () => {
+    const uri = buildOtpauthUri(RFC_SECRET, "jane doe@example.com");
+
+    assert.match(uri, /^otpauth:\/\/totp\/.+:jane%20doe%40example\.com\?/);
+    assert.match(uri, new RegExp(`secret=${RFC_SECRET}`));
+    assert.match(uri, /algorithm=SHA1&digits=6&period=30$/);
+  });
+});